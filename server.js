@@ -1,7 +1,7 @@
 /**
  * SLA Digital API Integration - Express Server
  * Main server implementation with webhook endpoints and internal APIs
- * Focus: Zain Bahrain operator integration
+ * Operator-agnostic: every /api/:operator route is driven by operators.config.js
  */
 
 require('dotenv').config();
@@ -14,15 +14,23 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
+const hmac = require('./src/utils/hmac');
+const ipAddress = require('./src/utils/ipAddress');
+const { redact, redactText } = require('./src/utils/redact');
+const { getFieldCipher } = require('./src/utils/fieldEncryption');
 
 // Import the existing SLA integration library
-const { SLADigitalIntegration } = require('./src/index');
+const { SLADigitalIntegration, SubscriptionStateMachine, SpendGuard, ApiClientAuth, CircuitOpenError, RateLimitError } = require('./src/index');
+const { operatorConfigs, isKnownOperator, getCampaignId, getCampaignEnvVar } = require('./src/config/operators.config');
 
 // Import SMS service
 const SMSService = require('./src/services/sms.service');
 
 // Database connection (to be implemented)
 const { connectDB, getDB } = require('./src/database/connection');
+const { systemLogger } = require('./src/utils/logger');
+const IdempotencyGuard = require('./src/services/api/IdempotencyGuard');
+const AuditRepository = require('./src/database/repositories/AuditRepository');
 
 // Initialize Express app
 const app = express();
@@ -39,6 +47,9 @@ const slaIntegration = new SLADigitalIntegration(SLA_ENV);
 // Initialize SMS Service
 const smsService = new SMSService(slaIntegration);
 
+// Subscriber identifiers are written encrypted, with a blind index for lookups
+const fieldCipher = getFieldCipher();
+
 // ============================================
 // MIDDLEWARE STACK
 // ============================================
@@ -56,13 +67,85 @@ app.use(cors({
 // Compression
 app.use(compression());
 
+// Client IP from X-Forwarded-For, believed only when it was added by a trusted proxy
+if (process.env.TRUSTED_PROXIES) {
+  const isTrustedProxy = ipAddress.createMatcher(process.env.TRUSTED_PROXIES);
+  app.set('trust proxy', (address) => isTrustedProxy(address));
+}
+
 // Body parsing
-app.use(express.json({ limit: process.env.MAX_JSON_SIZE || '1mb' }));
-app.use(express.urlencoded({ extended: true, limit: process.env.MAX_REQUEST_SIZE || '10mb' }));
+// Webhook signatures cover the exact bytes received, so keep them for /hooks
+const keepRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/hooks')) {
+    req.rawBody = buf;
+  }
+};
+
+app.use(express.json({ limit: process.env.MAX_JSON_SIZE || '1mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: process.env.MAX_REQUEST_SIZE || '10mb', verify: keepRawBody }));
 
 // Request logging
+// Paths and query strings can carry MSISDNs and tokens, so lines are redacted too
 if (process.env.ENABLE_REQUEST_LOGGING !== 'false') {
-  app.use(morgan('combined'));
+  app.use(morgan('combined', {
+    stream: { write: line => process.stdout.write(redactText(line)) }
+  }));
+}
+
+// ============================================
+// AUDIT TRAIL MIDDLEWARE
+// ============================================
+
+const AUDIT_TRAIL_ENABLED = process.env.ENABLE_AUDIT_TRAIL !== 'false';
+const auditRepository = new AuditRepository();
+
+// One operation_audit row per /api, /hooks and /internal call, written once the
+// response is done so that rejections (rate limit, allow-list, auth) are recorded too.
+// Payloads are stored redacted; user_id is the authenticated API client, if any
+const auditTrail = (req, res, next) => {
+  const startedAt = Date.now();
+  let responseBody;
+
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    responseBody = payload;
+    return json(payload);
+  };
+
+  res.once('close', () => {
+    const path = req.originalUrl.split('?')[0];
+    const status = res.writableFinished ? res.statusCode : null;
+    let errorMessage = null;
+
+    if (!res.writableFinished) {
+      errorMessage = 'Client closed the connection before the response was sent';
+    } else if (status >= 400) {
+      errorMessage = typeof responseBody?.error === 'string' ? responseBody.error : `HTTP ${status}`;
+    }
+
+    auditRepository.record({
+      operationType: `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : path}`,
+      operator: req.operator || req.params?.operator || null,
+      userId: req.apiClient?.id || null,
+      ipAddress: ipAddress.normalizeIP(req.ip),
+      method: req.method,
+      path: path.slice(0, 500),
+      requestPayload: redact({ query: req.query, body: req.body }),
+      responseStatus: status,
+      // Reads can return large listings; their outcome is enough
+      responsePayload: req.method === 'GET' || responseBody === undefined ? null : redact(responseBody),
+      durationMs: Date.now() - startedAt,
+      errorMessage
+    }).catch(error => {
+      systemLogger.warn('Failed to record audit entry', { path, error: error.message });
+    });
+  });
+
+  next();
+};
+
+if (AUDIT_TRAIL_ENABLED) {
+  app.use(['/api', '/hooks', '/internal'], auditTrail);
 }
 
 // Rate limiting
@@ -80,38 +163,198 @@ app.use('/hooks/', limiter);
 // IP WHITELIST MIDDLEWARE
 // ============================================
 
-const ipWhitelistMiddleware = (req, res, next) => {
-  // Skip in test mode or development
-  if (process.env.SKIP_IP_WHITELIST === 'true' || NODE_ENV === 'development') {
+// Allow-list middleware for one list of addresses/CIDR blocks (IPv4 and IPv6)
+// Rejections are audit-logged with the resolved client IP and the forwarding chain
+const createIPAllowlist = (name, list) => {
+  const { invalid } = ipAddress.parseList(list);
+  const isAllowed = ipAddress.createMatcher(list);
+
+  if (invalid.length > 0) {
+    console.warn(`Ignoring invalid ${name} allow-list entries: ${invalid.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    // Skip in test mode or development
+    if (process.env.SKIP_IP_WHITELIST === 'true' || NODE_ENV === 'development') {
+      return next();
+    }
+
+    const clientIP = ipAddress.normalizeIP(req.ip || req.socket.remoteAddress);
+
+    if (!isAllowed(clientIP)) {
+      systemLogger.warn(`IP rejected by ${name} allow-list`, {
+        ip: clientIP,
+        remoteAddress: req.socket.remoteAddress,
+        forwardedFor: req.headers['x-forwarded-for'],
+        method: req.method,
+        path: req.originalUrl
+      });
+      return res.status(403).json({ error: 'Forbidden: IP not whitelisted' });
+    }
+
+    next();
+  };
+};
+
+// Internal callers (/api, /internal) and SLA webhook sources (/hooks) are allowed
+// separately; both fall back to WHITELISTED_IPS
+const ipWhitelistMiddleware = createIPAllowlist(
+  'internal',
+  process.env.INTERNAL_ALLOWED_IPS || process.env.WHITELISTED_IPS
+);
+const webhookSourceWhitelist = createIPAllowlist(
+  'webhook source',
+  process.env.WEBHOOK_ALLOWED_IPS || process.env.WHITELISTED_IPS
+);
+
+// ============================================
+// CLIENT AUTHENTICATION MIDDLEWARE
+// ============================================
+
+const apiClientAuth = new ApiClientAuth();
+
+// Authenticate the caller (API key or JWT), then check the route's scope and the
+// client's rate limit. Unlike the IP allow-list this also applies in development;
+// only API_AUTH_ENABLED=false turns it off, and never in production
+const requireScope = (scope) => async (req, res, next) => {
+  if (!apiClientAuth.enabled) {
     return next();
   }
 
-  const clientIP = req.ip || req.connection.remoteAddress;
-  const whitelistedIPs = process.env.WHITELISTED_IPS?.split(',') || [];
+  try {
+    req.apiClient = await apiClientAuth.authenticate(req.headers);
+  } catch (error) {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ success: false, error: error.message, code: error.code });
+    }
+
+    console.error('Authentication error:', error);
+    return res.status(503).json({ success: false, error: 'Authentication unavailable' });
+  }
+
+  if (!ApiClientAuth.hasScope(req.apiClient, scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `Missing required scope: ${scope}`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  const { allowed, retryAfter } = await apiClientAuth.consumeRateLimit(req.apiClient);
 
-  // Check if IP is whitelisted
-  const isWhitelisted = whitelistedIPs.some(allowedIP => {
-    return allowedIP.trim() === clientIP || 
-           allowedIP.includes('/') && clientIP.startsWith(allowedIP.split('/')[0]);
-  });
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded for this client',
+      code: 'RATE_LIMITED'
+    });
+  }
+
+  next();
+};
+
+// ============================================
+// OPERATOR RESOLUTION MIDDLEWARE
+// ============================================
+
+const resolveOperator = (req, res, next) => {
+  const { operator } = req.params;
 
-  if (!isWhitelisted) {
-    console.error(`Unauthorized IP attempt: ${clientIP}`);
-    return res.status(403).json({ error: 'Forbidden: IP not whitelisted' });
+  if (!isKnownOperator(operator)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown operator: ${operator}`,
+      supportedOperators: Object.keys(operatorConfigs)
+    });
   }
 
+  req.operator = operator;
+  req.operatorConfig = operatorConfigs[operator];
+  req.campaignId = getCampaignId(operator);
+
   next();
 };
 
+// Operator call failures: an open circuit or exhausted rate limit is temporary, not a server fault
+const sendOperatorError = (res, error) => {
+  if (error instanceof CircuitOpenError || error instanceof RateLimitError) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.code === 'SPEND_LIMIT_EXCEEDED') {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      reason: error.reason
+    });
+  }
+
+  if (error.code === 'SUBSCRIBER_UNRESOLVED') {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// ============================================
+// IDEMPOTENCY MIDDLEWARE
+// ============================================
+
+// Replays the stored response to a repeated Idempotency-Key request
+const idempotencyGuard = new IdempotencyGuard();
+const idempotencyMiddleware = idempotencyGuard.middleware();
+
+// Send the key to Alacrity so retries reach it with the same identifier
+const idempotencyParams = (req) => {
+  if (!req.idempotencyKey) {
+    return {};
+  }
+
+  return req.operatorConfig.requiresTransactionId
+    ? { transaction_id: req.idempotencyKey }
+    : { correlator: req.idempotencyKey };
+};
+
 // ============================================
 // WEBHOOK SIGNATURE VALIDATION
 // ============================================
 
+// Accepted secrets: WEBHOOK_SECRETS (comma-separated, for rotation) and WEBHOOK_SECRET
+const getWebhookSecrets = () => {
+  const secrets = [
+    ...(process.env.WEBHOOK_SECRETS?.split(',') || []),
+    process.env.WEBHOOK_SECRET
+  ].map(secret => secret?.trim()).filter(Boolean);
+
+  return [...new Set(secrets)];
+};
+
+// Signed timestamps older or newer than this are rejected as replays
+const WEBHOOK_TIMESTAMP_TOLERANCE_SEC = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SEC || 300);
+
+// HMAC-SHA256 over the raw body, or over `${timestamp}.${body}` when
+// X-Webhook-Timestamp is sent (required with WEBHOOK_REQUIRE_TIMESTAMP=true)
 const validateWebhookSignature = (req, res, next) => {
-  const signature = req.headers['x-webhook-signature'];
-  const webhookSecret = process.env.WEBHOOK_SECRET;
+  const signature = req.headers['x-webhook-signature']?.replace(/^sha256=/, '');
+  const timestampHeader = req.headers['x-webhook-timestamp'];
+  const webhookSecrets = getWebhookSecrets();
 
-  if (!webhookSecret) {
+  if (webhookSecrets.length === 0) {
     console.error('WEBHOOK_SECRET not configured');
     return res.status(500).json({ error: 'Server configuration error' });
   }
@@ -120,14 +363,25 @@ const validateWebhookSignature = (req, res, next) => {
     return res.status(401).json({ error: 'Missing webhook signature' });
   }
 
-  // Calculate expected signature
-  const payload = JSON.stringify(req.body);
-  const expectedSignature = crypto
-    .createHmac('sha256', webhookSecret)
-    .update(payload)
-    .digest('hex');
+  if (!timestampHeader && process.env.WEBHOOK_REQUIRE_TIMESTAMP === 'true') {
+    return res.status(401).json({ error: 'Missing webhook timestamp' });
+  }
+
+  if (timestampHeader) {
+    // Seconds, or milliseconds from senders that use Date.now()
+    const timestamp = Number(timestampHeader);
+    const timestampSec = timestamp > 1e12 ? timestamp / 1000 : timestamp;
+
+    if (!Number.isFinite(timestamp) ||
+        Math.abs(Date.now() / 1000 - timestampSec) > WEBHOOK_TIMESTAMP_TOLERANCE_SEC) {
+      console.error('Webhook timestamp outside tolerance');
+      return res.status(401).json({ error: 'Invalid or expired webhook timestamp' });
+    }
+  }
+
+  const payload = req.rawBody ? req.rawBody.toString('utf8') : '';
 
-  if (signature !== expectedSignature) {
+  if (!hmac.verify(webhookSecrets, payload, signature, timestampHeader || null)) {
     console.error('Invalid webhook signature');
     return res.status(401).json({ error: 'Invalid signature' });
   }
@@ -149,13 +403,15 @@ app.get('/health', async (req, res) => {
     const slaHealth = await slaIntegration.healthCheck();
 
     const health = {
-      status: 'healthy',
+      // Open or half-open operator circuits degrade, but do not fail, the service
+      status: slaHealth.status === 'DEGRADED' ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       environment: NODE_ENV,
       sla_environment: SLA_ENV,
       database: dbHealthy ? 'connected' : 'disconnected',
       sla: slaHealth,
+      circuitBreakers: slaHealth.circuitBreakers,
       memory: process.memoryUsage(),
       version: require('./package.json').version
     };
@@ -172,29 +428,51 @@ app.get('/health', async (req, res) => {
 });
 
 // ============================================
-// ZAIN BAHRAIN API ENDPOINTS
+// OPERATOR API ENDPOINTS
 // ============================================
 
-// Generate PIN for Zain Bahrain
-app.post('/api/zain-bh/pin', 
+// Generate PIN for any PIN-capable operator
+app.post('/api/:operator/pin',
   ipWhitelistMiddleware,
+  requireScope('pin:write'),
+  resolveOperator,
   async (req, res) => {
+    const { operator, operatorConfig } = req;
+
     try {
-      const { msisdn, campaign, merchant } = req.body;
-      
-      if (!msisdn || !campaign) {
-        return res.status(400).json({ 
-          error: 'Missing required parameters: msisdn, campaign' 
+      const { msisdn, campaign, merchant, template, language, amount, fraud_token } = req.body;
+
+      if (!msisdn) {
+        return res.status(400).json({
+          error: 'Missing required parameter: msisdn'
+        });
+      }
+
+      if (!slaIntegration.supportsPINAPI(operator)) {
+        return res.status(400).json({
+          success: false,
+          error: `PIN API not supported for ${operatorConfig.name}. Use the checkout flow instead.`
         });
       }
 
-      const result = await slaIntegration.generatePIN('zain-bh', {
+      const pinParams = {
         msisdn,
-        campaign: campaign || process.env.OPERATOR_ZAIN_BH_SERVICE_ID,
+        campaign: campaign || req.campaignId,
         merchant: merchant || process.env.MERCHANT_ID,
-        template: 'subscription',
-        language: 'en'
-      });
+        template: template || 'subscription',
+        language: language || 'en'
+      };
+
+      // Operator-specific PIN parameters (Ooredoo Kuwait amount, Mobily fraud token)
+      if (amount) {
+        pinParams.amount = amount;
+      }
+
+      if (fraud_token) {
+        pinParams.fraud_token = fraud_token;
+      }
+
+      const result = await slaIntegration.generatePIN(operator, pinParams);
 
       // In sandbox, PIN is always 000000
       if (SLA_ENV === 'sandbox') {
@@ -207,81 +485,78 @@ app.post('/api/zain-bh/pin',
         data: result
       });
     } catch (error) {
-      console.error('PIN generation error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      console.error(`PIN generation error (${operator}):`, error);
+      sendOperatorError(res, error);
     }
   }
 );
 
-// Create subscription for Zain Bahrain (UPDATED to handle TOKEN)
-app.post('/api/zain-bh/subscription',
+// Create subscription (PIN or TOKEN from checkout)
+app.post('/api/:operator/subscription',
   ipWhitelistMiddleware,
+  requireScope('subscription:write'),
+  resolveOperator,
+  idempotencyMiddleware,
   async (req, res) => {
+    const { operator } = req;
+
     try {
-      const { msisdn, pin, campaign, merchant, trial, language } = req.body;
-      
+      const { msisdn, pin, campaign, merchant, trial, language, fraud_token } = req.body;
+
       // Check if using TOKEN-based subscription
       const isToken = msisdn?.startsWith('TOKEN:');
-      
+
       // Validate required parameters based on flow
       if (!msisdn) {
-        return res.status(400).json({ 
-          error: 'Missing required parameter: msisdn (or token)' 
+        return res.status(400).json({
+          error: 'Missing required parameter: msisdn (or token)'
         });
       }
-      
+
       // PIN is only required for non-token subscriptions
       if (!isToken && !pin) {
-        return res.status(400).json({ 
-          error: 'Missing required parameter: pin (not needed if using token from checkout)' 
+        return res.status(400).json({
+          error: 'Missing required parameter: pin (not needed if using token from checkout)'
         });
       }
 
       // Build subscription parameters
       const subscriptionParams = {
         msisdn,
-        campaign: campaign || process.env.OPERATOR_ZAIN_BH_SERVICE_ID,
+        campaign: campaign || req.campaignId,
         merchant: merchant || process.env.MERCHANT_ID
       };
-      
+
       // Only include pin if not using token
       if (!isToken) {
         subscriptionParams.pin = pin;
       }
-      
+
       // Add optional parameters
       if (trial) {
         subscriptionParams.trial = trial;
       }
-      
+
       if (language) {
         subscriptionParams.language = language;
       }
 
-      const result = await slaIntegration.createSubscription('zain-bh', subscriptionParams);
+      if (fraud_token) {
+        subscriptionParams.fraud_token = fraud_token;
+      }
 
-      // Store subscription in database
-      const db = await getDB();
-      if (db && result.success) {
-        await db.query(
-          `INSERT INTO subscriptions (
-            subscription_id, operator_code, msisdn, campaign_id,
-            merchant_id, status, created_at, is_token_based
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-          [
-            result.subscriptionId || result.uuid || crypto.randomUUID(),
-            'zain-bh',
-            isToken ? result.msisdn : msisdn, // Store actual MSISDN from response if token was used
-            campaign || process.env.OPERATOR_ZAIN_BH_SERVICE_ID,
-            merchant || process.env.MERCHANT_ID,
-            result.status || 'active',
-            new Date(),
-            isToken
-          ]
-        );
+      Object.assign(subscriptionParams, idempotencyParams(req));
+
+      const result = await slaIntegration.createSubscription(operator, subscriptionParams);
+
+      // Record the subscription lifecycle (the MSISDN from the response if a token was used)
+      if (result.success) {
+        await slaIntegration.recordSubscription(operator, result, {
+          msisdn,
+          campaign: subscriptionParams.campaign,
+          merchant: subscriptionParams.merchant,
+          isTokenBased: isToken
+        });
       }
 
       res.json({
@@ -291,71 +566,67 @@ app.post('/api/zain-bh/subscription',
         flowType: isToken ? 'checkout_token' : 'pin_api'
       });
     } catch (error) {
-      console.error('Subscription creation error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      console.error(`Subscription creation error (${operator}):`, error);
+      sendOperatorError(res, error);
     }
   }
 );
 
-// One-off charge for Zain Bahrain (UPDATED to handle TOKEN)
-app.post('/api/zain-bh/charge',
+// One-off charge (PIN or TOKEN)
+app.post('/api/:operator/charge',
   ipWhitelistMiddleware,
+  requireScope('charge:write'),
+  resolveOperator,
+  idempotencyMiddleware,
   async (req, res) => {
+    const { operator, operatorConfig } = req;
+
     try {
-      const { msisdn, pin, amount, campaign, merchant, currency } = req.body;
-      
+      const { msisdn, pin, amount, campaign, merchant, currency, billingType } = req.body;
+
       // Check if using TOKEN
       const isToken = msisdn?.startsWith('TOKEN:');
-      
+
       if (!msisdn || !amount) {
-        return res.status(400).json({ 
-          error: 'Missing required parameters: msisdn (or token), amount' 
+        return res.status(400).json({
+          error: 'Missing required parameters: msisdn (or token), amount'
         });
       }
-      
+
       // PIN is only required for non-token charges
       if (!isToken && !pin) {
-        return res.status(400).json({ 
-          error: 'Missing required parameter: pin (not needed if using token)' 
+        return res.status(400).json({
+          error: 'Missing required parameter: pin (not needed if using token)'
+        });
+      }
+
+      if (billingType && !SpendGuard.BILLING_TYPES.includes(billingType)) {
+        return res.status(400).json({
+          error: `Invalid billingType. Valid types: ${SpendGuard.BILLING_TYPES.join(', ')}`
         });
       }
 
       const chargeParams = {
         msisdn,
         amount,
-        currency: currency || 'BHD',
-        campaign: campaign || process.env.OPERATOR_ZAIN_BH_SERVICE_ID,
+        currency: currency || operatorConfig.currency,
+        campaign: campaign || req.campaignId,
         merchant: merchant || process.env.MERCHANT_ID
       };
-      
+
       // Only include pin if not using token
       if (!isToken) {
         chargeParams.pin = pin;
       }
 
-      const result = await slaIntegration.charge('zain-bh', chargeParams);
+      Object.assign(chargeParams, idempotencyParams(req));
 
-      // Store transaction in database
-      const db = await getDB();
-      if (db) {
-        await db.query(
-          `INSERT INTO transactions (
-            transaction_id, operator_code, msisdn, amount,
-            status, created_at
-          ) VALUES ($1, $2, $3, $4, $5, $6)`,
-          [
-            result.transactionId || crypto.randomUUID(),
-            'zain-bh',
-            msisdn,
-            amount,
-            result.status,
-            new Date()
-          ]
-        );
-      }
+      const result = await slaIntegration.charge(operator, chargeParams, { billingType });
+
+      // Store transaction in database (journaled if it is unavailable)
+      await slaIntegration.transactionRecorder.recordCharge(operator, chargeParams, result, {
+        idempotencyKey: req.idempotencyKey
+      });
 
       res.json({
         success: true,
@@ -363,46 +634,72 @@ app.post('/api/zain-bh/charge',
         data: result
       });
     } catch (error) {
-      console.error('Charge error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message
+      console.error(`Charge error (${operator}):`, error);
+      sendOperatorError(res, error);
+    }
+  }
+);
+
+// Remaining spending allowance for an MSISDN (billingType=prepaid|postpaid optional)
+app.get('/api/:operator/allowance/:msisdn',
+  ipWhitelistMiddleware,
+  requireScope('charge:read'),
+  resolveOperator,
+  async (req, res) => {
+    const { operator } = req;
+    const { billingType } = req.query;
+
+    try {
+      if (billingType && !SpendGuard.BILLING_TYPES.includes(billingType)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid billingType. Valid types: ${SpendGuard.BILLING_TYPES.join(', ')}`
+        });
+      }
+
+      const allowance = await slaIntegration.spendGuard.getAllowance(operator, req.params.msisdn, {
+        billingType: billingType || null
+      });
+
+      res.json({
+        success: true,
+        ...allowance
       });
+    } catch (error) {
+      console.error(`Allowance error (${operator}):`, error);
+      sendOperatorError(res, error);
     }
   }
 );
 
-// Delete subscription for Zain Bahrain (UPDATED to handle TOKEN)
-app.delete('/api/zain-bh/subscription',
+// Delete subscription (MSISDN or the same TOKEN used for subscription)
+app.delete('/api/:operator/subscription',
   ipWhitelistMiddleware,
+  requireScope('subscription:write'),
+  resolveOperator,
   async (req, res) => {
+    const { operator } = req;
+
     try {
       const { msisdn, campaign, merchant } = req.body;
-      
+
       if (!msisdn) {
-        return res.status(400).json({ 
-          error: 'Missing required parameter: msisdn (or the same token used for subscription)' 
+        return res.status(400).json({
+          error: 'Missing required parameter: msisdn (or the same token used for subscription)'
         });
       }
 
-      const result = await slaIntegration.deleteSubscription('zain-bh', {
+      const result = await slaIntegration.deleteSubscription(operator, {
         msisdn,
-        campaign: campaign || process.env.OPERATOR_ZAIN_BH_SERVICE_ID,
+        campaign: campaign || req.campaignId,
         merchant: merchant || process.env.MERCHANT_ID
       });
 
-      // Update subscription status in database
-      const db = await getDB();
-      if (db && result.success) {
-        const isToken = msisdn.startsWith('TOKEN:');
-        await db.query(
-          `UPDATE subscriptions 
-           SET status = 'cancelled', cancelled_at = $1
-           WHERE operator_code = 'zain-bh' 
-           AND (msisdn = $2 OR (is_token_based = true AND subscription_id IN 
-             (SELECT subscription_id FROM subscriptions WHERE operator_code = 'zain-bh' LIMIT 1)
-           ))`,
-          [new Date(), msisdn]
+      // Mark the subscription cancelled
+      if (result.success) {
+        await slaIntegration.subscriptionManager.removeMSISDNSubscriptions(
+          operator,
+          result.data?.msisdn || msisdn
         );
       }
 
@@ -412,29 +709,63 @@ app.delete('/api/zain-bh/subscription',
         data: result
       });
     } catch (error) {
-      console.error('Subscription deletion error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message
+      console.error(`Subscription deletion error (${operator}):`, error);
+      sendOperatorError(res, error);
+    }
+  }
+);
+
+// Subscription status timeline
+app.get('/api/:operator/subscriptions/:uuid/timeline',
+  ipWhitelistMiddleware,
+  requireScope('subscription:read'),
+  resolveOperator,
+  async (req, res) => {
+    const { operator } = req;
+
+    try {
+      const timeline = await slaIntegration.subscriptionManager.getTimeline(req.params.uuid);
+
+      if (!timeline || timeline.subscription.operator !== operator) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        operator,
+        subscription: timeline.subscription,
+        allowedTransitions: SubscriptionStateMachine.getAllowedTransitions(timeline.subscription.status),
+        history: timeline.history
       });
+    } catch (error) {
+      console.error(`Subscription timeline error (${operator}):`, error);
+      sendOperatorError(res, error);
     }
   }
 );
 
-// Get checkout URL for Zain Bahrain (FIXED: Added redirect_url, correlator, locale)
-app.get('/api/zain-bh/checkout-url',
+// Get checkout URL (redirect_url required, correlator and locale optional)
+app.get('/api/:operator/checkout-url',
+  requireScope('subscription:write'),
+  resolveOperator,
   (req, res) => {
+    const { operator } = req;
+
     try {
-      const { 
-        msisdn, 
-        campaign, 
-        merchant, 
-        price, 
-        locale,           // Changed from language to locale
-        redirect_url,     // ADDED: Required parameter
-        correlator        // ADDED: Optional parameter
+      const {
+        msisdn,
+        campaign,
+        merchant,
+        price,
+        locale,
+        redirect_url,
+        correlator,
+        transaction_id
       } = req.query;
-      
+
       // Validate required parameter
       if (!redirect_url) {
         return res.status(400).json({
@@ -442,55 +773,56 @@ app.get('/api/zain-bh/checkout-url',
           error: 'Missing required parameter: redirect_url'
         });
       }
-      
+
       // Build checkout parameters
       const checkoutParams = {
-        campaign: campaign || process.env.OPERATOR_ZAIN_BH_SERVICE_ID,
+        campaign: campaign || req.campaignId,
         merchant: merchant || process.env.MERCHANT_ID,
         redirect_url      // REQUIRED for checkout
       };
-      
+
       // Add optional parameters
       if (msisdn) {
         checkoutParams.msisdn = msisdn;
       }
-      
+
       if (price) {
         checkoutParams.price = price;
       }
-      
+
       if (locale) {
-        checkoutParams.locale = locale;  // Using locale instead of language
+        checkoutParams.locale = locale;
       }
-      
+
       if (correlator) {
         checkoutParams.correlator = correlator;
       }
-      
-      const checkoutUrl = slaIntegration.getCheckoutUrl('zain-bh', checkoutParams);
+
+      if (transaction_id) {
+        checkoutParams.transaction_id = transaction_id;
+      }
+
+      const checkoutUrl = slaIntegration.getCheckoutUrl(operator, checkoutParams);
+      const generated = new URL(checkoutUrl).searchParams;
 
       res.json({
         success: true,
         checkoutUrl: checkoutUrl,
-        operator: 'zain-bh',
+        operator,
         environment: SLA_ENV,
-        checkoutBase: SLA_ENV === 'sandbox' 
-          ? 'http://msisdn-sandbox.sla-alacrity.com/purchase'
-          : 'http://msisdn.sla-alacrity.com/purchase',
+        checkoutBase: checkoutUrl.split('?')[0],
         parameters: {
           merchant: checkoutParams.merchant,
           service: checkoutParams.campaign,
           redirect_url: checkoutParams.redirect_url,
           locale: checkoutParams.locale || 'en',
-          correlator: checkoutParams.correlator,
+          correlator: generated.get('correlator') || undefined,
+          transaction_id: generated.get('transaction_id') || undefined,
           price: checkoutParams.price
         }
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      sendOperatorError(res, error);
     }
   }
 );
@@ -499,9 +831,11 @@ app.get('/api/zain-bh/checkout-url',
 // SMS ENDPOINTS
 // ============================================
 
-// Send generic SMS for Zain Bahrain
-app.post('/api/zain-bh/sms',
+// Send generic SMS
+app.post('/api/:operator/sms',
   ipWhitelistMiddleware,
+  requireScope('sms:send'),
+  resolveOperator,
   [
     body('msisdn').notEmpty().withMessage('MSISDN is required'),
     body('message').notEmpty().withMessage('Message is required')
@@ -513,18 +847,20 @@ app.post('/api/zain-bh/sms',
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { operator, operatorConfig } = req;
+
     try {
       const { msisdn, message, campaign, merchant } = req.body;
 
       // Validate MSISDN format
-      if (!smsService.validateMSISDN(msisdn, 'zain-bh')) {
+      if (!smsService.validateMSISDN(msisdn, operator)) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid MSISDN format for Zain Bahrain. Expected format: 973XXXXXXXX'
+          error: `Invalid MSISDN format for ${operatorConfig.name}`
         });
       }
 
-      const result = await smsService.sendSMS('zain-bh', {
+      const result = await smsService.sendSMS(operator, {
         msisdn,
         message,
         campaign,
@@ -532,38 +868,31 @@ app.post('/api/zain-bh/sms',
       });
 
       // Store SMS record in database
-      const db = await getDB();
-      if (db && result.success) {
-        await db.query(
-          `INSERT INTO sms_logs (
-            correlator, operator_code, msisdn, message, 
-            status, sent_at
-          ) VALUES ($1, $2, $3, $4, $5, $6)`,
-          [
-            result.correlator,
-            'zain-bh',
-            msisdn,
-            message.substring(0, 160), // Store first 160 chars
-            result.success ? 'sent' : 'failed',
-            new Date()
-          ]
-        );
+      if (result.success) {
+        await slaIntegration.outbox.write('sms', {
+          logId: crypto.randomUUID(),
+          correlator: result.correlator,
+          operator,
+          msisdn,
+          message,
+          status: 'sent',
+          sentAt: new Date()
+        });
       }
 
       res.json(result);
     } catch (error) {
-      console.error('SMS error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      console.error(`SMS error (${operator}):`, error);
+      sendOperatorError(res, error);
     }
   }
 );
 
-// Send Welcome SMS for Zain Bahrain
-app.post('/api/zain-bh/welcome-sms',
+// Send Welcome SMS
+app.post('/api/:operator/welcome-sms',
   ipWhitelistMiddleware,
+  requireScope('sms:send'),
+  resolveOperator,
   [
     body('msisdn').notEmpty().withMessage('MSISDN is required'),
     body('serviceName').notEmpty().withMessage('Service name is required'),
@@ -576,34 +905,36 @@ app.post('/api/zain-bh/welcome-sms',
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { operator, operatorConfig } = req;
+
     try {
-      const { 
-        msisdn, 
-        serviceName, 
-        accessUrl, 
+      const {
+        msisdn,
+        serviceName,
+        accessUrl,
         subscriptionId,
         language,
         campaign,
-        merchant 
+        merchant
       } = req.body;
 
       // Validate MSISDN format
-      if (!smsService.validateMSISDN(msisdn, 'zain-bh')) {
+      if (!smsService.validateMSISDN(msisdn, operator)) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid MSISDN format for Zain Bahrain. Expected format: 973XXXXXXXX'
+          error: `Invalid MSISDN format for ${operatorConfig.name}`
         });
       }
 
       // Format access URL with tracking parameters
       const formattedUrl = smsService.formatAccessUrl(accessUrl, {
-        operator: 'zain-bh',
+        operator,
         sub_id: subscriptionId,
         source: 'welcome_sms',
         timestamp: Date.now()
       });
 
-      const result = await smsService.sendWelcomeSMS('zain-bh', {
+      const result = await smsService.sendWelcomeSMS(operator, {
         msisdn,
         serviceName,
         accessUrl: formattedUrl,
@@ -614,40 +945,33 @@ app.post('/api/zain-bh/welcome-sms',
       });
 
       // Store welcome SMS record in database
-      const db = await getDB();
-      if (db && result.success) {
-        await db.query(
-          `INSERT INTO sms_logs (
-            correlator, operator_code, msisdn, message, 
-            message_type, subscription_id, status, sent_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-          [
-            result.correlator,
-            'zain-bh',
-            msisdn,
-            result.messageContent,
-            'welcome',
-            subscriptionId,
-            result.success ? 'sent' : 'failed',
-            new Date()
-          ]
-        );
+      if (result.success) {
+        await slaIntegration.outbox.write('sms', {
+          logId: crypto.randomUUID(),
+          correlator: result.correlator,
+          operator,
+          msisdn,
+          message: result.messageContent,
+          messageType: 'welcome',
+          subscriptionId,
+          status: 'sent',
+          sentAt: new Date()
+        });
       }
 
       res.json(result);
     } catch (error) {
-      console.error('Welcome SMS error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      console.error(`Welcome SMS error (${operator}):`, error);
+      sendOperatorError(res, error);
     }
   }
 );
 
-// Send batch SMS for Zain Bahrain
-app.post('/api/zain-bh/batch-sms',
+// Send batch SMS
+app.post('/api/:operator/batch-sms',
   ipWhitelistMiddleware,
+  requireScope('sms:send'),
+  resolveOperator,
   [
     body('recipients').isArray({ min: 1 }).withMessage('Recipients array is required'),
     body('message').notEmpty().withMessage('Message is required')
@@ -659,12 +983,14 @@ app.post('/api/zain-bh/batch-sms',
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { operator } = req;
+
     try {
       const { recipients, message, campaign, merchant } = req.body;
 
       // Validate all MSISDNs
-      const invalidNumbers = recipients.filter(msisdn => 
-        !smsService.validateMSISDN(msisdn, 'zain-bh')
+      const invalidNumbers = recipients.filter(msisdn =>
+        !smsService.validateMSISDN(msisdn, operator)
       );
 
       if (invalidNumbers.length > 0) {
@@ -675,84 +1001,69 @@ app.post('/api/zain-bh/batch-sms',
         });
       }
 
-      const result = await smsService.sendBatchSMS('zain-bh', {
+      const result = await smsService.sendBatchSMS(operator, {
         recipients,
         message,
         campaign,
         merchant
       });
 
-      // Store batch record in database
-      const db = await getDB();
-      if (db) {
-        await db.query(
-          `INSERT INTO batch_sms_logs (
-            batch_id, operator_code, total_recipients, successful, 
-            failed, message, created_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-          [
-            result.batchId,
-            'zain-bh',
-            result.total,
-            result.successful,
-            result.failed,
-            message.substring(0, 160),
-            new Date()
-          ]
-        );
-      }
+      // Store the batch with one record per recipient
+      await slaIntegration.outbox.write('smsBatch', {
+        batch: {
+          batchId: result.batchId,
+          operator,
+          total: result.total,
+          successful: result.successful,
+          failed: result.failed,
+          message,
+          createdAt: new Date()
+        },
+        results: result.results
+      });
 
       res.json(result);
     } catch (error) {
-      console.error('Batch SMS error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      console.error(`Batch SMS error (${operator}):`, error);
+      sendOperatorError(res, error);
     }
   }
 );
 
 // ============================================
-// WEBHOOK ENDPOINTS
+// SUBSCRIPTION JOURNEY ENDPOINTS
 // ============================================
 
-// Main Alacrity webhook endpoint
-app.post('/hooks/alacrity', 
-  validateWebhookSignature,
-  async (req, res) => {
-    try {
-      const webhookData = req.body;
-      console.log('Received Alacrity webhook:', webhookData);
+// Point the client at the journey completion endpoint
+const withJourneyEndpoint = (journey) => {
+  if (journey.nextStep) {
+    journey.nextStep.endpoint = `/api/journeys/${journey.journeyId}/complete`;
+  }
+  return journey;
+};
 
-      // Store webhook event in database
-      const db = await getDB();
-      if (db) {
-        await db.query(
-          `INSERT INTO webhook_events (
-            event_id, operator, event_type, payload, received_at
-          ) VALUES ($1, $2, $3, $4, $5)`,
-          [
-            webhookData.eventId || crypto.randomUUID(),
-            webhookData.operator || 'alacrity',
-            webhookData.eventType || 'unknown',
-            JSON.stringify(webhookData),
-            new Date()
-          ]
-        );
-      }
+// Start a subscription journey (flow chosen from operator configuration)
+app.post('/api/:operator/journeys',
+  ipWhitelistMiddleware,
+  requireScope('subscription:write'),
+  resolveOperator,
+  async (req, res) => {
+    const { operator } = req;
 
-      // Process webhook through the integration library
-      const result = await slaIntegration.processWebhook(webhookData);
+    try {
+      const journey = await slaIntegration.startJourney(operator, {
+        ...req.body,
+        campaign: req.body.campaign || req.campaignId,
+        merchant: req.body.merchant || process.env.MERCHANT_ID
+      });
 
-      res.status(200).json({
+      res.status(201).json({
         success: true,
-        message: 'Webhook processed successfully',
-        result: result
+        ...withJourneyEndpoint(journey)
       });
     } catch (error) {
-      console.error('Webhook processing error:', error);
-      res.status(500).json({
+      console.error(`Journey start error (${operator}):`, error);
+      res.status(error.status || 500).json({
         success: false,
         error: error.message
       });
@@ -760,44 +1071,54 @@ app.post('/hooks/alacrity',
   }
 );
 
-// Zain Bahrain specific webhook endpoint
-app.post('/hooks/zain-bh',
+// Complete the pending step of a journey (pin, token or fraud_token)
+app.post('/api/journeys/:journeyId/complete',
   ipWhitelistMiddleware,
+  requireScope('subscription:write'),
   async (req, res) => {
     try {
-      const webhookData = req.body;
-      console.log('Received Zain Bahrain webhook:', webhookData);
+      const { pin, token, fraud_token } = req.body;
 
-      // Store webhook event
-      const db = await getDB();
-      if (db) {
-        await db.query(
-          `INSERT INTO webhook_events (
-            event_id, operator, event_type, payload, received_at
-          ) VALUES ($1, $2, $3, $4, $5)`,
-          [
-            webhookData.eventId || crypto.randomUUID(),
-            'zain-bh',
-            webhookData.eventType || 'notification',
-            JSON.stringify(webhookData),
-            new Date()
-          ]
-        );
-      }
+      const journey = await slaIntegration.completeJourney(req.params.journeyId, {
+        pin,
+        token,
+        fraud_token
+      });
 
-      // Process Zain-specific webhook data
-      const result = await slaIntegration.processWebhook({
-        ...webhookData,
-        operator: 'zain-bh'
+      res.json({
+        success: journey.status !== 'FAILED',
+        ...withJourneyEndpoint(journey)
+      });
+    } catch (error) {
+      console.error('Journey completion error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
       });
+    }
+  }
+);
 
-      res.status(200).json({
+// Get journey status
+app.get('/api/journeys/:journeyId',
+  ipWhitelistMiddleware,
+  requireScope('subscription:read'),
+  async (req, res) => {
+    try {
+      const journey = await slaIntegration.getJourney(req.params.journeyId);
+
+      if (!journey) {
+        return res.status(404).json({
+          success: false,
+          error: 'Journey not found or expired'
+        });
+      }
+
+      res.json({
         success: true,
-        operator: 'zain-bh',
-        result: result
+        ...withJourneyEndpoint(journey)
       });
     } catch (error) {
-      console.error('Zain Bahrain webhook error:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -806,30 +1127,68 @@ app.post('/hooks/zain-bh',
   }
 );
 
+// ============================================
+// WEBHOOK ENDPOINTS
+// ============================================
+
+// One pipeline for every webhook URL: WebhookHandler stores the notification in
+// the inbox and acknowledges it; the inbox worker runs the handler's flow,
+// subscription lifecycle and callback processing, retrying failures
+const webhookHandler = slaIntegration.webhookHandler;
+
+// /hooks/webhook, /hooks/webhook/:operator, /hooks/webhook/status, /hooks/webhook/history
+app.use('/hooks', webhookHandler.createRouter({
+  verifySignature: validateWebhookSignature,
+  verifySource: webhookSourceWhitelist,
+  verifyInternal: [ipWhitelistMiddleware, requireScope('internal:read')]
+}));
+
+// Main Alacrity webhook endpoint (URL registered with SLA)
+app.post('/hooks/alacrity',
+  validateWebhookSignature,
+  (req, res) => webhookHandler.handleWebhook(req, res)
+);
+
+// Zain Bahrain specific webhook endpoint
+app.post('/hooks/zain-bh',
+  webhookSourceWhitelist,
+  validateWebhookSignature,
+  (req, res) => {
+    req.params.operator = 'zain-bh';
+    return webhookHandler.handleOperatorWebhook(req, res);
+  }
+);
+
 // ============================================
 // INTERNAL API ENDPOINTS
 // ============================================
 
-// Test Zain Bahrain credentials
-app.post('/internal/test-credentials/zain-bh',
+// Test operator credentials and configuration
+app.post('/internal/test-credentials/:operator',
   ipWhitelistMiddleware,
+  requireScope('internal:read'),
+  resolveOperator,
   async (req, res) => {
+    const { operator } = req;
+
     try {
       const testClient = new SLADigitalIntegration(SLA_ENV);
-      const config = testClient.getOperatorConfig('zain-bh');
+      const config = testClient.getOperatorConfig(operator);
 
       res.json({
         success: true,
-        operator: 'zain-bh',
+        operator,
         node_environment: NODE_ENV,
         sla_environment: SLA_ENV,
         configured: !!config,
         features: config ? {
-          supportsPIN: testClient.supportsPINAPI('zain-bh'),
-          flowType: config.flowType,
+          supportsPIN: testClient.supportsPINAPI(operator),
+          flowType: config.flow,
           country: config.country,
-          pinLength: process.env.ZAIN_BH_PIN_LENGTH || 6,
-          serviceId: process.env.OPERATOR_ZAIN_BH_SERVICE_ID ? 'configured' : 'missing',
+          currency: config.currency,
+          pinLength: config.pinLength,
+          serviceId: req.campaignId ? 'configured' : 'missing',
+          serviceIdVariable: getCampaignEnvVar(operator),
           checkoutUrl: config.checkoutUrl
         } : null
       });
@@ -842,31 +1201,414 @@ app.post('/internal/test-credentials/zain-bh',
   }
 );
 
-// Get Zain Bahrain transactions
-app.get('/internal/zain-bh/transactions',
+// Replay stored webhook events by id, or by received time range (optionally one operator)
+app.post('/internal/webhooks/replay',
+  ipWhitelistMiddleware,
+  requireScope('internal:write'),
+  async (req, res) => {
+    try {
+      const { id, from, to, operator } = req.body;
+
+      if (!id && !(from && to)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide an event id, or from and to timestamps'
+        });
+      }
+
+      const range = { from: new Date(from), to: new Date(to) };
+
+      if (!id && (isNaN(range.from) || isNaN(range.to) || range.from > range.to)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range'
+        });
+      }
+
+      const ids = await slaIntegration.webhookInbox.replay(id ? { id } : { ...range, operator });
+
+      if (id && ids.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook event not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        replayed: ids.length,
+        eventIds: ids
+      });
+    } catch (error) {
+      console.error('Webhook replay error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Webhook events that exhausted their processing attempts
+app.get('/internal/webhooks/dead-letters',
+  ipWhitelistMiddleware,
+  requireScope('internal:read'),
+  async (req, res) => {
+    try {
+      const { limit = 50 } = req.query;
+      const events = await slaIntegration.webhookInbox.repository.findDeadLetters(limit);
+
+      res.json({
+        success: true,
+        count: events.length,
+        events
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Register a merchant webhook endpoint; the signing secret is only returned here
+app.post('/internal/merchant-webhooks',
+  ipWhitelistMiddleware,
+  requireScope('internal:write'),
+  async (req, res) => {
+    try {
+      const { merchant, campaign, url, events = ['*'] } = req.body;
+      const knownEvents = slaIntegration.merchantNotifier.options.events;
+
+      if (!merchant || !url) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required parameters: merchant, url'
+        });
+      }
+
+      let parsedUrl;
+      try {
+        parsedUrl = new URL(url);
+      } catch (error) {
+        parsedUrl = null;
+      }
+
+      if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return res.status(400).json({
+          success: false,
+          error: 'url must be an http(s) URL'
+        });
+      }
+
+      const unknown = [].concat(events).filter(event => event !== '*' && !knownEvents.includes(event));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown events: ${unknown.join(', ')}. Valid events: *, ${knownEvents.join(', ')}`
+        });
+      }
+
+      const endpoint = await slaIntegration.merchantNotifier.repository.createEndpoint({
+        merchant,
+        campaign: campaign || null,
+        url,
+        secret: crypto.randomBytes(32).toString('hex'),
+        events: [].concat(events)
+      });
+
+      res.status(201).json({
+        success: true,
+        endpoint
+      });
+    } catch (error) {
+      console.error('Merchant webhook registration error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// List merchant webhook endpoints (?merchant)
+app.get('/internal/merchant-webhooks',
+  ipWhitelistMiddleware,
+  requireScope('internal:read'),
+  async (req, res) => {
+    try {
+      const endpoints = await slaIntegration.merchantNotifier.repository.listEndpoints(req.query.merchant || null);
+
+      res.json({
+        success: true,
+        count: endpoints.length,
+        endpoints: endpoints.map(({ secret, ...endpoint }) => endpoint)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Merchant webhook deliveries (?endpointId, ?status, ?limit)
+app.get('/internal/merchant-webhooks/deliveries',
   ipWhitelistMiddleware,
+  requireScope('internal:read'),
   async (req, res) => {
+    try {
+      const { endpointId, status, limit = 50 } = req.query;
+      const deliveries = await slaIntegration.merchantNotifier.repository.listDeliveries({
+        endpointId: endpointId || null,
+        status: status || null,
+        limit
+      });
+
+      res.json({
+        success: true,
+        count: deliveries.length,
+        deliveries
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Send a merchant webhook delivery again
+app.post('/internal/merchant-webhooks/deliveries/:id/redeliver',
+  ipWhitelistMiddleware,
+  requireScope('internal:write'),
+  async (req, res) => {
+    try {
+      const delivery = await slaIntegration.merchantNotifier.redeliver(req.params.id);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        delivery
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Stop sending to a merchant webhook endpoint
+app.delete('/internal/merchant-webhooks/:id',
+  ipWhitelistMiddleware,
+  requireScope('internal:write'),
+  async (req, res) => {
+    try {
+      const endpoint = await slaIntegration.merchantNotifier.repository.deactivateEndpoint(req.params.id);
+
+      if (!endpoint) {
+        return res.status(404).json({
+          success: false,
+          error: 'Endpoint not found'
+        });
+      }
+
+      const { secret, ...details } = endpoint;
+
+      res.json({
+        success: true,
+        endpoint: details
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Register an API client; the key is only returned here
+// A client can only grant scopes it holds itself
+app.post('/internal/api-clients',
+  ipWhitelistMiddleware,
+  requireScope('clients:manage'),
+  [
+    body('name').isString().trim().notEmpty().withMessage('name is required'),
+    body('scopes').isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+    body('rateLimitPerMinute').optional().isInt({ min: 1 }).withMessage('rateLimitPerMinute must be a positive integer')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { name, scopes, rateLimitPerMinute } = req.body;
+      const notHeld = req.apiClient ? scopes.filter(scope => !ApiClientAuth.hasScope(req.apiClient, scope)) : [];
+
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `Cannot grant scopes you do not hold: ${notHeld.join(', ')}`,
+          code: 'INSUFFICIENT_SCOPE'
+        });
+      }
+
+      const { client, apiKey } = await apiClientAuth.createClient({
+        name,
+        scopes,
+        rateLimitPerMinute: rateLimitPerMinute ? parseInt(rateLimitPerMinute) : null
+      });
+
+      res.status(201).json({
+        success: true,
+        client,
+        apiKey
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// List API clients (?includeRevoked=true)
+app.get('/internal/api-clients',
+  ipWhitelistMiddleware,
+  requireScope('clients:manage'),
+  async (req, res) => {
+    try {
+      const clients = await apiClientAuth.repository.list({
+        includeRevoked: req.query.includeRevoked === 'true'
+      });
+
+      res.json({
+        success: true,
+        count: clients.length,
+        clients
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Revoke an API client's key
+app.delete('/internal/api-clients/:id',
+  ipWhitelistMiddleware,
+  requireScope('clients:manage'),
+  async (req, res) => {
+    try {
+      const client = await apiClientAuth.repository.revoke(req.params.id);
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'API client not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        client
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Audit trail (?operator, ?operation, ?userId, ?from, ?to, ?limit)
+app.get('/internal/audit',
+  ipWhitelistMiddleware,
+  requireScope('internal:read'),
+  async (req, res) => {
+    try {
+      const { operator, operation, userId, from, to, limit = 100 } = req.query;
+      const range = { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+
+      if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range'
+        });
+      }
+
+      const records = await auditRepository.find({
+        operator: operator || null,
+        operation: operation || null,
+        userId: userId || null,
+        ...range,
+        limit: Math.min(parseInt(limit) || 100, 1000)
+      });
+
+      res.json({
+        success: true,
+        count: records.length,
+        records
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Get operator transactions
+app.get('/internal/:operator/transactions',
+  ipWhitelistMiddleware,
+  requireScope('internal:read'),
+  resolveOperator,
+  async (req, res) => {
+    const { operator } = req;
+
     try {
       const { limit = 10 } = req.query;
-      
+
       const db = await getDB();
       if (!db) {
         return res.status(503).json({ error: 'Database unavailable' });
       }
 
       const result = await db.query(
-        `SELECT * FROM transactions 
-         WHERE operator_code = 'zain-bh'
+        `SELECT * FROM transactions
+         WHERE operator_code = $1
          ORDER BY created_at DESC
-         LIMIT $1`,
-        [limit]
+         LIMIT $2`,
+        [operator, limit]
       );
 
       res.json({
         success: true,
-        operator: 'zain-bh',
+        operator,
         count: result.rows.length,
-        transactions: result.rows
+        transactions: result.rows.map(({ msisdn_hash, ...row }) => fieldCipher.decryptFields(row))
       });
     } catch (error) {
       res.status(500).json({
@@ -912,6 +1654,17 @@ async function startServer() {
     await connectDB();
     console.log('Database connected successfully');
 
+    // Purge expired checkout sessions, PIN attempts and journeys
+    slaIntegration.flowManager.sessionStore.startCleanup();
+
+    // Purge Idempotency-Key entries past their replay window
+    idempotencyGuard.startCleanup();
+
+    // Process stored webhooks and send merchant notifications in the background
+    slaIntegration.webhookInbox.start();
+    slaIntegration.merchantNotifier.start();
+    slaIntegration.outbox.start();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       console.log(`
@@ -923,21 +1676,45 @@ async function startServer() {
         Port: ${PORT}
         Database: PostgreSQL
         
-        Zain Bahrain Endpoints:
-        - POST   /api/zain-bh/pin           - Generate OTP PIN
-        - POST   /api/zain-bh/subscription  - Create subscription (PIN or TOKEN)
-        - POST   /api/zain-bh/charge        - One-off charge (PIN or TOKEN)
-        - DELETE /api/zain-bh/subscription  - Cancel subscription
-        - GET    /api/zain-bh/checkout-url  - Get checkout URL (with redirect_url)
+        Operator Endpoints (:operator = any code in operators.config.js):
+        - POST   /api/:operator/pin           - Generate OTP PIN
+        - POST   /api/:operator/subscription  - Create subscription (PIN or TOKEN)
+        - POST   /api/:operator/charge        - One-off charge (PIN or TOKEN)
+        - GET    /api/:operator/allowance/:msisdn - Remaining spending allowance
+        - DELETE /api/:operator/subscription  - Cancel subscription
+        - GET    /api/:operator/subscriptions/:uuid/timeline - Status history
+        - GET    /api/:operator/checkout-url  - Get checkout URL (with redirect_url)
         
         SMS Endpoints:
-        - POST   /api/zain-bh/sms           - Send generic SMS
-        - POST   /api/zain-bh/welcome-sms   - Send welcome SMS
-        - POST   /api/zain-bh/batch-sms     - Send batch SMS
+        - POST   /api/:operator/sms           - Send generic SMS
+        - POST   /api/:operator/welcome-sms   - Send welcome SMS
+        - POST   /api/:operator/batch-sms     - Send batch SMS
+        
+        Subscription Journeys:
+        - POST   /api/:operator/journeys      - Start journey (returns nextStep)
+        - POST   /api/journeys/:id/complete   - Complete step (pin, token, fraud_token)
+        - GET    /api/journeys/:id            - Journey status
         
         Webhook URLs:
         - POST   /hooks/alacrity            - Main webhook
         - POST   /hooks/zain-bh             - Zain Bahrain webhook
+        - POST   /hooks/webhook             - Main webhook (alias)
+        - POST   /hooks/webhook/:operator   - Operator-specific webhook
+        - GET    /hooks/webhook/status      - Recently processed webhooks
+        - GET    /hooks/webhook/history     - Webhook history (?operator, ?limit)
+        
+        Internal:
+        - POST   /internal/webhooks/replay       - Replay stored webhooks (id or time range)
+        - GET    /internal/webhooks/dead-letters - Webhooks that exhausted retries
+        - POST   /internal/merchant-webhooks     - Register merchant endpoint
+        - GET    /internal/merchant-webhooks     - List merchant endpoints
+        - DELETE /internal/merchant-webhooks/:id - Deactivate merchant endpoint
+        - GET    /internal/merchant-webhooks/deliveries - Delivery attempts
+        - POST   /internal/merchant-webhooks/deliveries/:id/redeliver - Send again
+        - POST   /internal/api-clients          - Register API client (returns key)
+        - GET    /internal/api-clients          - List API clients
+        - DELETE /internal/api-clients/:id      - Revoke API client
+        - GET    /internal/audit                - Audit trail (operator, operation, time range)
         
         Health Check:
         - GET    /health                    - Server health status
@@ -953,6 +1730,12 @@ async function startServer() {
         console.log('HTTP server closed');
       });
 
+      slaIntegration.flowManager.sessionStore.stopCleanup();
+      idempotencyGuard.stopCleanup();
+      slaIntegration.webhookInbox.stop();
+      slaIntegration.merchantNotifier.stop();
+      slaIntegration.outbox.stop();
+
       // Close database connections
       const db = await getDB();
       if (db) {
@@ -93,8 +93,31 @@ const apiConfig = {
     contentType: 'application/json',
     accept: 'application/json',
     timeout: 30000, // 30 seconds
-    retries: 3,
-    retryDelay: 1000 // 1 second
+    retries: 3, // Retries after the first attempt
+    retryDelay: 1000, // 1 second, doubled on every retry
+    maxRetryDelay: 10000, // 10 seconds
+    retryableStatusCodes: [429, 500, 502, 503, 504],
+    retryableErrorCodes: [
+      '3001', // PIN sending failed
+      '5001', // Charge failed
+      '8001'  // SMS sending failed
+    ],
+    retryableNetworkErrors: ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ENETUNREACH'],
+    // Failures before the request reached the API; safe to retry for any endpoint
+    connectionErrors: ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'],
+    // Requests that move money; retried only when they carry a correlator or transaction_id
+    chargingEndpoints: ['/v2.2/charge', '/v2.2/refund', '/v2.2/subscription/create']
+  },
+
+  // Per-operator circuit breaker around SLA API calls
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    windowSize: 20, // Most recent calls used for the failure rate
+    minimumRequests: 10, // Calls required before the circuit can open
+    failureRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_FAILURE_RATE || 0.5),
+    openDuration: parseInt(process.env.CIRCUIT_BREAKER_OPEN_MS || 30000), // Fail fast for 30 seconds
+    halfOpenMaxProbes: 1, // Concurrent probe requests once the open period ends
+    halfOpenSuccessThreshold: 2 // Successful probes needed to close again
   },
 
   // Response Status Codes
@@ -187,11 +210,69 @@ const apiConfig = {
       'charge.failed'
     ],
     timeout: 10000, // 10 seconds
-    retries: 3
+    retries: 3,
+    // Background processing of stored webhook events
+    inbox: {
+      pollInterval: parseInt(process.env.WEBHOOK_INBOX_POLL_MS || 5000),
+      batchSize: 20,
+      maxAttempts: parseInt(process.env.WEBHOOK_INBOX_MAX_ATTEMPTS || 8), // Then dead-lettered
+      retryDelay: 30000, // First retry after 30 seconds, doubling each attempt
+      maxRetryDelay: 3600000, // 1 hour
+      lockDuration: 60000 // Lease on a claimed event
+    }
+  },
+
+  // Outbound lifecycle notifications to merchant endpoints
+  merchantWebhooks: {
+    enabled: process.env.MERCHANT_WEBHOOKS_ENABLED !== 'false',
+    events: [
+      'subscription.created',
+      'subscription.renewed',
+      'subscription.suspended',
+      'subscription.deleted',
+      'subscription.status_changed',
+      'charge.failed'
+    ],
+    timeout: 10000,
+    maxAttempts: parseInt(process.env.MERCHANT_WEBHOOKS_MAX_ATTEMPTS || 10), // Then FAILED
+    retryDelay: 60000, // First retry after a minute, doubling each attempt
+    maxRetryDelay: 21600000, // 6 hours
+    pollInterval: 10000,
+    batchSize: 20,
+    lockDuration: 60000
+  },
+
+  // Local journal for records of completed SLA calls the database could not take
+  outbox: {
+    file: process.env.OUTBOX_FILE || 'data/outbox.jsonl',
+    flushInterval: parseInt(process.env.OUTBOX_FLUSH_MS || 30000),
+    retryDelay: 5000 // First replay after a failed write
+  },
+
+  // Idempotency-Key handling for charge and subscription requests
+  idempotency: {
+    windowMs: parseInt(process.env.IDEMPOTENCY_WINDOW_MS || 24 * 60 * 60 * 1000), // Replay window for stored responses
+    lockMs: parseInt(process.env.IDEMPOTENCY_LOCK_MS || 5 * 60 * 1000), // How long a request may hold a key
+    purgeInterval: 60 * 60 * 1000 // Expired keys are removed hourly
+  },
+
+  // Authentication of callers of /api and /internal
+  auth: {
+    enabled: process.env.API_AUTH_ENABLED !== 'false', // Cannot be disabled in production
+    jwtSecret: process.env.JWT_SECRET, // HS256 bearer tokens; at least 32 characters
+    jwtClockTolerance: 30, // seconds
+    jwtMaxLifetime: parseInt(process.env.JWT_MAX_LIFETIME || 24 * 60 * 60), // Longest accepted exp - iat, in seconds
+    internalApiKey: process.env.INTERNAL_API_KEY, // Bootstrap key with every scope
+    rateLimitBackend: process.env.SLA_RATE_LIMIT_BACKEND, // postgres | memory
+    defaultRateLimitPerMinute: parseInt(process.env.API_CLIENT_RATE_LIMIT_PER_MINUTE || 120)
   },
 
-  // Rate Limiting
+  // Rate Limiting (outbound SLA API calls)
   rateLimit: {
+    enabled: process.env.SLA_RATE_LIMIT_ENABLED !== 'false',
+    backend: process.env.SLA_RATE_LIMIT_BACKEND, // postgres | memory
+    mode: process.env.SLA_RATE_LIMIT_MODE || 'queue', // queue | reject
+    maxQueueWaitMs: parseInt(process.env.SLA_RATE_LIMIT_MAX_WAIT_MS || 10000), // Longest a call waits for a token
     default: {
       requests: 100,
       period: 60 // seconds
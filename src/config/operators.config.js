@@ -417,6 +417,12 @@ function getOperatorsByFlow(flowType) {
     .map(([code, config]) => ({ code, ...config }));
 }
 
+// Helper function to check that a code (e.g. from a URL) names a configured operator
+// Own properties only, so 'constructor' or '__proto__' never match
+function isKnownOperator(operatorCode) {
+  return typeof operatorCode === 'string' && Object.prototype.hasOwnProperty.call(operatorConfigs, operatorCode);
+}
+
 // Helper function to check if operator supports PIN API
 function supportsPINAPI(operatorCode) {
   const config = operatorConfigs[operatorCode];
@@ -475,13 +481,28 @@ function getTestCredentials(operatorCode) {
   };
 }
 
+// Helper function to get the environment variable holding an operator's campaign ID
+// e.g. 'zain-bh' -> OPERATOR_ZAIN_BH_SERVICE_ID
+function getCampaignEnvVar(operatorCode) {
+  return `OPERATOR_${operatorCode.toUpperCase().replace(/-/g, '_')}_SERVICE_ID`;
+}
+
+// Helper function to resolve the campaign ID for an operator
+// Falls back to DEFAULT_CAMPAIGN_ID when no operator-specific campaign is configured
+function getCampaignId(operatorCode) {
+  return process.env[getCampaignEnvVar(operatorCode)] || process.env.DEFAULT_CAMPAIGN_ID;
+}
+
 module.exports = {
   operatorConfigs,
   getOperatorsByCountry,
   getOperatorsByFlow,
+  isKnownOperator,
   supportsPINAPI,
   getCheckoutUrl,
   getApiBaseUrl,
   requiresCheckoutRedirect,
-  getTestCredentials
+  getTestCredentials,
+  getCampaignEnvVar,
+  getCampaignId
 };
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 
 const { Pool } = require('pg');
+const { listMigrationFiles } = require('./migrationFiles');
 require('dotenv').config();
 
 let pool;
@@ -33,10 +34,54 @@ function createPool() {
   return new Pool(config);
 }
 
+/**
+ * Migrations on disk that have not been run against the database
+ */
+async function findPendingMigrations(db) {
+  const exists = await db.query(`SELECT to_regclass('migrations') AS name`);
+  const executed = exists.rows[0].name
+    ? new Set((await db.query('SELECT filename FROM migrations')).rows.map(row => row.filename))
+    : new Set();
+
+  return (await listMigrationFiles()).filter(file => !executed.has(file));
+}
+
+/**
+ * Compare the schema with the migrations on disk
+ * DB_SCHEMA_CHECK: error (refuse to start), warn or off; error by default in production
+ */
+async function checkSchema(db) {
+  const mode = process.env.DB_SCHEMA_CHECK || (process.env.NODE_ENV === 'production' ? 'error' : 'warn');
+
+  if (mode === 'off') {
+    return;
+  }
+
+  const pending = await findPendingMigrations(db);
+
+  if (pending.length === 0) {
+    return;
+  }
+
+  const message = `Database schema is behind: ${pending.length} pending migration(s): ${pending.join(', ')}. Run npm run migrate`;
+
+  if (mode === 'error') {
+    const error = new Error(message);
+    error.code = 'SCHEMA_OUTDATED';
+    error.pending = pending;
+    throw error;
+  }
+
+  console.warn(message);
+}
+
 /**
  * Connect to PostgreSQL database
+ * The schema is checked on the first connection unless checkSchema is false
  */
-async function connectDB() {
+async function connectDB(options = {}) {
+  const { checkSchema: shouldCheckSchema = true } = options;
+
   try {
     if (!pool) {
       pool = createPool();
@@ -47,6 +92,15 @@ async function connectDB() {
       client.release();
       
       console.log('PostgreSQL connected successfully');
+
+      if (shouldCheckSchema) {
+        try {
+          await checkSchema(pool);
+        } catch (error) {
+          await closeDB();
+          throw error;
+        }
+      }
       
       // Handle pool errors
       pool.on('error', (err, client) => {
@@ -65,7 +119,8 @@ async function connectDB() {
  */
 async function getDB() {
   if (!pool) {
-    await connectDB();
+    // Migrations connect through here, so they must not be blocked by the check
+    await connectDB({ checkSchema: false });
   }
   return pool;
 }
@@ -90,29 +145,48 @@ async function query(text, params) {
 }
 
 /**
- * Execute a transaction
+ * Run callback(client) as one unit of work: committed when it resolves, rolled back
+ * when it throws. db may be a pool, or a client already inside a transaction, in
+ * which case the callback joins that transaction
  */
-async function transaction(callback) {
-  const db = await getDB();
-  const client = await db.connect();
-  
+async function withTransaction(callback, db = null) {
+  if (db && typeof db.release === 'function') {
+    return callback(db);
+  }
+
+  const source = db || await getDB();
+  const client = await source.connect();
+
   try {
     await client.query('BEGIN');
     const result = await callback(client);
     await client.query('COMMIT');
+    client.release();
     return result;
   } catch (error) {
-    await client.query('ROLLBACK');
+    // A connection that cannot roll back is discarded rather than returned to the pool
+    await client.query('ROLLBACK').then(
+      () => client.release(),
+      rollbackError => client.release(rollbackError)
+    );
     throw error;
-  } finally {
-    client.release();
   }
 }
 
+/**
+ * Execute a transaction
+ */
+async function transaction(callback) {
+  return withTransaction(callback);
+}
+
 module.exports = {
   connectDB,
+  checkSchema,
+  findPendingMigrations,
   getDB,
   closeDB,
   query,
-  transaction
+  transaction,
+  withTransaction
 };
\ No newline at end of file
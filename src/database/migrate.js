@@ -1,18 +1,27 @@
 /**
  * Database Migration Runner
  * Executes SQL migrations for PostgreSQL
+ * Data migrations that need application code are .js files exporting up(client) and down(client)
+ *
+ * Each NNN_name.sql is paired with NNN_name.rollback.sql, which undoes it.
+ * The checksum of every executed migration is recorded; an applied file that
+ * has since been edited is reported as modified and blocks further migrations.
+ *
+ * Usage: node migrate.js [status | rollback | reset] [--dry-run]
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { getDB } = require('./connection');
+const { MIGRATIONS_DIR, listMigrationFiles } = require('./migrationFiles');
 
 /**
  * Create migrations table if not exists
  */
 async function createMigrationsTable() {
   const db = await getDB();
-  
+
   await db.query(`
     CREATE TABLE IF NOT EXISTS migrations (
       id SERIAL PRIMARY KEY,
@@ -20,76 +29,157 @@ async function createMigrationsTable() {
       executed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
     )
   `);
+
+  // Recorded since down-migrations were introduced; older rows are filled in on the next run
+  await db.query('ALTER TABLE migrations ADD COLUMN IF NOT EXISTS checksum CHAR(64)');
 }
 
 /**
- * Check if migration has been executed
+ * SHA-256 of a migration file's contents
  */
-async function isMigrationExecuted(filename) {
-  const db = await getDB();
-  const result = await db.query(
-    'SELECT * FROM migrations WHERE filename = $1',
-    [filename]
-  );
-  return result.rows.length > 0;
+function checksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
 }
 
 /**
- * Mark migration as executed
+ * Rollback file paired with a migration
  */
-async function markMigrationExecuted(filename) {
+function rollbackFileFor(filename) {
+  return filename.replace(/\.sql$/, '.rollback.sql');
+}
+
+/**
+ * Migrations on disk with their contents and checksums
+ */
+async function loadMigrations() {
+  const files = await listMigrationFiles();
+
+  return Promise.all(files.map(async (filename) => {
+    const filePath = path.join(MIGRATIONS_DIR, filename);
+    const content = await fs.readFile(filePath, 'utf8');
+
+    return { filename, filePath, content, checksum: checksum(content) };
+  }));
+}
+
+/**
+ * Rows of the migrations table; none when it does not exist yet
+ */
+async function readAppliedMigrations() {
   const db = await getDB();
-  await db.query(
-    'INSERT INTO migrations (filename) VALUES ($1)',
-    [filename]
-  );
+  const exists = await db.query(`SELECT to_regclass('migrations') AS name`);
+
+  if (!exists.rows[0].name) {
+    return [];
+  }
+
+  const result = await db.query('SELECT * FROM migrations ORDER BY id');
+  return result.rows;
+}
+
+/**
+ * State of each migration: applied, pending, modified (applied, then edited)
+ * or missing (applied, file no longer on disk)
+ */
+function migrationStatus(migrations, appliedRows) {
+  const applied = new Map(appliedRows.map(row => [row.filename, row]));
+  const onDisk = new Set(migrations.map(migration => migration.filename));
+
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.filename);
+
+    if (!row) {
+      return { filename: migration.filename, state: 'pending', executedAt: null };
+    }
+
+    return {
+      filename: migration.filename,
+      state: row.checksum && row.checksum !== migration.checksum ? 'modified' : 'applied',
+      executedAt: row.executed_at
+    };
+  });
+
+  for (const row of appliedRows) {
+    if (!onDisk.has(row.filename)) {
+      status.push({ filename: row.filename, state: 'missing', executedAt: row.executed_at });
+    }
+  }
+
+  return status;
 }
 
 /**
  * Run all pending migrations
+ * With dryRun the SQL that would run is printed instead
  */
-async function runMigrations() {
-  console.log('Running database migrations...');
-  
+async function runMigrations({ dryRun = false } = {}) {
+  console.log(dryRun ? 'Dry run: pending migrations' : 'Running database migrations...');
+
   try {
     const db = await getDB();
-    
+
     // Create migrations table
-    await createMigrationsTable();
-    
-    // Get all migration files
-    const migrationsDir = path.join(__dirname, 'migrations');
-    const files = await fs.readdir(migrationsDir);
-    const sqlFiles = files.filter(f => f.endsWith('.sql')).sort();
-    
-    for (const file of sqlFiles) {
-      // Check if already executed
-      const executed = await isMigrationExecuted(file);
-      if (executed) {
+    if (!dryRun) {
+      await createMigrationsTable();
+    }
+
+    const migrations = await loadMigrations();
+    const appliedRows = await readAppliedMigrations();
+    const status = migrationStatus(migrations, appliedRows);
+
+    const modified = status.filter(item => item.state === 'modified').map(item => item.filename);
+    if (modified.length > 0) {
+      const error = new Error(
+        `Applied migrations were modified: ${modified.join(', ')}. ` +
+        'Restore them and make the change in a new migration'
+      );
+      error.code = 'MIGRATION_MODIFIED';
+      throw error;
+    }
+
+    const applied = new Map(appliedRows.map(row => [row.filename, row]));
+
+    for (const migration of migrations) {
+      const { filename: file, filePath } = migration;
+      const row = applied.get(file);
+
+      if (row) {
+        // Applied before checksums were recorded
+        if (!row.checksum && !dryRun) {
+          await db.query('UPDATE migrations SET checksum = $1 WHERE id = $2', [migration.checksum, row.id]);
+        }
         console.log(`Skipping ${file} (already executed)`);
         continue;
       }
-      
+
+      if (dryRun) {
+        printMigration(file, file.endsWith('.js') ? 'up(client)' : migration.content);
+        continue;
+      }
+
       console.log(`Executing ${file}...`);
-      
-      // Read migration file
-      const filePath = path.join(migrationsDir, file);
-      const sql = await fs.readFile(filePath, 'utf8');
-      
+
       // Execute the entire migration as a single transaction
       const client = await db.connect();
       try {
         await client.query('BEGIN');
-        
-        // Execute the entire SQL file at once
-        // This preserves the order and context of statements
-        await client.query(sql);
-        
+
+        if (file.endsWith('.js')) {
+          await require(filePath).up(client);
+        } else {
+          // Execute the entire SQL file at once
+          // This preserves the order and context of statements
+          await client.query(migration.content);
+        }
+
+        // Mark as executed with the migration, so a failure leaves neither behind
+        await client.query(
+          'INSERT INTO migrations (filename, checksum) VALUES ($1, $2)',
+          [file, migration.checksum]
+        );
+
         await client.query('COMMIT');
         console.log(`Migration ${file} completed successfully`);
-        
-        // Mark as executed
-        await markMigrationExecuted(file);
       } catch (error) {
         await client.query('ROLLBACK');
         console.error(`Migration ${file} failed:`, error.message);
@@ -98,52 +188,76 @@ async function runMigrations() {
         client.release();
       }
     }
-    
-    console.log('All migrations completed successfully');
+
+    console.log(dryRun ? 'Dry run complete, nothing was executed' : 'All migrations completed successfully');
   } catch (error) {
     console.error('Migration error:', error);
     throw error;
   }
 }
 
+function printMigration(file, sql) {
+  console.log(`\n-- ${file}\n${sql.trim()}\n`);
+}
+
 /**
  * Rollback last migration
+ * With dryRun the rollback SQL is printed instead
  */
-async function rollbackLastMigration() {
-  console.log('Rolling back last migration...');
-  
+async function rollbackLastMigration({ dryRun = false } = {}) {
+  console.log(dryRun ? 'Dry run: rollback of the last migration' : 'Rolling back last migration...');
+
   try {
     const db = await getDB();
-    
+
     // Get last executed migration
-    const result = await db.query(
-      'SELECT * FROM migrations ORDER BY executed_at DESC LIMIT 1'
-    );
-    
-    if (result.rows.length === 0) {
+    const [migration] = (await readAppliedMigrations()).reverse();
+
+    if (!migration) {
       console.log('No migrations to rollback');
       return;
     }
-    
-    const migration = result.rows[0];
+
     console.log(`Rolling back ${migration.filename}...`);
-    
-    // Look for corresponding rollback file
-    const rollbackFile = migration.filename.replace('.sql', '.rollback.sql');
-    const rollbackPath = path.join(__dirname, 'migrations', rollbackFile);
-    
+
+    const isScript = migration.filename.endsWith('.js');
+    const rollbackFile = isScript ? migration.filename : rollbackFileFor(migration.filename);
+    const rollbackPath = path.join(MIGRATIONS_DIR, rollbackFile);
+
     try {
-      const sql = await fs.readFile(rollbackPath, 'utf8');
-      
+      let sql = null;
+      let down = null;
+
+      if (isScript) {
+        down = require(rollbackPath).down;
+        if (!down) {
+          console.error(`${rollbackFile} has no down(client)`);
+          console.error('Manual rollback may be required');
+          return;
+        }
+      } else {
+        sql = await fs.readFile(rollbackPath, 'utf8');
+      }
+
+      if (dryRun) {
+        printMigration(rollbackFile, isScript ? 'down(client)' : sql);
+        return;
+      }
+
       // Execute rollback in a transaction
       const client = await db.connect();
       try {
         await client.query('BEGIN');
-        await client.query(sql);
-        
+
+        if (isScript) {
+          await down(client);
+        } else {
+          await client.query(sql);
+        }
+
         // Remove from migrations table
         await client.query('DELETE FROM migrations WHERE id = $1', [migration.id]);
-        
+
         await client.query('COMMIT');
         console.log(`Rollback completed for ${migration.filename}`);
       } catch (error) {
@@ -153,7 +267,7 @@ async function rollbackLastMigration() {
         client.release();
       }
     } catch (error) {
-      if (error.code === 'ENOENT') {
+      if (error.code === 'ENOENT' || error.code === 'MODULE_NOT_FOUND') {
         console.error(`No rollback file found: ${rollbackFile}`);
         console.error('Manual rollback may be required');
       } else {
@@ -166,34 +280,71 @@ async function rollbackLastMigration() {
   }
 }
 
+/**
+ * Print applied, pending, modified and missing migrations
+ * Returns the status list
+ */
+async function showStatus() {
+  const status = migrationStatus(await loadMigrations(), await readAppliedMigrations());
+
+  for (const item of status) {
+    const executedAt = item.executedAt ? new Date(item.executedAt).toISOString() : '';
+    console.log(`${item.state.padEnd(10)} ${item.filename.padEnd(45)} ${executedAt}`);
+  }
+
+  const counts = status.reduce((acc, item) => ({ ...acc, [item.state]: (acc[item.state] || 0) + 1 }), {});
+  console.log(`\n${Object.entries(counts).map(([state, count]) => `${count} ${state}`).join(', ')}`);
+
+  return status;
+}
+
+// Drops every table created by the migrations
+const RESET_SQL = `
+  DROP TABLE IF EXISTS migrations CASCADE;
+  DROP TABLE IF EXISTS sms_logs CASCADE;
+  DROP TABLE IF EXISTS batch_sms_logs CASCADE;
+  DROP TABLE IF EXISTS api_clients CASCADE;
+  DROP TABLE IF EXISTS merchant_webhook_deliveries CASCADE;
+  DROP TABLE IF EXISTS merchant_webhook_endpoints CASCADE;
+  DROP TABLE IF EXISTS rate_limit_buckets CASCADE;
+  DROP TABLE IF EXISTS idempotency_keys CASCADE;
+  DROP TABLE IF EXISTS subscription_status_history CASCADE;
+  DROP TABLE IF EXISTS flow_sessions CASCADE;
+  DROP TABLE IF EXISTS operation_audit CASCADE;
+  DROP TABLE IF EXISTS webhook_events CASCADE;
+  DROP TABLE IF EXISTS subscriptions CASCADE;
+  DROP TABLE IF EXISTS transactions CASCADE;
+  DROP TABLE IF EXISTS operators CASCADE;
+  DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
+`;
+
 /**
  * Reset database (dangerous - drops all tables)
+ * With dryRun the DROP statements and the migrations that would follow are printed instead
  */
-async function resetDatabase() {
+async function resetDatabase({ dryRun = false } = {}) {
+  if (dryRun) {
+    console.log('Dry run: database reset');
+    printMigration('reset', RESET_SQL);
+
+    const files = await listMigrationFiles();
+    console.log(`Then all ${files.length} migrations would run:\n${files.join('\n')}`);
+    console.log('Dry run complete, nothing was executed');
+    return;
+  }
+
   console.log('WARNING: Resetting database - this will drop all tables!');
   console.log('Waiting 3 seconds... Press Ctrl+C to cancel');
-  
+
   await new Promise(resolve => setTimeout(resolve, 3000));
-  
+
   try {
     const db = await getDB();
-    
-    // Drop all tables
-    await db.query(`
-      DROP TABLE IF EXISTS migrations CASCADE;
-      DROP TABLE IF EXISTS operators CASCADE;
-      DROP TABLE IF EXISTS transactions CASCADE;
-      DROP TABLE IF EXISTS subscriptions CASCADE;
-      DROP TABLE IF EXISTS webhook_events CASCADE;
-      DROP TABLE IF EXISTS operation_audit CASCADE;
-      DROP TABLE IF EXISTS operator_envs CASCADE;
-      DROP TABLE IF EXISTS merchant_profiles CASCADE;
-      DROP TABLE IF EXISTS ip_whitelists CASCADE;
-      DROP TABLE IF EXISTS acr_mappings CASCADE;
-    `);
-    
+
+    await db.query(RESET_SQL);
+
     console.log('Database reset complete');
-    
+
     // Now run migrations
     await runMigrations();
   } catch (error) {
@@ -204,21 +355,37 @@ async function resetDatabase() {
 
 // Run migrations if called directly
 if (require.main === module) {
-  const command = process.argv[2];
-  
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+
   if (command === 'rollback') {
-    rollbackLastMigration()
+    rollbackLastMigration({ dryRun })
       .then(() => process.exit(0))
       .catch(() => process.exit(1));
+  } else if (command === 'status') {
+    showStatus()
+      .then(status => process.exit(status.some(item => item.state === 'modified') ? 1 : 0))
+      .catch((error) => {
+        console.error('Status error:', error);
+        process.exit(1);
+      });
   } else if (command === 'reset') {
-    resetDatabase()
+    resetDatabase({ dryRun })
       .then(() => process.exit(0))
       .catch(() => process.exit(1));
   } else {
-    runMigrations()
+    runMigrations({ dryRun })
       .then(() => process.exit(0))
       .catch(() => process.exit(1));
   }
 }
 
-module.exports = { runMigrations, rollbackLastMigration, resetDatabase };
\ No newline at end of file
+module.exports = {
+  runMigrations,
+  rollbackLastMigration,
+  resetDatabase,
+  showStatus,
+  migrationStatus,
+  checksum
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration Files
+ * Lists the migrations on disk, in the order they run
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * SQL and .js migrations, sorted by filename; rollback scripts are not migrations
+ */
+async function listMigrationFiles(dir = MIGRATIONS_DIR) {
+  const files = await fs.readdir(dir);
+
+  return files
+    .filter(file => (file.endsWith('.sql') && !file.endsWith('.rollback.sql')) || file.endsWith('.js'))
+    .sort();
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrationFiles
+};
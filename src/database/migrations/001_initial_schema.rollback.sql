@@ -0,0 +1,9 @@
+-- Rollback: initial schema
+
+DROP TABLE IF EXISTS operation_audit CASCADE;
+DROP TABLE IF EXISTS webhook_events CASCADE;
+DROP TABLE IF EXISTS subscriptions CASCADE;
+DROP TABLE IF EXISTS transactions CASCADE;
+DROP TABLE IF EXISTS operators CASCADE;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
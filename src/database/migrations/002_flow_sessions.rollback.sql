@@ -0,0 +1,3 @@
+-- Rollback: flow session store
+
+DROP TABLE IF EXISTS flow_sessions;
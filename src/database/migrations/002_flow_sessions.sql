@@ -0,0 +1,19 @@
+-- Flow session store
+-- Shared TTL storage for checkout sessions, PIN attempts, async flow references
+-- and subscription journeys so any instance can resume a flow
+
+-- Table: flow_sessions
+CREATE TABLE IF NOT EXISTS flow_sessions (
+  namespace VARCHAR(50) NOT NULL,
+  session_key VARCHAR(255) NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (namespace, session_key)
+);
+
+CREATE INDEX idx_flow_sessions_expires ON flow_sessions(expires_at);
+
+CREATE TRIGGER update_flow_sessions_updated_at BEFORE UPDATE ON flow_sessions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- Rollback: subscription status history
+
+DROP TABLE IF EXISTS subscription_status_history;
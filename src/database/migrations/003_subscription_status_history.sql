@@ -0,0 +1,18 @@
+-- Subscription status history
+-- One row per validated status transition, with what caused it
+
+-- Table: subscription_status_history
+CREATE TABLE IF NOT EXISTS subscription_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id VARCHAR(100) NOT NULL REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+  operator_code VARCHAR(50),
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  cause VARCHAR(20) NOT NULL CHECK (cause IN ('API', 'WEBHOOK', 'RECONCILIATION')),
+  reason TEXT,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_status_history_subscription ON subscription_status_history(subscription_id, created_at);
+CREATE INDEX idx_status_history_to_status ON subscription_status_history(to_status);
@@ -0,0 +1,20 @@
+-- Idempotency keys
+-- First response of a charge/subscription request, replayed for client retries
+
+-- Table: idempotency_keys
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  idempotency_key VARCHAR(255) NOT NULL,
+  operator_code VARCHAR(50) NOT NULL,
+  endpoint VARCHAR(200) NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'IN_PROGRESS',
+  response_status INTEGER,
+  response_body JSONB,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (idempotency_key, operator_code, endpoint)
+);
+
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys(expires_at);
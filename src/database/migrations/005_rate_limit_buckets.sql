@@ -0,0 +1,9 @@
+-- Rate limit buckets
+-- Token buckets for outbound SLA API calls, shared by all instances
+
+-- Table: rate_limit_buckets
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  bucket_key VARCHAR(100) PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
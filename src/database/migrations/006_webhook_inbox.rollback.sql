@@ -0,0 +1,9 @@
+-- Rollback: webhook inbox
+-- Events still waiting for the worker stay unprocessed
+
+DROP INDEX IF EXISTS idx_webhook_events_due;
+DROP INDEX IF EXISTS idx_webhook_events_received;
+
+ALTER TABLE webhook_events
+  DROP COLUMN IF EXISTS next_attempt_at,
+  DROP COLUMN IF EXISTS locked_until;
@@ -0,0 +1,19 @@
+-- Webhook inbox
+-- Retry scheduling and worker leases for asynchronously processed webhook events
+
+ALTER TABLE webhook_events
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Existing rows were processed inline on receipt but never marked; keep the worker off them
+UPDATE webhook_events SET
+  processed = true,
+  processed_at = COALESCE(processed_at, received_at),
+  next_attempt_at = NULL;
+
+-- Due events; unprocessed events with no next attempt are dead letters
+CREATE INDEX IF NOT EXISTS idx_webhook_events_due
+  ON webhook_events(next_attempt_at)
+  WHERE processed = false AND next_attempt_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at);
@@ -0,0 +1,5 @@
+-- Rollback: webhook event fingerprint
+
+DROP INDEX IF EXISTS idx_webhook_events_fingerprint;
+
+ALTER TABLE webhook_events DROP COLUMN IF EXISTS fingerprint;
@@ -0,0 +1,6 @@
+-- Webhook event fingerprint
+-- Identity of a notification so SLA's retries of it are stored only once
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_fingerprint ON webhook_events(fingerprint);
@@ -0,0 +1,4 @@
+-- Rollback: merchant webhooks
+
+DROP TABLE IF EXISTS merchant_webhook_deliveries;
+DROP TABLE IF EXISTS merchant_webhook_endpoints;
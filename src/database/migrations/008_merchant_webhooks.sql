@@ -0,0 +1,44 @@
+-- Merchant webhooks
+-- Outbound lifecycle notifications to merchant endpoints and their delivery attempts
+
+-- Table: merchant_webhook_endpoints
+CREATE TABLE IF NOT EXISTS merchant_webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  merchant_id VARCHAR(100) NOT NULL,
+  campaign_id VARCHAR(100), -- NULL: every campaign of the merchant
+  url VARCHAR(500) NOT NULL,
+  secret VARCHAR(128) NOT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_merchant_webhook_endpoints_merchant ON merchant_webhook_endpoints(merchant_id, campaign_id);
+
+CREATE TRIGGER update_merchant_webhook_endpoints_updated_at BEFORE UPDATE ON merchant_webhook_endpoints
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Table: merchant_webhook_deliveries
+CREATE TABLE IF NOT EXISTS merchant_webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  endpoint_id UUID NOT NULL REFERENCES merchant_webhook_endpoints(id) ON DELETE CASCADE,
+  event_type VARCHAR(100) NOT NULL,
+  operator_code VARCHAR(50),
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'DELIVERED', 'FAILED')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  last_response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_merchant_webhook_deliveries_due
+  ON merchant_webhook_deliveries(next_attempt_at)
+  WHERE status = 'PENDING';
+CREATE INDEX idx_merchant_webhook_deliveries_endpoint ON merchant_webhook_deliveries(endpoint_id, created_at);
@@ -0,0 +1,3 @@
+-- Rollback: API clients
+
+DROP TABLE IF EXISTS api_clients;
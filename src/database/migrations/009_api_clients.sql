@@ -0,0 +1,19 @@
+-- API clients
+-- Credentials for callers of /api and /internal, with their scopes and rate limits
+
+-- Table: api_clients
+CREATE TABLE IF NOT EXISTS api_clients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL UNIQUE, -- Public part of the key, used for lookup
+  key_hash CHAR(64) NOT NULL, -- SHA-256 of the full key; the key itself is never stored
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  rate_limit_per_minute INTEGER, -- NULL: default client limit
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_api_clients_updated_at BEFORE UPDATE ON api_clients
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
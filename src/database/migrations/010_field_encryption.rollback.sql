@@ -0,0 +1,17 @@
+-- Rollback: field encryption
+-- Values must be clear text again (011_encrypt_subscriber_fields.js rolls back first),
+-- otherwise they no longer fit VARCHAR(50)
+
+DROP INDEX IF EXISTS idx_subscriptions_msisdn_hash;
+DROP INDEX IF EXISTS idx_transactions_msisdn_hash;
+
+ALTER TABLE subscriptions
+  DROP COLUMN IF EXISTS msisdn_hash,
+  ALTER COLUMN msisdn TYPE VARCHAR(50);
+
+ALTER TABLE transactions
+  DROP COLUMN IF EXISTS msisdn_hash,
+  ALTER COLUMN msisdn TYPE VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_msisdn ON subscriptions(msisdn);
+CREATE INDEX IF NOT EXISTS idx_transactions_msisdn ON transactions(msisdn);
@@ -0,0 +1,19 @@
+-- Field encryption
+-- MSISDNs are stored AES-256-GCM encrypted (longer than the old VARCHAR(50)) and
+-- looked up through an HMAC blind index. Existing rows are encrypted by
+-- 011_encrypt_subscriber_fields.js
+
+ALTER TABLE subscriptions
+  ALTER COLUMN msisdn TYPE TEXT,
+  ADD COLUMN IF NOT EXISTS msisdn_hash CHAR(64);
+
+ALTER TABLE transactions
+  ALTER COLUMN msisdn TYPE TEXT,
+  ADD COLUMN IF NOT EXISTS msisdn_hash CHAR(64);
+
+-- Ciphertext is randomised, so indexes on it are useless
+DROP INDEX IF EXISTS idx_subscriptions_msisdn;
+DROP INDEX IF EXISTS idx_transactions_msisdn;
+
+CREATE INDEX idx_subscriptions_msisdn_hash ON subscriptions(msisdn_hash);
+CREATE INDEX idx_transactions_msisdn_hash ON transactions(operator_code, msisdn_hash, created_at);
@@ -0,0 +1,11 @@
+/**
+ * Encrypt subscriber identifiers stored before field encryption
+ * The same pass re-encrypts values under an older key: npm run db:reencrypt
+ */
+
+const { reencryptAll, decryptAll } = require('../reencrypt');
+
+module.exports = {
+  up: client => reencryptAll(client),
+  down: client => decryptAll(client)
+};
@@ -0,0 +1,13 @@
+-- Rollback: SMS logs and token-based subscriptions
+
+DROP TABLE IF EXISTS sms_logs;
+DROP TABLE IF EXISTS batch_sms_logs;
+
+DROP INDEX IF EXISTS idx_transactions_subscription;
+ALTER TABLE transactions DROP COLUMN IF EXISTS subscription_id;
+
+-- Back into metadata, where it was kept before
+UPDATE subscriptions SET metadata = COALESCE(metadata, '{}') || '{"isTokenBased": true}'
+WHERE is_token_based;
+
+ALTER TABLE subscriptions DROP COLUMN IF EXISTS is_token_based;
@@ -0,0 +1,60 @@
+-- SMS logs and token-based subscriptions
+-- Tables and columns server.js writes to that the initial schema lacked.
+-- MSISDNs are stored encrypted with a blind index, as in 010_field_encryption.sql
+
+-- Token-based (checkout) subscriptions, where the MSISDN comes from the operator response
+ALTER TABLE subscriptions
+  ADD COLUMN IF NOT EXISTS is_token_based BOOLEAN NOT NULL DEFAULT false;
+
+-- Until now the flag was kept in metadata
+UPDATE subscriptions SET
+  is_token_based = true,
+  metadata = metadata - 'isTokenBased'
+WHERE metadata->>'isTokenBased' = 'true';
+
+UPDATE subscriptions SET metadata = metadata - 'isTokenBased'
+WHERE metadata ? 'isTokenBased';
+
+-- Charges made under a subscription
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS subscription_id VARCHAR(100)
+    REFERENCES subscriptions(subscription_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_subscription ON transactions(subscription_id);
+
+-- Table: batch_sms_logs
+CREATE TABLE IF NOT EXISTS batch_sms_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  batch_id VARCHAR(100) UNIQUE NOT NULL,
+  operator_code VARCHAR(50) NOT NULL,
+  total_recipients INTEGER NOT NULL DEFAULT 0,
+  successful INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_sms_logs_operator ON batch_sms_logs(operator_code, created_at);
+
+-- Table: sms_logs
+CREATE TABLE IF NOT EXISTS sms_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  correlator VARCHAR(100),
+  operator_code VARCHAR(50) NOT NULL,
+  msisdn TEXT,
+  msisdn_hash CHAR(64),
+  message TEXT,
+  message_type VARCHAR(30) NOT NULL DEFAULT 'generic',
+  subscription_id VARCHAR(100) REFERENCES subscriptions(subscription_id) ON DELETE SET NULL,
+  transaction_id VARCHAR(100) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+  batch_id VARCHAR(100) REFERENCES batch_sms_logs(batch_id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+  error_message TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_logs_msisdn_hash ON sms_logs(msisdn_hash);
+CREATE INDEX IF NOT EXISTS idx_sms_logs_operator ON sms_logs(operator_code, sent_at);
+CREATE INDEX IF NOT EXISTS idx_sms_logs_subscription ON sms_logs(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_sms_logs_correlator ON sms_logs(correlator);
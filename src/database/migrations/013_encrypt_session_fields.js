@@ -0,0 +1,18 @@
+/**
+ * Encrypt MSISDNs stored in flow sessions, idempotent responses and merchant
+ * webhook deliveries before they were encrypted
+ */
+
+const { reencryptAll, decryptAll } = require('../reencrypt');
+
+// idempotency_keys as it stood before client_id joined its key (015)
+const TABLES = [
+  'flow_sessions',
+  { table: 'idempotency_keys', key: ['idempotency_key', 'operator_code', 'endpoint'], indexed: [], json: ['response_body'] },
+  'merchant_webhook_deliveries'
+];
+
+module.exports = {
+  up: client => reencryptAll(client, undefined, TABLES),
+  down: client => decryptAll(client, undefined, TABLES)
+};
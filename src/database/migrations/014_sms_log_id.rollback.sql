@@ -0,0 +1,4 @@
+-- Rollback: SMS log ids
+
+DROP INDEX IF EXISTS idx_sms_logs_log_id;
+ALTER TABLE sms_logs DROP COLUMN IF EXISTS log_id;
@@ -0,0 +1,7 @@
+-- SMS log ids
+-- Each SMS log carries the id it was first written with, so an outbox replay
+-- of an SMS that was in fact recorded does not store it twice
+
+ALTER TABLE sms_logs ADD COLUMN IF NOT EXISTS log_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_logs_log_id ON sms_logs(log_id);
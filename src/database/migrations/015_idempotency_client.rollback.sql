@@ -0,0 +1,14 @@
+-- Rollback: idempotency keys per API client
+-- Where clients shared a key, only the most recent entry is kept
+
+DELETE FROM idempotency_keys older
+USING idempotency_keys newer
+WHERE older.idempotency_key = newer.idempotency_key
+  AND older.operator_code = newer.operator_code
+  AND older.endpoint = newer.endpoint
+  AND (older.created_at, older.client_id) < (newer.created_at, newer.client_id);
+
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_pkey;
+ALTER TABLE idempotency_keys ADD PRIMARY KEY (idempotency_key, operator_code, endpoint);
+
+ALTER TABLE idempotency_keys DROP COLUMN IF EXISTS client_id;
@@ -0,0 +1,9 @@
+-- Idempotency keys per API client
+-- Keys are scoped to the authenticated client as well, so two clients sending
+-- the same Idempotency-Key do not replay each other's responses.
+-- '' stands for requests made without client authentication
+
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS client_id VARCHAR(100) NOT NULL DEFAULT '';
+
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_pkey;
+ALTER TABLE idempotency_keys ADD PRIMARY KEY (idempotency_key, client_id, operator_code, endpoint);
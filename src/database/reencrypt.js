@@ -0,0 +1,213 @@
+/**
+ * Field Re-encryption
+ * Encrypts clear-text subscriber identifiers and moves values under older keys to the current key
+ * Run after adding a key version to ENCRYPTION_KEYS: npm run db:reencrypt
+ */
+
+const { getDB, closeDB } = require('./connection');
+const { getFieldCipher } = require('../utils/fieldEncryption');
+
+// Encrypted columns per table: indexed columns have a <column>_hash blind index,
+// json columns have their MSISDN, ACR and TOKEN values encrypted in place.
+// Rows are identified by `key` (default id)
+const TARGETS = [
+  { table: 'subscriptions', indexed: ['msisdn'], json: ['metadata'] },
+  { table: 'transactions', indexed: ['msisdn'], json: ['request_payload', 'response_payload', 'webhook_response'] },
+  { table: 'sms_logs', indexed: ['msisdn'], json: [] },
+  { table: 'webhook_events', indexed: [], json: ['payload'] },
+  { table: 'merchant_webhook_deliveries', indexed: [], json: ['payload'] },
+  { table: 'idempotency_keys', key: ['idempotency_key', 'client_id', 'operator_code', 'endpoint'], indexed: [], json: ['response_body'] },
+  { table: 'flow_sessions', key: ['namespace', 'session_key'], indexed: [], json: ['data'] }
+];
+
+const BATCH_SIZE = 500;
+
+async function tableExists(db, table) {
+  const result = await db.query('SELECT to_regclass($1) AS name', [table]);
+  return result.rows[0].name !== null;
+}
+
+/**
+ * Column changes needed to bring one row to the current key
+ */
+function rowChanges(cipher, row, { indexed, json }) {
+  const changes = {};
+
+  for (const column of indexed) {
+    const value = row[column];
+
+    if (value === null) {
+      continue;
+    }
+
+    const plain = cipher.decrypt(value);
+    const hash = cipher.blindIndex(plain);
+
+    if (cipher.needsReencryption(value)) {
+      changes[column] = cipher.encrypt(plain);
+    }
+
+    if (hash !== row[`${column}_hash`]) {
+      changes[`${column}_hash`] = hash;
+    }
+  }
+
+  for (const column of json) {
+    if (row[column] === null) {
+      continue;
+    }
+
+    const encrypted = cipher.encryptFields(row[column]);
+
+    if (JSON.stringify(encrypted) !== JSON.stringify(row[column])) {
+      changes[column] = JSON.stringify(encrypted);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Column changes that return one row to clear text
+ */
+function clearRowChanges(cipher, row, { indexed, json }) {
+  const changes = {};
+
+  for (const column of indexed) {
+    if (row[column] !== null && row[column] !== cipher.decrypt(row[column])) {
+      changes[column] = cipher.decrypt(row[column]);
+    }
+  }
+
+  for (const column of json) {
+    if (row[column] === null) {
+      continue;
+    }
+
+    const decrypted = cipher.decryptFields(row[column]);
+
+    if (JSON.stringify(decrypted) !== JSON.stringify(row[column])) {
+      changes[column] = JSON.stringify(decrypted);
+    }
+  }
+
+  return changes;
+}
+
+async function reencryptTable(db, cipher, target, changesFor = rowChanges) {
+  const { table, indexed, json, key = ['id'] } = target;
+  const columns = [...key, ...indexed, ...indexed.map(column => `${column}_hash`), ...json];
+  const keyPlaceholders = offset => key.map((_, i) => `$${i + offset}`).join(', ');
+  let lastKey = null;
+  let updated = 0;
+
+  while (true) {
+    const result = await db.query(
+      `SELECT ${columns.join(', ')} FROM ${table}
+       ${lastKey ? `WHERE (${key.join(', ')}) > (${keyPlaceholders(1)})` : ''}
+       ORDER BY ${key.join(', ')}
+       LIMIT ${BATCH_SIZE}`,
+      lastKey || []
+    );
+
+    for (const row of result.rows) {
+      const changes = changesFor(cipher, row, target);
+      const names = Object.keys(changes);
+
+      if (names.length > 0) {
+        const match = key.map((column, i) => `${column} = $${i + 1}`).join(' AND ');
+
+        await db.query(
+          `UPDATE ${table} SET ${names.map((name, i) => `${name} = $${i + key.length + 1}`).join(', ')} WHERE ${match}`,
+          [...key.map(column => row[column]), ...Object.values(changes)]
+        );
+        updated++;
+      }
+    }
+
+    if (result.rows.length < BATCH_SIZE) {
+      break;
+    }
+
+    const last = result.rows[result.rows.length - 1];
+    lastKey = key.map(column => last[column]);
+  }
+
+  return updated;
+}
+
+/**
+ * Targets to process: every table, or only the listed ones
+ * A listed target definition is used as given, for migrations written against an older schema
+ */
+function targetsFor(tables) {
+  if (!tables) {
+    return TARGETS;
+  }
+
+  return tables.flatMap(entry => typeof entry === 'string'
+    ? TARGETS.filter(target => target.table === entry)
+    : [entry]);
+}
+
+/**
+ * Re-encrypt every target table (or only `tables`); returns updated row counts by table
+ */
+async function reencryptAll(db = null, cipher = getFieldCipher(), tables = null) {
+  if (!cipher.enabled) {
+    console.log('Field encryption is not configured (ENCRYPTION_KEY); nothing to encrypt');
+    return {};
+  }
+
+  const client = db || await getDB();
+  const counts = {};
+
+  for (const target of targetsFor(tables)) {
+    if (!(await tableExists(client, target.table))) {
+      continue;
+    }
+
+    counts[target.table] = await reencryptTable(client, cipher, target);
+    console.log(`Encrypted ${counts[target.table]} rows in ${target.table} (key ${cipher.currentVersion})`);
+  }
+
+  return counts;
+}
+
+/**
+ * Decrypt every target table, or only `tables` (rolling back field encryption); blind indexes are left as they are
+ * Values written under a key no longer in ENCRYPTION_KEYS cannot be decrypted
+ */
+async function decryptAll(db = null, cipher = getFieldCipher(), tables = null) {
+  const client = db || await getDB();
+  const counts = {};
+
+  for (const target of targetsFor(tables)) {
+    if (!(await tableExists(client, target.table))) {
+      continue;
+    }
+
+    counts[target.table] = await reencryptTable(client, cipher, target, clearRowChanges);
+    console.log(`Decrypted ${counts[target.table]} rows in ${target.table}`);
+  }
+
+  return counts;
+}
+
+// Run directly for key rotation
+if (require.main === module) {
+  reencryptAll()
+    .then(() => closeDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Re-encryption failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  reencryptAll,
+  decryptAll,
+  reencryptTable,
+  rowChanges
+};
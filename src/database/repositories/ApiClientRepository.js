@@ -0,0 +1,77 @@
+/**
+ * API Client Repository
+ * Hashed credentials, scopes and rate limits of API clients
+ */
+
+const { getDB } = require('../connection');
+
+// Columns safe to return to callers (never the key hash)
+const PUBLIC_COLUMNS = `id, name, key_prefix, scopes, rate_limit_per_minute,
+  last_used_at, revoked_at, created_at, updated_at`;
+
+class ApiClientRepository {
+  constructor(db = null) {
+    this.db = db;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  async create({ name, keyPrefix, keyHash, scopes, rateLimitPerMinute = null }) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `INSERT INTO api_clients (name, key_prefix, key_hash, scopes, rate_limit_per_minute)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [name, keyPrefix, keyHash, scopes, rateLimitPerMinute]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Active client owning a key prefix, marked as used
+   */
+  async findActiveByPrefix(keyPrefix) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `UPDATE api_clients SET last_used_at = NOW()
+       WHERE key_prefix = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [keyPrefix]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async list({ includeRevoked = false } = {}) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_clients
+       WHERE $1 OR revoked_at IS NULL
+       ORDER BY created_at`,
+      [includeRevoked]
+    );
+
+    return result.rows;
+  }
+
+  async revoke(id) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `UPDATE api_clients SET revoked_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ApiClientRepository;
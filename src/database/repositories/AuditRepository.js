@@ -0,0 +1,76 @@
+/**
+ * Audit Repository
+ * Records in operation_audit
+ */
+
+const { getDB } = require('../connection');
+
+class AuditRepository {
+  constructor(db = null) {
+    this.db = db;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  async record({
+    operationType,
+    operator = null,
+    userId = null,
+    ipAddress = null,
+    method = null,
+    path = null,
+    requestPayload = null,
+    responseStatus = null,
+    responsePayload = null,
+    durationMs = null,
+    errorMessage = null
+  }) {
+    const db = await this.getDB();
+
+    await db.query(
+      `INSERT INTO operation_audit (
+        operation_type, operator_code, user_id, ip_address, request_method, request_path,
+        request_payload, response_status, response_payload, duration_ms, error_message
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        operationType,
+        operator,
+        userId,
+        ipAddress,
+        method,
+        path,
+        requestPayload && JSON.stringify(requestPayload),
+        responseStatus,
+        responsePayload && JSON.stringify(responsePayload),
+        durationMs,
+        errorMessage
+      ]
+    );
+  }
+
+  /**
+   * Newest records first
+   * operation matches any part of the operation type, e.g. 'charge'
+   */
+  async find({ operator = null, operation = null, userId = null, from = null, to = null, limit = 100 } = {}) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `SELECT * FROM operation_audit
+       WHERE ($1::VARCHAR IS NULL OR operator_code = $1)
+         AND ($2::VARCHAR IS NULL OR operation_type ILIKE '%' || $2 || '%')
+         AND ($3::VARCHAR IS NULL OR user_id = $3)
+         AND ($4::TIMESTAMPTZ IS NULL OR created_at >= $4)
+         AND ($5::TIMESTAMPTZ IS NULL OR created_at < $5)
+       ORDER BY created_at DESC
+       LIMIT $6`,
+      [operator, operation, userId, from, to, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = AuditRepository;
@@ -0,0 +1,219 @@
+/**
+ * Idempotency Repository
+ * Reservation and stored responses for Idempotency-Key requests
+ */
+
+const { getDB } = require('../connection');
+const { systemLogger } = require('../../utils/logger');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+class IdempotencyRepository {
+  constructor(db = null, cipher = getFieldCipher()) {
+    this.db = db;
+    this.cipher = cipher;
+    this.cleanupTimer = null;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  /**
+   * Claim a key for a request; keys are scoped to the client, operator and endpoint
+   * Returns { reserved: true } for a new (or expired/abandoned) key,
+   * otherwise { reserved: false, record } with the stored entry
+   */
+  async reserve({ key, client = '', operator, endpoint, requestHash, windowMs, lockMs }) {
+    const db = await this.getDB();
+    const expiresAt = new Date(Date.now() + windowMs);
+    const lockedUntil = new Date(Date.now() + lockMs);
+
+    // Insert, or take over an entry whose window expired or whose holder died mid-request
+    const result = await db.query(
+      `INSERT INTO idempotency_keys (
+        idempotency_key, client_id, operator_code, endpoint, request_hash, status, locked_until, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, 'IN_PROGRESS', $6, $7)
+      ON CONFLICT (idempotency_key, client_id, operator_code, endpoint) DO UPDATE SET
+        request_hash = EXCLUDED.request_hash,
+        status = 'IN_PROGRESS',
+        response_status = NULL,
+        response_body = NULL,
+        locked_until = EXCLUDED.locked_until,
+        expires_at = EXCLUDED.expires_at,
+        created_at = CURRENT_TIMESTAMP,
+        completed_at = NULL
+      WHERE idempotency_keys.expires_at <= NOW()
+        OR (idempotency_keys.status = 'IN_PROGRESS'
+          AND idempotency_keys.locked_until <= NOW()
+          AND idempotency_keys.request_hash = EXCLUDED.request_hash)
+      RETURNING idempotency_key`,
+      [key, client, operator, endpoint, requestHash, lockedUntil, expiresAt]
+    );
+
+    if (result.rows.length > 0) {
+      return { reserved: true };
+    }
+
+    const existing = await db.query(
+      `SELECT * FROM idempotency_keys
+       WHERE idempotency_key = $1 AND client_id = $2 AND operator_code = $3 AND endpoint = $4`,
+      [key, client, operator, endpoint]
+    );
+
+    const [record] = existing.rows;
+    return {
+      reserved: false,
+      record: record && { ...record, response_body: this.cipher.decryptFields(record.response_body) }
+    };
+  }
+
+  /**
+   * Store the response to replay for later duplicates, with its subscriber identifiers encrypted
+   */
+  async complete({ key, client = '', operator, endpoint }, responseStatus, responseBody) {
+    const db = await this.getDB();
+    await db.query(
+      `UPDATE idempotency_keys
+       SET status = 'COMPLETED', response_status = $5, response_body = $6,
+           locked_until = NULL, completed_at = NOW()
+       WHERE idempotency_key = $1 AND client_id = $2 AND operator_code = $3 AND endpoint = $4`,
+      [key, client, operator, endpoint, responseStatus, JSON.stringify(this.cipher.encryptFields(responseBody))]
+    );
+  }
+
+  /**
+   * Drop a reservation so the request can be retried
+   */
+  async release({ key, client = '', operator, endpoint }) {
+    const db = await this.getDB();
+    await db.query(
+      `DELETE FROM idempotency_keys
+       WHERE idempotency_key = $1 AND client_id = $2 AND operator_code = $3 AND endpoint = $4
+         AND status = 'IN_PROGRESS'`,
+      [key, client, operator, endpoint]
+    );
+  }
+
+  /**
+   * Remove entries past their replay window
+   */
+  async purgeExpired() {
+    const db = await this.getDB();
+    const result = await db.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  /**
+   * Periodically remove expired entries
+   */
+  startCleanup(intervalMs = 60 * 60 * 1000) {
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => {
+        this.purgeExpired().catch((error) => {
+          systemLogger.warn('Idempotency key cleanup failed', { error: error.message });
+        });
+      }, intervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  stopCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+/**
+ * In-memory repository
+ * Same interface without a database; intended for tests
+ */
+class MemoryIdempotencyRepository {
+  constructor(now = Date.now) {
+    this.entries = new Map();
+    this.now = now; // Clock in milliseconds
+    this.cleanupTimer = null;
+  }
+
+  entryKey({ key, client = '', operator, endpoint }) {
+    return `${client}|${operator}|${endpoint}|${key}`;
+  }
+
+  async reserve({ key, client = '', operator, endpoint, requestHash, windowMs, lockMs }) {
+    const now = this.now();
+    const id = this.entryKey({ key, client, operator, endpoint });
+    const existing = this.entries.get(id);
+
+    const abandoned = existing && existing.status === 'IN_PROGRESS' &&
+      existing.locked_until <= now && existing.request_hash === requestHash;
+
+    if (existing && existing.expires_at > now && !abandoned) {
+      return { reserved: false, record: { ...existing } };
+    }
+
+    this.entries.set(id, {
+      idempotency_key: key,
+      client_id: client,
+      operator_code: operator,
+      endpoint,
+      request_hash: requestHash,
+      status: 'IN_PROGRESS',
+      response_status: null,
+      response_body: null,
+      locked_until: now + lockMs,
+      expires_at: now + windowMs
+    });
+
+    return { reserved: true };
+  }
+
+  async complete(scope, responseStatus, responseBody) {
+    const entry = this.entries.get(this.entryKey(scope));
+
+    if (entry) {
+      Object.assign(entry, {
+        status: 'COMPLETED',
+        response_status: responseStatus,
+        response_body: JSON.parse(JSON.stringify(responseBody)),
+        locked_until: null
+      });
+    }
+  }
+
+  async release(scope) {
+    const id = this.entryKey(scope);
+
+    if (this.entries.get(id)?.status === 'IN_PROGRESS') {
+      this.entries.delete(id);
+    }
+  }
+
+  async purgeExpired() {
+    let purged = 0;
+
+    for (const [id, entry] of this.entries.entries()) {
+      if (entry.expires_at <= this.now()) {
+        this.entries.delete(id);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+
+  startCleanup(intervalMs = 60 * 60 * 1000) {
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => this.purgeExpired(), intervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  stopCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+module.exports = {
+  IdempotencyRepository,
+  MemoryIdempotencyRepository
+};
@@ -0,0 +1,206 @@
+/**
+ * Merchant Webhook Repository
+ * Registered merchant endpoints and outbound delivery records
+ */
+
+const { getDB, withTransaction } = require('../connection');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+class MerchantWebhookRepository {
+  constructor(db = null, cipher = getFieldCipher()) {
+    this.db = db;
+    this.cipher = cipher;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  /**
+   * Run queries on one client inside a database transaction; client joins the caller's
+   */
+  async transaction(callback, client = null) {
+    return withTransaction(callback, client || await this.getDB());
+  }
+
+  // ============= ENDPOINTS =============
+
+  async createEndpoint({ merchant, campaign = null, url, secret, events = ['*'] }) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `INSERT INTO merchant_webhook_endpoints (merchant_id, campaign_id, url, secret, events)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [merchant, campaign, url, secret, events]
+    );
+
+    return result.rows[0];
+  }
+
+  async listEndpoints(merchant = null) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `SELECT * FROM merchant_webhook_endpoints
+       WHERE ($1::VARCHAR IS NULL OR merchant_id = $1)
+       ORDER BY created_at`,
+      [merchant]
+    );
+
+    return result.rows;
+  }
+
+  async deactivateEndpoint(id) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      'UPDATE merchant_webhook_endpoints SET active = false WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Active endpoints of a merchant subscribed to an event, for the campaign or all campaigns
+   */
+  async findEndpoints(merchant, campaign, eventType, client = null) {
+    const db = client || await this.getDB();
+
+    const result = await db.query(
+      `SELECT * FROM merchant_webhook_endpoints
+       WHERE active = true
+         AND merchant_id = $1
+         AND (campaign_id IS NULL OR campaign_id = $2)
+         AND ('*' = ANY(events) OR $3 = ANY(events))`,
+      [merchant, campaign, eventType]
+    );
+
+    return result.rows;
+  }
+
+  // ============= DELIVERIES =============
+
+  /**
+   * Stored delivery with the subscriber identifiers in its payload decrypted
+   */
+  fromDeliveryRow(row) {
+    return row ? { ...row, payload: this.cipher.decryptFields(row.payload) } : null;
+  }
+
+  async createDelivery({ endpointId, eventType, operator, payload }, client = null) {
+    const db = client || await this.getDB();
+
+    const result = await db.query(
+      `INSERT INTO merchant_webhook_deliveries (endpoint_id, event_type, operator_code, payload)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [endpointId, eventType, operator, JSON.stringify(this.cipher.encryptFields(payload))]
+    );
+
+    return this.fromDeliveryRow(result.rows[0]);
+  }
+
+  /**
+   * Lease due deliveries, joined with their endpoint
+   */
+  async claimDue(limit, lockMs) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `WITH due AS (
+        UPDATE merchant_webhook_deliveries SET
+          attempts = attempts + 1,
+          last_attempt_at = NOW(),
+          locked_until = NOW() + ($2 * INTERVAL '1 millisecond')
+        WHERE id IN (
+          SELECT id FROM merchant_webhook_deliveries
+          WHERE status = 'PENDING'
+            AND next_attempt_at <= NOW()
+            AND (locked_until IS NULL OR locked_until <= NOW())
+          ORDER BY next_attempt_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT due.*, e.url, e.secret
+      FROM due JOIN merchant_webhook_endpoints e ON e.id = due.endpoint_id`,
+      [limit, lockMs]
+    );
+
+    return result.rows.map(row => this.fromDeliveryRow(row));
+  }
+
+  async markDelivered(id, responseStatus) {
+    const db = await this.getDB();
+
+    await db.query(
+      `UPDATE merchant_webhook_deliveries SET
+        status = 'DELIVERED',
+        last_response_status = $2,
+        last_error = NULL,
+        locked_until = NULL,
+        delivered_at = NOW()
+      WHERE id = $1`,
+      [id, responseStatus]
+    );
+  }
+
+  /**
+   * Record a failed attempt; a null nextAttemptAt gives up (FAILED)
+   */
+  async markFailed(id, responseStatus, errorMessage, nextAttemptAt) {
+    const db = await this.getDB();
+
+    await db.query(
+      `UPDATE merchant_webhook_deliveries SET
+        status = CASE WHEN $4::TIMESTAMPTZ IS NULL THEN 'FAILED' ELSE 'PENDING' END,
+        last_response_status = $2,
+        last_error = $3,
+        locked_until = NULL,
+        next_attempt_at = $4
+      WHERE id = $1`,
+      [id, responseStatus, errorMessage, nextAttemptAt]
+    );
+  }
+
+  /**
+   * Queue a delivery to be sent again, whatever its outcome so far
+   */
+  async requeue(id) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `UPDATE merchant_webhook_deliveries SET
+        status = 'PENDING',
+        attempts = 0,
+        locked_until = NULL,
+        next_attempt_at = NOW(),
+        delivered_at = NULL
+      WHERE id = $1
+      RETURNING *`,
+      [id]
+    );
+
+    return this.fromDeliveryRow(result.rows[0]);
+  }
+
+  async listDeliveries({ endpointId = null, status = null, limit = 50 } = {}) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `SELECT * FROM merchant_webhook_deliveries
+       WHERE ($1::UUID IS NULL OR endpoint_id = $1)
+         AND ($2::VARCHAR IS NULL OR status = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [endpointId, status, limit]
+    );
+
+    return result.rows.map(row => this.fromDeliveryRow(row));
+  }
+}
+
+module.exports = MerchantWebhookRepository;
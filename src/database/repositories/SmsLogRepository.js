@@ -0,0 +1,109 @@
+/**
+ * SMS Log Repository
+ * Records of sent SMS and SMS batches
+ */
+
+const { getDB, withTransaction } = require('../connection');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+// Stored message text is truncated to one SMS
+const MAX_MESSAGE_LENGTH = 160;
+
+class SmsLogRepository {
+  constructor(db = null, cipher = getFieldCipher()) {
+    this.db = db;
+    this.cipher = cipher;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  /**
+   * Insert one SMS; client joins the caller's transaction
+   * Subscriptions and transactions not recorded here are stored unlinked.
+   * A logId already recorded (e.g. a replayed outbox entry) is left as it is, and null is returned
+   */
+  async record(log, client = null) {
+    const db = client || await this.getDB();
+
+    const result = await db.query(
+      `INSERT INTO sms_logs (
+        correlator, operator_code, msisdn, msisdn_hash, message, message_type,
+        subscription_id, transaction_id, batch_id, status, error_message, sent_at, log_id
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6,
+        (SELECT subscription_id FROM subscriptions WHERE subscription_id = $7),
+        (SELECT transaction_id FROM transactions WHERE transaction_id = $8),
+        $9, $10, $11, $12, $13
+      )
+      ON CONFLICT (log_id) DO NOTHING
+      RETURNING *`,
+      [
+        log.correlator || null,
+        log.operator,
+        this.cipher.encrypt(log.msisdn),
+        this.cipher.blindIndex(log.msisdn),
+        log.message ? log.message.substring(0, MAX_MESSAGE_LENGTH) : null,
+        log.messageType || 'generic',
+        log.subscriptionId || null,
+        log.transactionId || null,
+        log.batchId || null,
+        log.status,
+        log.errorMessage || null,
+        log.sentAt || new Date(),
+        log.logId || null
+      ]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Insert a batch with one SMS log per recipient, all or nothing
+   * results: [{ msisdn, success, correlator, error }] as returned by the SMS service
+   */
+  async recordBatch(batch, results = [], client = null) {
+    return withTransaction(async (transactionClient) => {
+      const inserted = await transactionClient.query(
+        `INSERT INTO batch_sms_logs (
+          batch_id, operator_code, total_recipients, successful, failed, message, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (batch_id) DO NOTHING
+        RETURNING *`,
+        [
+          batch.batchId,
+          batch.operator,
+          batch.total,
+          batch.successful,
+          batch.failed,
+          batch.message ? batch.message.substring(0, MAX_MESSAGE_LENGTH) : null,
+          batch.createdAt || new Date()
+        ]
+      );
+
+      // Already recorded (e.g. a replayed outbox entry)
+      if (inserted.rows.length === 0) {
+        return null;
+      }
+
+      for (const result of results) {
+        await this.record({
+          correlator: result.correlator,
+          operator: batch.operator,
+          msisdn: result.msisdn,
+          message: batch.message,
+          messageType: 'batch',
+          batchId: batch.batchId,
+          status: result.success ? 'sent' : 'failed',
+          errorMessage: typeof result.error === 'string' ? result.error : result.error?.message,
+          sentAt: batch.createdAt
+        }, transactionClient);
+      }
+
+      return inserted.rows[0];
+    }, client || await this.getDB());
+  }
+}
+
+module.exports = SmsLogRepository;
@@ -0,0 +1,531 @@
+/**
+ * Subscription Repository
+ * Persistence for subscription lifecycle state over the subscriptions table
+ */
+
+const { getDB, withTransaction } = require('../connection');
+const { operatorConfigs } = require('../../config/operators.config');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+// Subscription properties stored in their own columns; everything else goes to metadata
+const COLUMNS = {
+  uuid: 'subscription_id',
+  operator: 'operator_code',
+  merchant: 'merchant_id',
+  msisdn: 'msisdn',
+  campaign: 'campaign_id',
+  service: 'service_id',
+  status: 'status',
+  billingFrequency: 'billing_frequency',
+  amount: 'amount',
+  currency: 'currency',
+  nextBillingDate: 'next_billing_date',
+  isTokenBased: 'is_token_based',
+  cancelledAt: 'cancelled_at'
+};
+
+// Timestamps managed by the database
+const READ_ONLY = ['createdAt', 'updatedAt'];
+
+/**
+ * Split a subscription object into column values and metadata
+ */
+function toRecord(subscription) {
+  const columns = {};
+  const metadata = {};
+
+  for (const [key, value] of Object.entries(subscription)) {
+    if (value === undefined || READ_ONLY.includes(key)) {
+      continue;
+    }
+
+    if (COLUMNS[key]) {
+      columns[COLUMNS[key]] = value;
+    } else {
+      metadata[key] = value;
+    }
+  }
+
+  return { columns, metadata };
+}
+
+/**
+ * Build a subscription object from a database row
+ */
+function fromRow(row) {
+  return {
+    ...(row.metadata || {}),
+    uuid: row.subscription_id,
+    operator: row.operator_code,
+    merchant: row.merchant_id,
+    msisdn: row.msisdn,
+    campaign: row.campaign_id,
+    service: row.service_id,
+    status: row.status,
+    billingFrequency: row.billing_frequency,
+    amount: row.amount !== null ? Number(row.amount) : null,
+    currency: row.currency,
+    nextBillingDate: row.next_billing_date,
+    isTokenBased: row.is_token_based,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    cancelledAt: row.cancelled_at
+  };
+}
+
+/**
+ * Build a status history entry from a database row
+ */
+function fromHistoryRow(row) {
+  return {
+    uuid: row.subscription_id,
+    operator: row.operator_code,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    cause: row.cause,
+    reason: row.reason,
+    metadata: row.metadata || {},
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Aggregate (operator, status, count) rows into statistics
+ */
+function buildStatistics(rows) {
+  const stats = {
+    total: 0,
+    byStatus: {},
+    byOperator: {},
+    byCountry: {}
+  };
+
+  for (const row of rows) {
+    const count = Number(row.count);
+    stats.total += count;
+    stats.byStatus[row.status] = (stats.byStatus[row.status] || 0) + count;
+    stats.byOperator[row.operator_code] = (stats.byOperator[row.operator_code] || 0) + count;
+
+    const country = operatorConfigs[row.operator_code]?.country;
+    if (country) {
+      stats.byCountry[country] = (stats.byCountry[country] || 0) + count;
+    }
+  }
+
+  return stats;
+}
+
+class SubscriptionRepository {
+  constructor(db = null, cipher = getFieldCipher()) {
+    this.db = db;
+    this.cipher = cipher;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  /**
+   * Column values and metadata with the MSISDN (plus its blind index) and ACR encrypted
+   */
+  toEncryptedRecord(subscription) {
+    const { columns, metadata } = toRecord(subscription);
+
+    if (columns.msisdn !== undefined) {
+      columns.msisdn_hash = this.cipher.blindIndex(columns.msisdn);
+      columns.msisdn = this.cipher.encrypt(columns.msisdn);
+    }
+
+    return { columns, metadata: this.cipher.encryptFields(metadata) };
+  }
+
+  fromEncryptedRow(row) {
+    return fromRow({
+      ...row,
+      msisdn: this.cipher.decrypt(row.msisdn),
+      metadata: this.cipher.decryptFields(row.metadata)
+    });
+  }
+
+  /**
+   * Run queries on one client inside a database transaction
+   */
+  async transaction(callback) {
+    return withTransaction(callback, await this.getDB());
+  }
+
+  /**
+   * Insert a subscription, or replace the stored one with the same UUID,
+   * recording the given status history entry with it
+   * inTransaction(client, saved) runs before the commit, so its writes are stored with it
+   */
+  async save(subscription, historyEntry = null, inTransaction = null) {
+    const { columns, metadata } = this.toEncryptedRecord(subscription);
+    const names = [...Object.keys(columns), 'metadata'];
+    const values = [...Object.values(columns), JSON.stringify(metadata)];
+    const placeholders = names.map((_, i) => `$${i + 1}`);
+    const updates = names
+      .filter(name => name !== 'subscription_id')
+      .map(name => `${name} = EXCLUDED.${name}`);
+
+    return this.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO subscriptions (${names.join(', ')})
+         VALUES (${placeholders.join(', ')})
+         ON CONFLICT (subscription_id)
+         DO UPDATE SET ${updates.join(', ')}
+         RETURNING *`,
+        values
+      );
+
+      const saved = this.fromEncryptedRow(result.rows[0]);
+
+      if (historyEntry) {
+        await this.insertHistory(client, saved, historyEntry);
+      }
+
+      if (inTransaction) {
+        await inTransaction(client, saved);
+      }
+
+      return saved;
+    });
+  }
+
+  /**
+   * Apply partial updates; unknown properties are merged into metadata
+   */
+  async update(uuid, updates) {
+    const db = await this.getDB();
+    const { text, values } = this.buildUpdate(uuid, updates);
+    const result = await db.query(text, values);
+
+    return result.rows.length > 0 ? this.fromEncryptedRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Change status and record the history entry atomically
+   * Only applies while the stored status is still `fromStatus`; returns null otherwise
+   * inTransaction(client, subscription) runs before the commit, as for save()
+   */
+  async transition(uuid, fromStatus, updates, historyEntry, inTransaction = null) {
+    return this.transaction(async (client) => {
+      const { text, values } = this.buildUpdate(uuid, updates, fromStatus);
+      const result = await client.query(text, values);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const subscription = this.fromEncryptedRow(result.rows[0]);
+      await this.insertHistory(client, subscription, historyEntry);
+
+      if (inTransaction) {
+        await inTransaction(client, subscription);
+      }
+
+      return subscription;
+    });
+  }
+
+  /**
+   * Build an UPDATE for column changes plus a metadata merge
+   */
+  buildUpdate(uuid, updates, expectedStatus = null) {
+    const { columns, metadata } = this.toEncryptedRecord(updates);
+    delete columns.subscription_id;
+
+    const values = [uuid];
+    const sets = Object.entries(columns).map(([name, value]) => {
+      values.push(value);
+      return `${name} = $${values.length}`;
+    });
+
+    values.push(JSON.stringify(metadata));
+    sets.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${values.length}::jsonb`);
+
+    let where = 'subscription_id = $1';
+    if (expectedStatus) {
+      values.push(expectedStatus);
+      where += ` AND status = $${values.length}`;
+    }
+
+    return {
+      text: `UPDATE subscriptions SET ${sets.join(', ')} WHERE ${where} RETURNING *`,
+      values
+    };
+  }
+
+  async insertHistory(client, subscription, entry) {
+    await client.query(
+      `INSERT INTO subscription_status_history (
+        subscription_id, operator_code, from_status, to_status, cause, reason, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        subscription.uuid,
+        subscription.operator,
+        entry.fromStatus,
+        entry.toStatus,
+        entry.cause,
+        entry.reason || null,
+        JSON.stringify(entry.metadata || {})
+      ]
+    );
+  }
+
+  /**
+   * Status timeline of a subscription, oldest first
+   */
+  async getHistory(uuid) {
+    const db = await this.getDB();
+    const result = await db.query(
+      `SELECT * FROM subscription_status_history
+       WHERE subscription_id = $1
+       ORDER BY created_at ASC`,
+      [uuid]
+    );
+
+    return result.rows.map(fromHistoryRow);
+  }
+
+  async findByUUID(uuid) {
+    const db = await this.getDB();
+    const result = await db.query(
+      'SELECT * FROM subscriptions WHERE subscription_id = $1',
+      [uuid]
+    );
+
+    return result.rows.length > 0 ? this.fromEncryptedRow(result.rows[0]) : null;
+  }
+
+  async findByMSISDN(msisdn) {
+    const db = await this.getDB();
+    const subscriber = this.cipher.lookup('msisdn', msisdn);
+    const result = await db.query(
+      `SELECT * FROM subscriptions WHERE ${subscriber.column} = $1 ORDER BY created_at DESC`,
+      [subscriber.value]
+    );
+
+    return result.rows.map(row => this.fromEncryptedRow(row));
+  }
+
+  async findByOperator(operator) {
+    const db = await this.getDB();
+    const result = await db.query(
+      'SELECT * FROM subscriptions WHERE operator_code = $1 ORDER BY created_at DESC',
+      [operator]
+    );
+
+    return result.rows.map(row => this.fromEncryptedRow(row));
+  }
+
+  /**
+   * Find subscriptions in any of the given statuses, optionally for one operator
+   */
+  async findByStatus(statuses, operator = null) {
+    const db = await this.getDB();
+    const result = await db.query(
+      `SELECT * FROM subscriptions
+       WHERE status = ANY($1) AND ($2::text IS NULL OR operator_code = $2)
+       ORDER BY created_at DESC`,
+      [statuses, operator]
+    );
+
+    return result.rows.map(row => this.fromEncryptedRow(row));
+  }
+
+  /**
+   * Find a subscription for the same MSISDN and service in one of the given statuses
+   */
+  async findExisting(operator, msisdn, campaign, statuses) {
+    const db = await this.getDB();
+    const subscriber = this.cipher.lookup('msisdn', msisdn);
+    const result = await db.query(
+      `SELECT * FROM subscriptions
+       WHERE operator_code = $1 AND ${subscriber.column} = $2 AND campaign_id = $3 AND status = ANY($4)
+       LIMIT 1`,
+      [operator, subscriber.value, campaign, statuses]
+    );
+
+    return result.rows.length > 0 ? this.fromEncryptedRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Subscription counts by status, operator and country
+   */
+  async getStatistics() {
+    const db = await this.getDB();
+    const result = await db.query(
+      `SELECT operator_code, status, COUNT(*) AS count
+       FROM subscriptions
+       GROUP BY operator_code, status`
+    );
+
+    return buildStatistics(result.rows);
+  }
+}
+
+/**
+ * In-memory repository
+ * Same interface without a database; intended for tests
+ */
+class MemorySubscriptionRepository {
+  constructor() {
+    this.subscriptions = new Map();
+    this.history = [];
+  }
+
+  copy(subscription) {
+    return subscription ? JSON.parse(JSON.stringify(subscription)) : null;
+  }
+
+  async save(subscription, historyEntry = null, inTransaction = null) {
+    const now = new Date().toISOString();
+    const existing = this.subscriptions.get(subscription.uuid);
+    const stored = {
+      ...subscription,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    const undo = this.snapshot(subscription.uuid);
+    this.subscriptions.set(subscription.uuid, stored);
+
+    if (historyEntry) {
+      this.recordHistory(stored, historyEntry);
+    }
+
+    await this.runInTransaction(inTransaction, this.copy(stored), undo);
+
+    return this.copy(stored);
+  }
+
+  async update(uuid, updates) {
+    const subscription = this.subscriptions.get(uuid);
+
+    if (!subscription) {
+      return null;
+    }
+
+    Object.assign(subscription, updates, { uuid, updatedAt: new Date().toISOString() });
+    return this.copy(subscription);
+  }
+
+  async transition(uuid, fromStatus, updates, historyEntry, inTransaction = null) {
+    const subscription = this.subscriptions.get(uuid);
+
+    if (!subscription || subscription.status !== fromStatus) {
+      return null;
+    }
+
+    const undo = this.snapshot(uuid);
+    const updated = await this.update(uuid, updates);
+    this.recordHistory(updated, historyEntry);
+
+    await this.runInTransaction(inTransaction, updated, undo);
+
+    return updated;
+  }
+
+  /**
+   * Restores a subscription and the history to their current state
+   */
+  snapshot(uuid) {
+    const previous = this.copy(this.subscriptions.get(uuid));
+    const historyLength = this.history.length;
+
+    return () => {
+      if (previous) {
+        this.subscriptions.set(uuid, previous);
+      } else {
+        this.subscriptions.delete(uuid);
+      }
+      this.history.length = historyLength;
+    };
+  }
+
+  /**
+   * Run a save's inTransaction callback, undoing the save when it throws as a rollback would
+   */
+  async runInTransaction(inTransaction, subscription, undo) {
+    if (!inTransaction) {
+      return;
+    }
+
+    try {
+      await inTransaction(null, subscription);
+    } catch (error) {
+      undo();
+      throw error;
+    }
+  }
+
+  recordHistory(subscription, entry) {
+    this.history.push({
+      uuid: subscription.uuid,
+      operator: subscription.operator,
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      cause: entry.cause,
+      reason: entry.reason || null,
+      metadata: entry.metadata || {},
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  async getHistory(uuid) {
+    return this.history.filter(entry => entry.uuid === uuid).map(entry => this.copy(entry));
+  }
+
+  async findByUUID(uuid) {
+    return this.copy(this.subscriptions.get(uuid));
+  }
+
+  async findByMSISDN(msisdn) {
+    return this.filter(sub => sub.msisdn === msisdn);
+  }
+
+  async findByOperator(operator) {
+    return this.filter(sub => sub.operator === operator);
+  }
+
+  async findByStatus(statuses, operator = null) {
+    return this.filter(sub =>
+      statuses.includes(sub.status) && (!operator || sub.operator === operator)
+    );
+  }
+
+  async findExisting(operator, msisdn, campaign, statuses) {
+    const [match] = this.filter(sub =>
+      sub.operator === operator &&
+      sub.msisdn === msisdn &&
+      sub.campaign === campaign &&
+      statuses.includes(sub.status)
+    );
+
+    return match || null;
+  }
+
+  async getStatistics() {
+    const counts = new Map();
+
+    for (const sub of this.subscriptions.values()) {
+      const key = `${sub.operator}|${sub.status}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    return buildStatistics([...counts.entries()].map(([key, count]) => {
+      const [operator_code, status] = key.split('|');
+      return { operator_code, status, count };
+    }));
+  }
+
+  filter(predicate) {
+    return [...this.subscriptions.values()].filter(predicate).map(sub => this.copy(sub));
+  }
+}
+
+module.exports = {
+  SubscriptionRepository,
+  MemorySubscriptionRepository
+};
@@ -0,0 +1,161 @@
+/**
+ * Transaction Repository
+ * Recording of and queries over one-off charges
+ */
+
+const { getDB } = require('../connection');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+// Charges that count against an MSISDN's spending limits; pending ones may still complete
+const SPEND_STATUSES = ['CHARGED', 'SUCCESS', 'PENDING'];
+
+// Transaction properties and their columns
+const COLUMNS = {
+  transactionId: 'transaction_id',
+  operator: 'operator_code',
+  merchant: 'merchant_id',
+  msisdn: 'msisdn',
+  campaign: 'campaign_id',
+  service: 'service_id',
+  amount: 'amount',
+  currency: 'currency',
+  status: 'status',
+  flowType: 'flow_type',
+  subscriptionId: 'subscription_id',
+  requestPayload: 'request_payload',
+  responsePayload: 'response_payload',
+  webhookResponse: 'webhook_response',
+  errorMessage: 'error_message',
+  createdAt: 'created_at',
+  completedAt: 'completed_at'
+};
+
+const JSON_COLUMNS = ['request_payload', 'response_payload', 'webhook_response'];
+
+class TransactionRepository {
+  constructor(db = null, cipher = getFieldCipher()) {
+    this.db = db;
+    this.cipher = cipher;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  /**
+   * Column values with the MSISDN (plus its blind index) and payload identifiers encrypted
+   */
+  toEncryptedColumns(transaction) {
+    const columns = {};
+
+    for (const [key, value] of Object.entries(transaction)) {
+      if (value !== undefined && COLUMNS[key]) {
+        columns[COLUMNS[key]] = value;
+      }
+    }
+
+    if (columns.msisdn !== undefined) {
+      columns.msisdn_hash = this.cipher.blindIndex(columns.msisdn);
+      columns.msisdn = this.cipher.encrypt(columns.msisdn);
+    }
+
+    for (const name of JSON_COLUMNS) {
+      if (columns[name] !== undefined && columns[name] !== null) {
+        columns[name] = JSON.stringify(this.cipher.encryptFields(columns[name]));
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Insert a charge; client joins the caller's transaction
+   * A transaction id already recorded (e.g. a replayed outbox entry) is left as it is,
+   * and null is returned
+   */
+  async record(transaction, client = null) {
+    const db = client || await this.getDB();
+    const columns = this.toEncryptedColumns(transaction);
+    const names = Object.keys(columns);
+
+    // Charges outside a subscription recorded here are stored unlinked
+    const placeholders = names.map((name, i) => name === 'subscription_id'
+      ? `(SELECT subscription_id FROM subscriptions WHERE subscription_id = $${i + 1})`
+      : `$${i + 1}`);
+
+    const result = await db.query(
+      `INSERT INTO transactions (${names.join(', ')})
+       VALUES (${placeholders.join(', ')})
+       ON CONFLICT (transaction_id) DO NOTHING
+       RETURNING *`,
+      Object.values(columns)
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Attach an operator notification to the charge it reports on
+   * transactionIds: identifiers the notification may refer to the charge by. The status
+   * is updated, and an MSISDN still unknown (a TOKEN charge) is filled in when given.
+   * Returns the updated row, or null when no charge matches
+   */
+  async linkWebhook(operator, transactionIds, { webhookResponse, status = null, msisdn = null, completedAt = null }) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `UPDATE transactions SET
+        webhook_response = $3,
+        status = COALESCE($4, status),
+        msisdn = COALESCE(msisdn, $5),
+        msisdn_hash = COALESCE(msisdn_hash, $6),
+        completed_at = COALESCE(completed_at, $7)
+       WHERE operator_code = $1 AND transaction_id = ANY($2)
+       RETURNING *`,
+      [
+        operator,
+        transactionIds,
+        JSON.stringify(this.cipher.encryptFields(webhookResponse)),
+        status,
+        this.cipher.encrypt(msisdn),
+        this.cipher.blindIndex(msisdn),
+        completedAt
+      ]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Sum an MSISDN's charges since the start of each window
+   * windows: { daily, monthly, yearly } -> Date
+   */
+  async sumSpend(operator, msisdn, windows) {
+    const db = await this.getDB();
+    const earliest = new Date(Math.min(...Object.values(windows).map(date => date.getTime())));
+    const subscriber = this.cipher.lookup('msisdn', msisdn);
+
+    const result = await db.query(
+      `SELECT
+        COALESCE(SUM(amount) FILTER (WHERE created_at >= $3), 0) AS daily,
+        COALESCE(SUM(amount) FILTER (WHERE created_at >= $4), 0) AS monthly,
+        COALESCE(SUM(amount) FILTER (WHERE created_at >= $5), 0) AS yearly
+       FROM transactions
+       WHERE operator_code = $1 AND ${subscriber.column} = $2
+         AND status = ANY($6) AND created_at >= $7`,
+      [operator, subscriber.value, windows.daily, windows.monthly, windows.yearly, SPEND_STATUSES, earliest]
+    );
+
+    const row = result.rows[0] || {};
+
+    return {
+      daily: Number(row.daily || 0),
+      monthly: Number(row.monthly || 0),
+      yearly: Number(row.yearly || 0)
+    };
+  }
+}
+
+TransactionRepository.SPEND_STATUSES = SPEND_STATUSES;
+
+module.exports = TransactionRepository;
@@ -0,0 +1,174 @@
+/**
+ * Webhook Event Repository
+ * Durable inbox of received webhook notifications (webhook_events)
+ */
+
+const { getDB } = require('../connection');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+class WebhookEventRepository {
+  constructor(db = null, cipher = getFieldCipher()) {
+    this.db = db;
+    this.cipher = cipher;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  /**
+   * Stored event with the subscriber identifiers in its payload decrypted
+   */
+  fromRow(row) {
+    return row ? { ...row, payload: this.cipher.decryptFields(row.payload) } : null;
+  }
+
+  /**
+   * Store a received event, due for immediate processing
+   * Returns null when an event with the same id or fingerprint is already stored
+   */
+  async insert({ eventId, operator, eventType, payload, fingerprint }) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `INSERT INTO webhook_events (
+        event_id, operator, event_type, payload, fingerprint, received_at, next_attempt_at
+      ) VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      ON CONFLICT DO NOTHING
+      RETURNING *`,
+      [eventId, operator, eventType, JSON.stringify(this.cipher.encryptFields(payload)), fingerprint]
+    );
+
+    return this.fromRow(result.rows[0]);
+  }
+
+  async findDuplicate(eventId, fingerprint) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `SELECT * FROM webhook_events
+       WHERE fingerprint = $2 OR event_id = $1
+       ORDER BY received_at
+       LIMIT 1`,
+      [eventId, fingerprint]
+    );
+
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Lease a batch of due events to this worker
+   * Counts the attempt up front so a crash mid-processing still uses one up
+   */
+  async claimDue(limit, lockMs) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `UPDATE webhook_events SET
+        processing_attempts = processing_attempts + 1,
+        locked_until = NOW() + ($2 * INTERVAL '1 millisecond')
+      WHERE id IN (
+        SELECT id FROM webhook_events
+        WHERE processed = false
+          AND next_attempt_at <= NOW()
+          AND (locked_until IS NULL OR locked_until <= NOW())
+        ORDER BY received_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`,
+      [limit, lockMs]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  async markProcessed(id) {
+    const db = await this.getDB();
+
+    await db.query(
+      `UPDATE webhook_events SET
+        processed = true,
+        processed_at = NOW(),
+        error_message = NULL,
+        locked_until = NULL,
+        next_attempt_at = NULL
+      WHERE id = $1`,
+      [id]
+    );
+  }
+
+  /**
+   * Record a failed attempt
+   * A null nextAttemptAt dead-letters the event
+   */
+  async markFailed(id, errorMessage, nextAttemptAt) {
+    const db = await this.getDB();
+
+    await db.query(
+      `UPDATE webhook_events SET
+        error_message = $2,
+        locked_until = NULL,
+        next_attempt_at = $3
+      WHERE id = $1`,
+      [id, errorMessage, nextAttemptAt]
+    );
+  }
+
+  /**
+   * Queue stored events for processing again with a fresh attempt budget
+   * filter: { id } or { from, to, operator }
+   */
+  async requeue({ id, from, to, operator }) {
+    const db = await this.getDB();
+    const conditions = [];
+    const values = [];
+
+    if (id) {
+      values.push(id);
+      conditions.push(`id = $${values.length}`);
+    } else {
+      values.push(from, to);
+      conditions.push(`received_at >= $${values.length - 1} AND received_at <= $${values.length}`);
+
+      if (operator) {
+        values.push(operator);
+        conditions.push(`operator = $${values.length}`);
+      }
+    }
+
+    const result = await db.query(
+      `UPDATE webhook_events SET
+        processed = false,
+        processed_at = NULL,
+        processing_attempts = 0,
+        error_message = NULL,
+        locked_until = NULL,
+        next_attempt_at = NOW()
+      WHERE ${conditions.join(' AND ')}
+      RETURNING id`,
+      values
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Events that exhausted their attempts
+   */
+  async findDeadLetters(limit = 50) {
+    const db = await this.getDB();
+
+    const result = await db.query(
+      `SELECT * FROM webhook_events
+       WHERE processed = false AND next_attempt_at IS NULL
+       ORDER BY received_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+}
+
+module.exports = WebhookEventRepository;
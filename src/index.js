@@ -5,8 +5,26 @@
 
 require('dotenv').config();
 
+const crypto = require('crypto');
+
 const SLAClient = require('./services/core/SLAClient');
 const ResponseHandler = require('./services/core/ResponseHandler');
+const FlowManager = require('./services/flows/FlowManager');
+const SubscriptionManager = require('./services/api/SubscriptionManager');
+const SubscriptionStateMachine = require('./services/api/SubscriptionStateMachine');
+const SpendGuard = require('./services/api/SpendGuard');
+const ApiClientAuth = require('./services/api/ApiClientAuth');
+const WebhookInbox = require('./services/api/WebhookInbox');
+const WebhookHandler = require('./services/api/WebhookHandler');
+const EventBus = require('./services/core/EventBus');
+const MerchantNotifier = require('./services/api/MerchantNotifier');
+const Outbox = require('./services/core/Outbox');
+const TransactionRecorder = require('./services/api/TransactionRecorder');
+const TransactionRepository = require('./database/repositories/TransactionRepository');
+const SmsLogRepository = require('./database/repositories/SmsLogRepository');
+const { CircuitOpenError } = require('./services/core/CircuitBreaker');
+const { RateLimitError } = require('./services/core/RateLimiter');
+const { MemorySessionStore, PostgresSessionStore, createSessionStore } = require('./services/core/SessionStore');
 const { operatorConfigs, getOperatorsByCountry, getOperatorsByFlow, supportsPINAPI } = require('./config/operators.config');
 const { apiConfig, getEndpointUrl, getCheckoutUrl } = require('./config/api.config');
 const { systemLogger, operatorLogger } = require('./utils/logger');
@@ -22,6 +40,47 @@ class SLADigitalIntegration {
     // Initialize components
     this.client = new SLAClient(environment, options.credentials);
     this.responseHandler = new ResponseHandler();
+    this.flowManager = new FlowManager(this.client, options.sessionStore);
+    this.events = options.eventBus || new EventBus();
+    this.subscriptionManager = new SubscriptionManager(
+      this.client,
+      this.flowManager,
+      options.subscriptionRepository,
+      this.events
+    );
+    this.transactionRepository = options.transactionRepository || new TransactionRepository();
+    this.smsLogRepository = options.smsLogRepository || new SmsLogRepository();
+    this.spendGuard = new SpendGuard(this.transactionRepository);
+
+    // Records of completed SLA calls, journaled while the database is unavailable
+    this.outbox = new Outbox({
+      transaction: transaction => this.transactionRepository.record(transaction),
+      subscription: ({ operator, subscription }) => this.subscriptionManager.storeSubscription(operator, subscription),
+      sms: log => this.smsLogRepository.record(log),
+      smsBatch: ({ batch, results }) => this.smsLogRepository.recordBatch(batch, results)
+    }, options.outbox);
+    this.transactionRecorder = new TransactionRecorder(this.outbox, this.transactionRepository);
+
+    this.webhookInbox = new WebhookInbox(
+      (notification, event) => this.webhookHandler.processStoredWebhook(
+        this.webhookHandler.extractOperator(notification) || event.operator,
+        notification
+      ),
+      options.webhookEventRepository
+    );
+
+    // Forward lifecycle events to merchant endpoints; deliveries are stored with
+    // the status changes and webhooks that cause them
+    this.merchantNotifier = new MerchantNotifier(this.subscriptionManager, options.merchantWebhookRepository);
+    this.subscriptionManager.merchantNotifier = this.merchantNotifier;
+
+    this.webhookHandler = new WebhookHandler(this.responseHandler, this.flowManager, {
+      subscriptionManager: this.subscriptionManager,
+      inbox: this.webhookInbox,
+      eventBus: this.events,
+      transactionRecorder: this.transactionRecorder,
+      merchantNotifier: this.merchantNotifier
+    });
     
     // Log initialization
     systemLogger.logStartup({
@@ -91,11 +150,17 @@ class SLADigitalIntegration {
 
   /**
    * One-off charge
+   * Refused before reaching SLA when it would exceed the MSISDN's spending limits;
+   * options.billingType (prepaid|postpaid) selects the monthly limit where they differ
    */
-  async charge(operator, params) {
+  async charge(operator, params, options = {}) {
     operatorLogger.logOperation(operator, 'charge', params);
     
     try {
+      await this.spendGuard.assertWithinLimits(operator, params.msisdn, params.amount, {
+        billingType: options.billingType
+      });
+
       const response = await this.client.charge(operator, params);
       const processed = this.responseHandler.processResponse(response, operator, 'charge');
       
@@ -156,13 +221,148 @@ class SLADigitalIntegration {
     return this.client.buildCheckoutUrl(operator, params);
   }
 
+  // ============= SUBSCRIPTION JOURNEYS =============
+
+  /**
+   * Start a subscription journey using the operator's flow
+   */
+  async startJourney(operator, params) {
+    operatorLogger.logOperation(operator, 'startJourney', params);
+
+    try {
+      const { journey, result } = await this.flowManager.startJourney(operator, params);
+
+      operatorLogger.logSuccess(operator, 'startJourney', {
+        journeyId: journey.journeyId,
+        status: journey.status
+      });
+      return this.formatJourney(journey, result);
+    } catch (error) {
+      operatorLogger.logFailure(operator, 'startJourney', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete the pending step of a journey (PIN, checkout token or fraud token)
+   */
+  async completeJourney(journeyId, params) {
+    const operator = (await this.flowManager.getJourney(journeyId))?.operator || 'unknown';
+    operatorLogger.logOperation(operator, 'completeJourney', { journeyId });
+
+    try {
+      const { journey, result } = await this.flowManager.completeJourney(journeyId, params);
+
+      // Completion results come straight from the API; normalise them like the direct calls
+      const finished = ['COMPLETED', 'FAILED'].includes(journey.status);
+      const processed = finished
+        ? this.responseHandler.processResponse(result, operator, 'subscription')
+        : result;
+
+      // Stored like subscriptions created through the subscription route
+      if (journey.status === 'COMPLETED' && processed.success) {
+        await this.recordSubscription(operator, processed, {
+          ...journey.params,
+          isTokenBased: Boolean(params?.token)
+        });
+      }
+
+      operatorLogger.logSuccess(operator, 'completeJourney', {
+        journeyId,
+        status: journey.status
+      });
+      return this.formatJourney(journey, processed);
+    } catch (error) {
+      operatorLogger.logFailure(operator, 'completeJourney', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a subscription created at SLA, through the outbox
+   * A TOKEN (or missing) MSISDN is replaced by the one in the response
+   */
+  async recordSubscription(operator, result, { msisdn, campaign, merchant, isTokenBased = false }) {
+    return this.outbox.write('subscription', {
+      operator,
+      subscription: {
+        ...result.data,
+        uuid: result.data?.uuid || crypto.randomUUID(),
+        msisdn: isTokenBased || !msisdn ? result.data?.msisdn : msisdn,
+        campaign,
+        merchant,
+        isTokenBased
+      }
+    });
+  }
+
+  /**
+   * Get the current state of a journey
+   */
+  async getJourney(journeyId) {
+    const journey = await this.flowManager.getJourney(journeyId);
+    return journey ? this.formatJourney(journey) : null;
+  }
+
+  /**
+   * Build the client-facing view of a journey
+   */
+  formatJourney(journey, result = null) {
+    const requiredParams = {
+      AWAITING_PIN: ['pin'],
+      AWAITING_TOKEN: ['token'],
+      AWAITING_FRAUD_TOKEN: ['fraud_token']
+    };
+
+    const view = {
+      journeyId: journey.journeyId,
+      operator: journey.operator,
+      flow: journey.flow,
+      status: journey.status,
+      action: journey.action,
+      expiresAt: new Date(journey.expiresAt).toISOString()
+    };
+
+    if (requiredParams[journey.status]) {
+      view.nextStep = {
+        ...(result?.nextStep || {}),
+        action: journey.action,
+        requiredParams: requiredParams[journey.status]
+      };
+    }
+
+    if (result?.checkoutUrl) {
+      view.checkoutUrl = result.checkoutUrl;
+    }
+
+    if (result?.expiresIn) {
+      view.expiresIn = result.expiresIn;
+    }
+
+    if (result && ['COMPLETED', 'FAILED'].includes(journey.status)) {
+      view.result = result;
+    }
+
+    return view;
+  }
+
   // ============= WEBHOOK PROCESSING =============
 
   /**
    * Process webhook notification
+   * Runs the full WebhookHandler pipeline (flows, subscription lifecycle, callbacks)
+   */
+  async processWebhook(notification) {
+    const operator = this.webhookHandler.extractOperator(notification);
+    return this.webhookHandler.processStoredWebhook(operator, notification);
+  }
+
+  /**
+   * Subscribe to lifecycle events (EventBus.EVENTS; * wildcards allowed)
+   * options.operator narrows to operators, options.timeout bounds the listener
    */
-  processWebhook(notification) {
-    return this.responseHandler.processWebhookNotification(notification);
+  on(event, listener, options = {}) {
+    return this.events.on(event, listener, options);
   }
 
   // ============= UTILITY METHODS =============
@@ -218,9 +418,10 @@ class SLADigitalIntegration {
    */
   async healthCheck() {
     const health = {
-      status: 'OK',
+      status: this.client.circuitBreakers.hasOpenCircuits() ? 'DEGRADED' : 'OK',
       environment: this.environment,
       operators: Object.keys(operatorConfigs).length,
+      circuitBreakers: this.client.getCircuitStates(),
       timestamp: new Date().toISOString()
     };
 
@@ -234,6 +435,22 @@ module.exports = {
   SLADigitalIntegration,
   SLAClient,
   ResponseHandler,
+  FlowManager,
+  SubscriptionManager,
+  SubscriptionStateMachine,
+  SpendGuard,
+  ApiClientAuth,
+  WebhookInbox,
+  WebhookHandler,
+  EventBus,
+  MerchantNotifier,
+  Outbox,
+  TransactionRecorder,
+  CircuitOpenError,
+  RateLimitError,
+  MemorySessionStore,
+  PostgresSessionStore,
+  createSessionStore,
   operatorConfigs,
   apiConfig,
   
@@ -0,0 +1,222 @@
+/**
+ * API Client Auth
+ * Authenticates callers by API key or JWT and enforces their scopes and rate limits
+ */
+
+const crypto = require('crypto');
+const { apiConfig } = require('../../config/api.config');
+const { systemLogger } = require('../../utils/logger');
+const { safeEqual } = require('../../utils/hmac');
+const jwt = require('../../utils/jwt');
+const { createRateLimitBackend } = require('../core/RateLimiter');
+const ApiClientRepository = require('../../database/repositories/ApiClientRepository');
+
+// Scopes that can be granted to a client; '*' grants all, 'charge:*' every charge scope
+const SCOPES = [
+  'pin:write',
+  'subscription:read',
+  'subscription:write',
+  'charge:read',
+  'charge:write',
+  'sms:send',
+  'internal:read',
+  'internal:write',
+  'clients:manage'
+];
+
+const KEY_PREFIX = 'sla';
+const MIN_SECRET_LENGTH = 32;
+
+function authError(message, status = 401, code = 'UNAUTHENTICATED') {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+class ApiClientAuth {
+  constructor(repository = new ApiClientRepository(), options = {}) {
+    this.repository = repository;
+    this.options = { ...apiConfig.auth, ...options };
+    this.rateLimitBackend = options.rateLimitBackend || createRateLimitBackend(this.options.rateLimitBackend);
+    this.enabled = this.options.enabled;
+
+    if (!this.enabled && process.env.NODE_ENV === 'production') {
+      systemLogger.warn('API_AUTH_ENABLED=false is ignored in production');
+      this.enabled = true;
+    }
+
+    this.jwtSecret = this.usableSecret('JWT_SECRET', this.options.jwtSecret);
+    this.internalApiKey = this.usableSecret('INTERNAL_API_KEY', this.options.internalApiKey);
+  }
+
+  usableSecret(name, value) {
+    if (!value) {
+      return null;
+    }
+
+    if (value.length < MIN_SECRET_LENGTH) {
+      systemLogger.warn(`${name} is shorter than ${MIN_SECRET_LENGTH} characters and is ignored`);
+      return null;
+    }
+
+    return value;
+  }
+
+  /**
+   * New key: sla_<prefix>_<secret>; the prefix identifies the client, the whole key is hashed
+   */
+  static generateKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    return { prefix, key: `${KEY_PREFIX}_${prefix}_${secret}` };
+  }
+
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  static validateScopes(scopes) {
+    const invalid = scopes.filter(scope =>
+      scope !== '*' && !SCOPES.includes(scope) && !SCOPES.some(known => scope === `${known.split(':')[0]}:*`)
+    );
+
+    if (invalid.length > 0) {
+      throw authError(`Invalid scopes: ${invalid.join(', ')}. Valid scopes: ${SCOPES.join(', ')}`, 400, 'INVALID_SCOPE');
+    }
+  }
+
+  /**
+   * Whether an authenticated client holds a scope
+   */
+  static hasScope(client, scope) {
+    const [resource] = scope.split(':');
+
+    return client.scopes.some(granted =>
+      granted === '*' || granted === scope || granted === `${resource}:*`
+    );
+  }
+
+  /**
+   * Register a client; the key is only ever returned here
+   */
+  async createClient({ name, scopes, rateLimitPerMinute = null }) {
+    ApiClientAuth.validateScopes(scopes);
+
+    const { prefix, key } = ApiClientAuth.generateKey();
+    const client = await this.repository.create({
+      name,
+      keyPrefix: prefix,
+      keyHash: ApiClientAuth.hashKey(key),
+      scopes,
+      rateLimitPerMinute
+    });
+
+    return { client, apiKey: key };
+  }
+
+  /**
+   * Identify the caller from X-API-Key or Authorization: Bearer (API key or JWT)
+   * Returns { id, name, scopes, rateLimitPerMinute, method }
+   */
+  async authenticate(headers) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1]?.trim();
+    const credential = headers['x-api-key'] || bearer;
+
+    if (!credential) {
+      throw authError('Missing credentials: send X-API-Key or Authorization: Bearer');
+    }
+
+    if (this.internalApiKey && safeEqual(credential, this.internalApiKey)) {
+      return { id: 'internal', name: 'internal', scopes: ['*'], rateLimitPerMinute: null, method: 'internal_key' };
+    }
+
+    if (credential.startsWith(`${KEY_PREFIX}_`)) {
+      return this.authenticateKey(credential);
+    }
+
+    if (bearer && credential.split('.').length === 3) {
+      return this.authenticateToken(credential);
+    }
+
+    throw authError('Invalid credentials');
+  }
+
+  async authenticateKey(key) {
+    const prefix = key.split('_')[1];
+    const client = prefix ? await this.repository.findActiveByPrefix(prefix) : null;
+
+    if (!client || !safeEqual(ApiClientAuth.hashKey(key), client.key_hash)) {
+      throw authError('Invalid API key');
+    }
+
+    return {
+      id: client.id,
+      name: client.name,
+      scopes: client.scopes,
+      rateLimitPerMinute: client.rate_limit_per_minute || this.options.defaultRateLimitPerMinute,
+      method: 'api_key'
+    };
+  }
+
+  /**
+   * Tokens are minted by internal services sharing JWT_SECRET:
+   * sub identifies the caller and scope lists its scopes, space-separated.
+   * exp is required and at most jwtMaxLifetime after iat
+   */
+  authenticateToken(token) {
+    if (!this.jwtSecret) {
+      throw authError('Bearer tokens are not accepted: JWT_SECRET is not configured');
+    }
+
+    const claims = jwt.verify(token, this.jwtSecret, {
+      clockTolerance: this.options.jwtClockTolerance,
+      requireExp: true,
+      maxLifetime: this.options.jwtMaxLifetime
+    });
+
+    if (!claims.sub) {
+      throw authError('Token has no subject');
+    }
+
+    return {
+      id: String(claims.sub),
+      name: claims.name || String(claims.sub),
+      scopes: String(claims.scope || '').split(' ').filter(Boolean),
+      rateLimitPerMinute: this.options.defaultRateLimitPerMinute,
+      method: 'jwt'
+    };
+  }
+
+  /**
+   * Take one request from the client's per-minute budget
+   * Returns { allowed, retryAfter } (seconds); the internal key is unlimited
+   */
+  async consumeRateLimit(client) {
+    if (!client.rateLimitPerMinute) {
+      return { allowed: true };
+    }
+
+    try {
+      const result = await this.rateLimitBackend.take(
+        `client:${client.id}`,
+        client.rateLimitPerMinute,
+        client.rateLimitPerMinute / 60000
+      );
+
+      return {
+        allowed: result.allowed,
+        retryAfter: Math.max(Math.ceil(result.waitMs / 1000), 1)
+      };
+    } catch (error) {
+      // Same policy as the outbound limiter: an unavailable store does not block callers
+      systemLogger.warn(`Client rate limiter unavailable for ${client.id}, allowing request`, { error: error.message });
+      return { allowed: true };
+    }
+  }
+}
+
+ApiClientAuth.SCOPES = SCOPES;
+
+module.exports = ApiClientAuth;
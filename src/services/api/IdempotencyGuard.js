@@ -0,0 +1,127 @@
+/**
+ * Idempotency Guard
+ * Express middleware replaying the stored response to a repeated Idempotency-Key request
+ */
+
+const crypto = require('crypto');
+const { apiConfig } = require('../../config/api.config');
+const { systemLogger } = require('../../utils/logger');
+const { canonicalJSON } = require('../../utils/canonicalJSON');
+const { IdempotencyRepository } = require('../../database/repositories/IdempotencyRepository');
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]+$/;
+const MAX_KEY_LENGTH = 255;
+
+class IdempotencyGuard {
+  /**
+   * options.windowMs: replay window; options.lockMs: how long a request holds its key
+   */
+  constructor(repository = new IdempotencyRepository(), options = {}) {
+    this.repository = repository;
+    this.options = { ...apiConfig.idempotency, ...options };
+  }
+
+  /**
+   * SHA-256 of a request body, independent of key order
+   */
+  static hashRequest(body) {
+    return crypto.createHash('sha256').update(canonicalJSON(body || {})).digest('hex');
+  }
+
+  /**
+   * Middleware for routes with :operator resolved into req.operator, and the caller
+   * authenticated into req.apiClient when client authentication is enabled
+   * Sets req.idempotencyKey once the key is reserved for this request
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+
+      if (!key) {
+        return next();
+      }
+
+      if (key.length > MAX_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Idempotency-Key: use up to 255 letters, digits, "_", "-", ":" or "."'
+        });
+      }
+
+      // Keys belong to the authenticated client, so two clients cannot collide on one
+      const scope = {
+        key,
+        client: req.apiClient?.id || '',
+        operator: req.operator,
+        endpoint: `${req.method} ${req.route.path}`
+      };
+      const requestHash = IdempotencyGuard.hashRequest(req.body);
+
+      try {
+        const { reserved, record } = await this.repository.reserve({
+          ...scope,
+          requestHash,
+          windowMs: this.options.windowMs,
+          lockMs: this.options.lockMs
+        });
+
+        if (!reserved) {
+          if (record.request_hash !== requestHash) {
+            return res.status(422).json({
+              success: false,
+              error: 'Idempotency-Key was already used with a different request'
+            });
+          }
+
+          if (record.status !== 'COMPLETED') {
+            return res.status(409).json({
+              success: false,
+              error: 'A request with this Idempotency-Key is still in progress'
+            });
+          }
+
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(record.response_status).json(record.response_body);
+        }
+      } catch (error) {
+        // Without the key store a retry could charge twice, so refuse rather than proceed
+        systemLogger.error('Idempotency store unavailable', { error: error.message });
+        return res.status(503).json({
+          success: false,
+          error: 'Idempotency store unavailable, please retry'
+        });
+      }
+
+      req.idempotencyKey = key;
+
+      // Persist the response before sending it; server errors release the key for a retry
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const settle = res.statusCode >= 500
+          ? this.repository.release(scope)
+          : this.repository.complete(scope, res.statusCode, body);
+
+        settle
+          .catch(error => systemLogger.error('Failed to store idempotent response', { error: error.message }))
+          .finally(() => sendJson(body));
+
+        return res;
+      };
+
+      next();
+    };
+  }
+
+  /**
+   * Periodically purge keys past their replay window
+   */
+  startCleanup(intervalMs = this.options.purgeInterval) {
+    this.repository.startCleanup(intervalMs);
+  }
+
+  stopCleanup() {
+    this.repository.stopCleanup();
+  }
+}
+
+module.exports = IdempotencyGuard;
@@ -0,0 +1,223 @@
+/**
+ * Merchant Notifier
+ * Forwards lifecycle events to merchant webhook endpoints, signed and retried
+ */
+
+const axios = require('axios');
+const { apiConfig } = require('../../config/api.config');
+const { systemLogger } = require('../../utils/logger');
+const { sign } = require('../../utils/hmac');
+const MerchantWebhookRepository = require('../../database/repositories/MerchantWebhookRepository');
+
+class MerchantNotifier {
+  /**
+   * subscriptionManager resolves the merchant/campaign of events that do not carry them
+   */
+  constructor(subscriptionManager, repository = new MerchantWebhookRepository(), options = {}) {
+    this.subscriptionManager = subscriptionManager;
+    this.repository = repository;
+    this.options = { ...apiConfig.merchantWebhooks, ...options };
+    this.httpClient = options.httpClient || axios;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Record a delivery for every endpoint registered for the event's merchant and campaign
+   * client joins the caller's transaction, so the event is not stored without its deliveries
+   */
+  async enqueue(event, client = null) {
+    return this.enqueueAll([event], client);
+  }
+
+  /**
+   * Record the deliveries for several events, all or nothing
+   */
+  async enqueueAll(events, client = null) {
+    const forwarded = events.filter(event => this.options.events.includes(event.type));
+
+    if (!this.options.enabled || forwarded.length === 0) {
+      return [];
+    }
+
+    const deliveries = await this.repository.transaction(async (transactionClient) => {
+      const created = [];
+
+      for (const event of forwarded) {
+        const { merchant, campaign } = await this.resolveOwner(event);
+
+        if (!merchant) {
+          continue;
+        }
+
+        const endpoints = await this.repository.findEndpoints(merchant, campaign, event.type, transactionClient);
+        const { notification, ...data } = event;
+
+        for (const endpoint of endpoints) {
+          created.push(await this.repository.createDelivery({
+            endpointId: endpoint.id,
+            eventType: event.type,
+            operator: event.operator,
+            payload: { ...data, merchant, campaign }
+          }, transactionClient));
+        }
+      }
+
+      return created;
+    }, client);
+
+    // Send now rather than waiting for the next poll
+    if (deliveries.length > 0 && this.timer) {
+      setImmediate(() => this.processDue());
+    }
+
+    return deliveries;
+  }
+
+  async resolveOwner(event) {
+    const source = event.notification?.success || event.notification?.error || {};
+    let merchant = event.merchant || source.merchant;
+    let campaign = event.campaign || source.campaign;
+
+    if ((!merchant || !campaign) && event.uuid && this.subscriptionManager) {
+      const subscription = await this.subscriptionManager.getSubscription(event.uuid);
+      merchant = merchant || subscription?.merchant;
+      campaign = campaign || subscription?.campaign;
+    }
+
+    return { merchant, campaign };
+  }
+
+  /**
+   * Send every due delivery, one leased batch at a time
+   */
+  async processDue() {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let sent = 0;
+
+    try {
+      while (true) {
+        const deliveries = await this.repository.claimDue(this.options.batchSize, this.options.lockDuration);
+
+        for (const delivery of deliveries) {
+          await this.deliver(delivery);
+          sent++;
+        }
+
+        if (deliveries.length < this.options.batchSize) {
+          break;
+        }
+      }
+    } catch (error) {
+      systemLogger.warn('Merchant webhook poll failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * POST one delivery; any 2xx response counts as delivered
+   */
+  async deliver(delivery) {
+    const { body, headers } = this.buildRequest(delivery);
+    let responseStatus = null;
+
+    try {
+      const response = await this.httpClient.post(delivery.url, body, {
+        headers,
+        timeout: this.options.timeout,
+        validateStatus: () => true
+      });
+      responseStatus = response.status;
+
+      if (responseStatus >= 200 && responseStatus < 300) {
+        await this.repository.markDelivered(delivery.id, responseStatus);
+        return true;
+      }
+
+      throw new Error(`Endpoint responded ${responseStatus}`);
+    } catch (error) {
+      const giveUp = delivery.attempts >= this.options.maxAttempts;
+      const nextAttemptAt = giveUp ? null : new Date(Date.now() + this.getRetryDelay(delivery.attempts));
+
+      systemLogger.warn(`Merchant webhook ${delivery.id} attempt ${delivery.attempts} failed${giveUp ? ', giving up' : ''}`, {
+        eventType: delivery.event_type,
+        url: delivery.url,
+        error: error.message
+      });
+
+      await this.repository.markFailed(delivery.id, responseStatus, error.message, nextAttemptAt);
+      return false;
+    }
+  }
+
+  /**
+   * Signed request for a delivery
+   * X-Webhook-Signature is sha256=HMAC(secret, `${timestamp}.${body}`)
+   */
+  buildRequest(delivery) {
+    const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      type: delivery.event_type,
+      occurredAt: payload.occurredAt,
+      data: payload
+    });
+
+    return {
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(delivery.secret, body, timestamp)}`
+      }
+    };
+  }
+
+  /**
+   * Exponential backoff after a failed attempt
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      this.options.retryDelay * Math.pow(2, attempts - 1),
+      this.options.maxRetryDelay
+    );
+  }
+
+  /**
+   * Send a delivery again, e.g. after the merchant fixed their endpoint
+   */
+  async redeliver(id) {
+    const delivery = await this.repository.requeue(id);
+
+    if (delivery && this.timer) {
+      setImmediate(() => this.processDue());
+    }
+
+    return delivery;
+  }
+
+  start(intervalMs = this.options.pollInterval) {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.processDue(), intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = MerchantNotifier;
@@ -0,0 +1,244 @@
+/**
+ * Spend Guard
+ * Pre-flight check of one-off charges against operator spending limits
+ */
+
+const { operatorConfigs } = require('../../config/operators.config');
+const { systemLogger } = require('../../utils/logger');
+const TransactionRepository = require('../../database/repositories/TransactionRepository');
+
+const BILLING_TYPES = ['prepaid', 'postpaid'];
+
+// Limit -> operator error code returned when SLA rejects the same charge
+const LIMIT_ERROR_CODES = {
+  daily: '5003',
+  monthly: '5004'
+};
+
+// Checkout tokens stand in for a subscriber SLA only reveals after charging
+const isToken = msisdn => typeof msisdn === 'string' && msisdn.startsWith('TOKEN:');
+
+class SpendGuard {
+  constructor(repository = new TransactionRepository()) {
+    this.repository = repository;
+  }
+
+  /**
+   * Resolve an operator's limits
+   * Without a known billing type the lower of the prepaid/postpaid monthly limits applies
+   */
+  getLimits(operator, billingType = null) {
+    const config = operatorConfigs[operator];
+
+    if (!config) {
+      throw new Error(`Unknown operator: ${operator}`);
+    }
+
+    if (billingType && !BILLING_TYPES.includes(billingType)) {
+      const error = new Error(`Invalid billing type: ${billingType}. Valid types: ${BILLING_TYPES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    let monthly = config.monthlyLimit ?? null;
+
+    if (monthly === null) {
+      const byType = {
+        prepaid: config.monthlyLimitPrepaid ?? null,
+        postpaid: config.monthlyLimitPostpaid ?? null
+      };
+
+      if (billingType) {
+        monthly = byType[billingType];
+      } else {
+        const known = Object.values(byType).filter(limit => limit !== null);
+        monthly = known.length > 0 ? Math.min(...known) : null;
+      }
+    }
+
+    return {
+      perCharge: config.maxCharge ?? null,
+      daily: config.dailyLimit ?? null,
+      monthly,
+      yearly: config.yearlyLimit ?? null
+    };
+  }
+
+  /**
+   * Start of the current day, month and year (UTC)
+   */
+  getWindows(now = new Date()) {
+    return {
+      daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+      monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      yearly: new Date(Date.UTC(now.getUTCFullYear(), 0, 1))
+    };
+  }
+
+  /**
+   * Remaining allowance for an MSISDN
+   */
+  async getAllowance(operator, msisdn, { billingType = null } = {}) {
+    if (isToken(msisdn)) {
+      const error = new Error('Spend allowance is unknown for a checkout token; use the subscriber MSISDN');
+      error.code = 'SUBSCRIBER_UNRESOLVED';
+      error.status = 400;
+      throw error;
+    }
+
+    const limits = this.getLimits(operator, billingType);
+    const windows = this.getWindows();
+    const periodic = ['daily', 'monthly', 'yearly'].filter(period => limits[period] !== null);
+
+    const spent = periodic.length > 0
+      ? await this.repository.sumSpend(operator, msisdn, windows)
+      : { daily: 0, monthly: 0, yearly: 0 };
+
+    const remaining = {};
+    for (const period of periodic) {
+      remaining[period] = Math.max(limits[period] - spent[period], 0);
+    }
+
+    // The most that can be charged right now
+    const caps = [limits.perCharge, ...Object.values(remaining)].filter(cap => cap !== null);
+
+    return {
+      operator,
+      msisdn,
+      currency: operatorConfigs[operator].currency,
+      billingType,
+      limits,
+      spent,
+      remaining,
+      maxChargeable: caps.length > 0 ? Math.min(...caps) : null,
+      windows
+    };
+  }
+
+  /**
+   * Check a charge amount against the limits
+   * Returns { allowed, reason, allowance, subscriberResolved }; reason describes the first limit exceeded
+   *
+   * A TOKEN charge has no spend history to check until SLA reports the subscriber, so only
+   * the per-charge maximum and the periodic limits themselves apply (subscriberResolved: false)
+   */
+  async check(operator, msisdn, amount, options = {}) {
+    const requested = Number(amount);
+    const limits = this.getLimits(operator, options.billingType);
+
+    if (limits.perCharge !== null && requested > limits.perCharge) {
+      return {
+        allowed: false,
+        reason: {
+          limit: 'perCharge',
+          limitAmount: limits.perCharge,
+          spent: 0,
+          requested,
+          remaining: limits.perCharge
+        },
+        subscriberResolved: !isToken(msisdn)
+      };
+    }
+
+    if (isToken(msisdn)) {
+      for (const period of ['daily', 'monthly', 'yearly']) {
+        if (limits[period] !== null && requested > limits[period]) {
+          return {
+            allowed: false,
+            reason: {
+              limit: period,
+              limitAmount: limits[period],
+              spent: null,
+              requested,
+              remaining: limits[period],
+              operatorErrorCode: LIMIT_ERROR_CODES[period] || null
+            },
+            subscriberResolved: false
+          };
+        }
+      }
+
+      return { allowed: true, reason: null, allowance: null, subscriberResolved: false };
+    }
+
+    const allowance = await this.getAllowance(operator, msisdn, options);
+
+    for (const [period, remaining] of Object.entries(allowance.remaining)) {
+      if (requested > remaining) {
+        return {
+          allowed: false,
+          reason: {
+            limit: period,
+            limitAmount: allowance.limits[period],
+            spent: allowance.spent[period],
+            requested,
+            remaining,
+            resetsAt: this.getResetTime(period, allowance.windows[period]).toISOString(),
+            operatorErrorCode: LIMIT_ERROR_CODES[period] || null
+          },
+          allowance,
+          subscriberResolved: true
+        };
+      }
+    }
+
+    return { allowed: true, reason: null, allowance, subscriberResolved: true };
+  }
+
+  /**
+   * Throw when a charge would exceed a limit
+   * An unavailable spend history is logged and allowed; the operator still enforces its limits.
+   * The same applies to a TOKEN charge, whose spend history cannot be looked up (returns null)
+   */
+  async assertWithinLimits(operator, msisdn, amount, options = {}) {
+    let result;
+
+    // Configuration errors are the caller's to handle
+    this.getLimits(operator, options.billingType);
+
+    try {
+      result = await this.check(operator, msisdn, amount, options);
+    } catch (error) {
+      systemLogger.warn(`Spend guard unavailable for ${operator}, allowing charge`, { error: error.message });
+      return null;
+    }
+
+    if (!result.allowed) {
+      const { reason } = result;
+      const error = new Error(
+        `Charge of ${reason.requested} exceeds ${reason.limit} limit of ${reason.limitAmount} for ${operator} (remaining ${reason.remaining})`
+      );
+      error.code = 'SPEND_LIMIT_EXCEEDED';
+      error.status = 422;
+      error.reason = reason;
+      throw error;
+    }
+
+    if (!result.subscriberResolved) {
+      systemLogger.info(`Spend history not checked for a ${operator} token charge, the operator enforces periodic limits`, {
+        amount: Number(amount)
+      });
+    }
+
+    return result.allowance;
+  }
+
+  getResetTime(period, windowStart) {
+    const reset = new Date(windowStart);
+
+    if (period === 'daily') {
+      reset.setUTCDate(reset.getUTCDate() + 1);
+    } else if (period === 'monthly') {
+      reset.setUTCMonth(reset.getUTCMonth() + 1);
+    } else {
+      reset.setUTCFullYear(reset.getUTCFullYear() + 1);
+    }
+
+    return reset;
+  }
+}
+
+SpendGuard.BILLING_TYPES = BILLING_TYPES;
+SpendGuard.isToken = isToken;
+
+module.exports = SpendGuard;
@@ -5,15 +5,23 @@
 
 const { operatorLogger } = require('../../utils/logger');
 const { operatorConfigs } = require('../../config/operators.config');
+const { SubscriptionRepository } = require('../../database/repositories/SubscriptionRepository');
+const SubscriptionStateMachine = require('./SubscriptionStateMachine');
+const EventBus = require('../core/EventBus');
+
+const { CAUSES } = SubscriptionStateMachine;
 
 class SubscriptionManager {
-  constructor(slaClient, flowManager) {
+  /**
+   * eventBus: status changes are published on it as subscription.status_changed
+   */
+  constructor(slaClient, flowManager, repository = new SubscriptionRepository(), eventBus = null) {
     this.slaClient = slaClient;
     this.flowManager = flowManager;
-    
-    // In-memory subscription store (should be replaced with database in production)
-    this.subscriptions = new Map();
-    this.subscriptionsByMSISDN = new Map();
+    this.repository = repository;
+    this.events = eventBus;
+    // MerchantNotifier, once created; status changes are stored with their merchant deliveries
+    this.merchantNotifier = null;
   }
 
   /**
@@ -62,7 +70,7 @@ class SubscriptionManager {
     
     try {
       // Get stored subscription data
-      const subscription = this.getSubscription(params.uuid);
+      const subscription = await this.getSubscription(params.uuid);
       
       // Handle ACR for Telenor
       if (config.usesACR && subscription?.acr) {
@@ -74,7 +82,7 @@ class SubscriptionManager {
       
       // Remove from store
       if (result.success) {
-        this.removeSubscription(params.uuid);
+        await this.removeSubscription(params.uuid);
       }
       
       return result;
@@ -94,13 +102,9 @@ class SubscriptionManager {
     try {
       const result = await this.slaClient.getSubscriptionStatus(operator, params);
       
-      // Update stored subscription
+      // Reconcile stored subscription with the operator's view
       if (result.success && result.data) {
-        await this.updateSubscription(result.data.uuid, {
-          status: result.data.status,
-          nextPayment: result.data.next_payment_timestamp,
-          lastChecked: new Date().toISOString()
-        });
+        await this.reconcileStatus(operator, result.data);
       }
       
       return result;
@@ -133,7 +137,7 @@ class SubscriptionManager {
     
     try {
       // Check if subscription was removed
-      const subscription = this.getSubscription(params.uuid);
+      const subscription = await this.getSubscription(params.uuid);
       
       if (!subscription || subscription.status !== 'REMOVED') {
         throw new Error('Only removed subscriptions can be resumed');
@@ -156,9 +160,10 @@ class SubscriptionManager {
       
       // Update subscription status
       if (result.success) {
-        await this.updateSubscription(params.uuid, {
-          status: 'ACTIVE',
-          resumedAt: new Date().toISOString()
+        await this.transitionStatus(params.uuid, 'ACTIVE', {
+          cause: CAUSES.API,
+          reason: 'Resumed within grace period',
+          updates: { resumedAt: new Date().toISOString() }
         });
       }
       
@@ -195,9 +200,12 @@ class SubscriptionManager {
       
       // Update subscription
       if (result.success) {
-        await this.updateSubscription(params.uuid, {
-          status: 'FREE',
-          trialEndsAt: new Date(Date.now() + (params.trialDays * 24 * 60 * 60 * 1000)).toISOString()
+        await this.transitionStatus(params.uuid, 'FREE', {
+          cause: CAUSES.API,
+          reason: `Free trial applied (${params.trialDays} days)`,
+          updates: {
+            trialEndsAt: new Date(Date.now() + (params.trialDays * 24 * 60 * 60 * 1000)).toISOString()
+          }
         });
       }
       
@@ -214,58 +222,29 @@ class SubscriptionManager {
   /**
    * Get all subscriptions for an operator
    */
-  getOperatorSubscriptions(operator) {
-    const subscriptions = [];
-    
-    for (const [uuid, sub] of this.subscriptions.entries()) {
-      if (sub.operator === operator) {
-        subscriptions.push(sub);
-      }
-    }
-    
-    return subscriptions;
+  async getOperatorSubscriptions(operator) {
+    return this.repository.findByOperator(operator);
   }
 
   /**
    * Get subscriptions by MSISDN
    */
-  getMSISDNSubscriptions(msisdn) {
-    return this.subscriptionsByMSISDN.get(msisdn) || [];
+  async getMSISDNSubscriptions(msisdn) {
+    return this.repository.findByMSISDN(msisdn);
   }
 
   /**
    * Get active subscriptions
    */
-  getActiveSubscriptions(operator = null) {
-    const activeStatuses = ['ACTIVE', 'FREE'];
-    const subscriptions = [];
-    
-    for (const [uuid, sub] of this.subscriptions.entries()) {
-      if (activeStatuses.includes(sub.status)) {
-        if (!operator || sub.operator === operator) {
-          subscriptions.push(sub);
-        }
-      }
-    }
-    
-    return subscriptions;
+  async getActiveSubscriptions(operator = null) {
+    return this.repository.findByStatus(['ACTIVE', 'FREE'], operator);
   }
 
   /**
    * Get suspended subscriptions
    */
-  getSuspendedSubscriptions(operator = null) {
-    const subscriptions = [];
-    
-    for (const [uuid, sub] of this.subscriptions.entries()) {
-      if (sub.status === 'SUSPENDED') {
-        if (!operator || sub.operator === operator) {
-          subscriptions.push(sub);
-        }
-      }
-    }
-    
-    return subscriptions;
+  async getSuspendedSubscriptions(operator = null) {
+    return this.repository.findByStatus(['SUSPENDED'], operator);
   }
 
   // ============= SUBSCRIPTION LIFECYCLE HANDLERS =============
@@ -273,41 +252,207 @@ class SubscriptionManager {
   /**
    * Handle subscription renewal
    */
-  async handleRenewal(operator, renewalData) {
+  async handleRenewal(operator, renewalData, cause = CAUSES.WEBHOOK) {
     operatorLogger.info(`Handling renewal for ${operator}`, renewalData);
     
-    await this.updateSubscription(renewalData.uuid, {
+    const subscription = await this.getSubscription(renewalData.uuid);
+    if (!subscription) {
+      return null;
+    }
+
+    const updates = {
       lastRenewal: new Date().toISOString(),
       nextPayment: renewalData.next_payment_timestamp,
-      renewalCount: (this.getSubscription(renewalData.uuid)?.renewalCount || 0) + 1
+      renewalCount: (subscription.renewalCount || 0) + 1
+    };
+
+    // A successful renewal charge ends any trial or suspension
+    return this.transitionStatus(renewalData.uuid, 'ACTIVE', {
+      cause,
+      reason: 'Renewal charged',
+      updates
     });
   }
 
   /**
    * Handle subscription suspension
    */
-  async handleSuspension(operator, suspensionData) {
+  async handleSuspension(operator, suspensionData, cause = CAUSES.WEBHOOK) {
     operatorLogger.info(`Handling suspension for ${operator}`, suspensionData);
     
-    await this.updateSubscription(suspensionData.uuid, {
-      status: 'SUSPENDED',
-      suspendedAt: new Date().toISOString(),
-      suspensionReason: suspensionData.reason
+    return this.transitionStatus(suspensionData.uuid, 'SUSPENDED', {
+      cause,
+      reason: suspensionData.reason,
+      updates: {
+        suspendedAt: new Date().toISOString(),
+        suspensionReason: suspensionData.reason
+      }
     });
   }
 
   /**
    * Handle subscription reactivation
    */
-  async handleReactivation(operator, reactivationData) {
+  async handleReactivation(operator, reactivationData, cause = CAUSES.WEBHOOK) {
     operatorLogger.info(`Handling reactivation for ${operator}`, reactivationData);
     
-    await this.updateSubscription(reactivationData.uuid, {
-      status: 'ACTIVE',
-      reactivatedAt: new Date().toISOString(),
-      suspendedAt: null,
-      suspensionReason: null
+    return this.transitionStatus(reactivationData.uuid, 'ACTIVE', {
+      cause,
+      reason: 'Reactivated',
+      updates: {
+        reactivatedAt: new Date().toISOString(),
+        suspendedAt: null,
+        suspensionReason: null
+      }
+    });
+  }
+
+  /**
+   * Handle removal after the retry grace period (resumable for 30 days)
+   */
+  async handleRemoval(operator, removalData, cause = CAUSES.WEBHOOK) {
+    operatorLogger.info(`Handling removal for ${operator}`, removalData);
+
+    return this.transitionStatus(removalData.uuid, 'REMOVED', {
+      cause,
+      reason: removalData.reason || 'Exceeded retry grace period',
+      updates: { removedAt: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Apply the status reported by the operator's status API
+   * Illegal transitions are logged and left for manual review rather than failing the check
+   */
+  async reconcileStatus(operator, statusData) {
+    await this.updateSubscription(statusData.uuid, {
+      nextPayment: statusData.next_payment_timestamp,
+      lastChecked: new Date().toISOString()
     });
+
+    if (!SubscriptionStateMachine.isValidStatus(statusData.status)) {
+      return null;
+    }
+
+    try {
+      return await this.transitionStatus(statusData.uuid, statusData.status, {
+        cause: CAUSES.RECONCILIATION,
+        reason: 'Operator status check'
+      });
+    } catch (error) {
+      if (error.code !== 'INVALID_TRANSITION') {
+        throw error;
+      }
+      operatorLogger.warn(`Status reconciliation rejected for ${operator}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ============= STATE TRANSITIONS =============
+
+  /**
+   * Move a subscription to a new status through the state machine
+   * Records the transition with its cause; returns null for unknown subscriptions
+   */
+  async transitionStatus(uuid, toStatus, { cause = CAUSES.API, reason = null, updates = {}, metadata = {} } = {}) {
+    SubscriptionStateMachine.assertCause(cause);
+
+    const subscription = await this.getSubscription(uuid);
+    if (!subscription) {
+      return null;
+    }
+
+    const fromStatus = subscription.status;
+
+    // Same status: only details change, nothing to record
+    if (fromStatus === toStatus) {
+      return Object.keys(updates).length > 0
+        ? this.updateSubscription(uuid, updates)
+        : subscription;
+    }
+
+    SubscriptionStateMachine.assertTransition(fromStatus, toStatus);
+
+    const updated = await this.repository.transition(
+      uuid,
+      fromStatus,
+      { ...updates, status: toStatus },
+      { fromStatus, toStatus, cause, reason, metadata },
+      (client, changed) => this.notifyMerchants(client, changed, fromStatus, cause, reason)
+    );
+
+    if (!updated) {
+      throw SubscriptionStateMachine.transitionError(
+        `Subscription ${uuid} changed status concurrently; ${fromStatus} -> ${toStatus} not applied`,
+        fromStatus,
+        toStatus
+      );
+    }
+
+    operatorLogger.info(`Subscription ${uuid}: ${fromStatus} -> ${toStatus} (${cause})`);
+
+    await this.publishStatusChange(updated, fromStatus, cause, reason);
+
+    return updated;
+  }
+
+  /**
+   * Publish a status change, including creation (fromStatus null)
+   */
+  async publishStatusChange(subscription, fromStatus, cause, reason) {
+    if (!this.events) {
+      return;
+    }
+
+    await this.events.emit(
+      EventBus.EVENTS.SUBSCRIPTION_STATUS_CHANGED,
+      subscription.operator,
+      this.statusChangeEvent(subscription, fromStatus, cause, reason)
+    );
+  }
+
+  /**
+   * Record merchant deliveries for a status change in the transaction storing it,
+   * so the change is not stored without them
+   */
+  async notifyMerchants(client, subscription, fromStatus, cause, reason) {
+    if (!this.merchantNotifier) {
+      return;
+    }
+
+    await this.merchantNotifier.enqueue(this.statusChangeEvent(subscription, fromStatus, cause, reason), client);
+  }
+
+  statusChangeEvent(subscription, fromStatus, cause, reason) {
+    return {
+      type: EventBus.EVENTS.SUBSCRIPTION_STATUS_CHANGED,
+      operator: subscription.operator,
+      uuid: subscription.uuid,
+      msisdn: subscription.msisdn,
+      merchant: subscription.merchant,
+      campaign: subscription.campaign,
+      fromStatus,
+      toStatus: subscription.status,
+      cause,
+      reason,
+      occurredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the status timeline of a subscription
+   */
+  async getTimeline(uuid) {
+    const subscription = await this.getSubscription(uuid);
+
+    if (!subscription) {
+      return null;
+    }
+
+    return {
+      subscription,
+      history: await this.repository.getHistory(uuid)
+    };
   }
 
   // ============= STORAGE METHODS =============
@@ -316,68 +461,66 @@ class SubscriptionManager {
    * Check for existing subscription
    */
   async checkExistingSubscription(operator, msisdn, campaign) {
-    const msisdnSubs = this.subscriptionsByMSISDN.get(msisdn) || [];
-    
-    return msisdnSubs.find(sub => 
-      sub.operator === operator && 
-      sub.campaign === campaign &&
-      ['ACTIVE', 'FREE', 'SUSPENDED'].includes(sub.status)
-    );
+    return this.repository.findExisting(operator, msisdn, campaign, ['ACTIVE', 'FREE', 'SUSPENDED']);
   }
 
   /**
    * Store subscription
    */
-  async storeSubscription(operator, subscriptionData) {
+  async storeSubscription(operator, subscriptionData, cause = CAUSES.API) {
     const subscription = {
       ...subscriptionData,
       operator,
-      createdAt: new Date().toISOString(),
-      status: subscriptionData.transaction?.status || 'ACTIVE'
+      status: SubscriptionStateMachine.initialStatus(subscriptionData)
     };
     
-    // Store by UUID
-    this.subscriptions.set(subscriptionData.uuid, subscription);
-    
-    // Store by MSISDN
-    const msisdn = subscriptionData.msisdn;
-    if (msisdn) {
-      const msisdnSubs = this.subscriptionsByMSISDN.get(msisdn) || [];
-      msisdnSubs.push(subscription);
-      this.subscriptionsByMSISDN.set(msisdn, msisdnSubs);
-    }
-    
     // Handle ACR for Telenor
+    const msisdn = subscriptionData.msisdn;
     if (msisdn?.startsWith('telenor-')) {
       subscription.acr = msisdn;
       subscription.hasACR = true;
     }
+
+    // Known subscription (e.g. a repeated notification): status goes through the state machine
+    const existing = await this.getSubscription(subscription.uuid);
+    if (existing) {
+      const { status, ...details } = subscription;
+      await this.updateSubscription(subscription.uuid, details);
+      return this.transitionStatus(subscription.uuid, status, { cause, reason: 'Subscription re-reported' });
+    }
+    
+    const stored = await this.repository.save(subscription, {
+      fromStatus: null,
+      toStatus: subscription.status,
+      cause,
+      reason: 'Subscription created'
+    }, (client, saved) => this.notifyMerchants(client, saved, null, cause, 'Subscription created'));
     
     operatorLogger.info(`Subscription stored: ${subscriptionData.uuid} for ${operator}`);
+
+    await this.publishStatusChange(stored, null, cause, 'Subscription created');
     
-    return subscription;
+    return stored;
   }
 
   /**
    * Get subscription by UUID
    */
-  getSubscription(uuid) {
-    return this.subscriptions.get(uuid);
+  async getSubscription(uuid) {
+    return this.repository.findByUUID(uuid);
   }
 
   /**
-   * Update subscription
+   * Update subscription details (status changes go through transitionStatus)
    */
   async updateSubscription(uuid, updates) {
-    const subscription = this.subscriptions.get(uuid);
+    if (updates.status !== undefined) {
+      throw new Error('Subscription status must be changed with transitionStatus');
+    }
+
+    const subscription = await this.repository.update(uuid, updates);
     
     if (subscription) {
-      Object.assign(subscription, updates, {
-        updatedAt: new Date().toISOString()
-      });
-      
-      this.subscriptions.set(uuid, subscription);
-      
       operatorLogger.debug(`Subscription updated: ${uuid}`, updates);
     }
     
@@ -386,57 +529,43 @@ class SubscriptionManager {
 
   /**
    * Remove subscription
+   * The record is kept as DELETED so its history survives
    */
-  removeSubscription(uuid) {
-    const subscription = this.subscriptions.get(uuid);
+  async removeSubscription(uuid, cause = CAUSES.API) {
+    const subscription = await this.transitionStatus(uuid, 'DELETED', {
+      cause,
+      reason: 'Subscription deleted',
+      updates: { cancelledAt: new Date().toISOString() }
+    });
     
     if (subscription) {
-      // Remove from UUID map
-      this.subscriptions.delete(uuid);
-      
-      // Remove from MSISDN map
-      const msisdn = subscription.msisdn;
-      if (msisdn) {
-        const msisdnSubs = this.subscriptionsByMSISDN.get(msisdn) || [];
-        const filtered = msisdnSubs.filter(sub => sub.uuid !== uuid);
-        
-        if (filtered.length > 0) {
-          this.subscriptionsByMSISDN.set(msisdn, filtered);
-        } else {
-          this.subscriptionsByMSISDN.delete(msisdn);
-        }
-      }
-      
       operatorLogger.info(`Subscription removed: ${uuid}`);
     }
+    
+    return subscription;
   }
 
   /**
-   * Get subscription statistics
+   * Remove the live subscriptions of an MSISDN (delete API called with MSISDN or token)
    */
-  getStatistics() {
-    const stats = {
-      total: this.subscriptions.size,
-      byStatus: {},
-      byOperator: {},
-      byCountry: {}
-    };
-    
-    for (const [uuid, sub] of this.subscriptions.entries()) {
-      // By status
-      stats.byStatus[sub.status] = (stats.byStatus[sub.status] || 0) + 1;
-      
-      // By operator
-      stats.byOperator[sub.operator] = (stats.byOperator[sub.operator] || 0) + 1;
-      
-      // By country
-      const config = operatorConfigs[sub.operator];
-      if (config?.country) {
-        stats.byCountry[config.country] = (stats.byCountry[config.country] || 0) + 1;
+  async removeMSISDNSubscriptions(operator, msisdn, cause = CAUSES.API) {
+    const subscriptions = await this.getMSISDNSubscriptions(msisdn);
+    const removed = [];
+
+    for (const subscription of subscriptions) {
+      if (subscription.operator === operator && !SubscriptionStateMachine.isTerminal(subscription.status)) {
+        removed.push(await this.removeSubscription(subscription.uuid, cause));
       }
     }
     
-    return stats;
+    return removed;
+  }
+
+  /**
+   * Get subscription statistics
+   */
+  async getStatistics() {
+    return this.repository.getStatistics();
   }
 }
 
@@ -0,0 +1,123 @@
+/**
+ * Subscription State Machine
+ * Valid subscription status transitions and their causes
+ */
+
+const { apiConfig } = require('../../config/api.config');
+
+const STATUSES = Object.keys(apiConfig.statusCodes.subscription);
+
+// Allowed target statuses per current status; DELETED, CANCELLED and EXPIRED are terminal
+const TRANSITIONS = {
+  WAITING: ['INACTIVE', 'CREATED', 'ACTIVE', 'FREE', 'DELETED', 'CANCELLED', 'EXPIRED'],
+  INACTIVE: ['WAITING', 'CREATED', 'ACTIVE', 'FREE', 'DELETED', 'CANCELLED', 'EXPIRED'],
+  CREATED: ['ACTIVE', 'FREE', 'SUSPENDED', 'REMOVED', 'DELETED', 'CANCELLED'],
+  FREE: ['ACTIVE', 'SUSPENDED', 'DELETED', 'CANCELLED', 'EXPIRED'],
+  ACTIVE: ['FREE', 'SUSPENDED', 'DELETED', 'CANCELLED', 'EXPIRED'],
+  SUSPENDED: ['ACTIVE', 'REMOVED', 'DELETED', 'CANCELLED', 'EXPIRED'],
+  REMOVED: ['ACTIVE', 'DELETED'], // Resume is allowed within the grace period
+  DELETED: [],
+  CANCELLED: [],
+  EXPIRED: []
+};
+
+// What triggered a transition
+const CAUSES = {
+  API: 'API',
+  WEBHOOK: 'WEBHOOK',
+  RECONCILIATION: 'RECONCILIATION'
+};
+
+// Initial charge outcome -> subscription status
+const TRANSACTION_STATUS_MAP = {
+  CHARGED: 'ACTIVE',
+  SUCCESS: 'ACTIVE',
+  PENDING: 'WAITING'
+};
+
+class SubscriptionStateMachine {
+  /**
+   * Check whether a status is part of the subscription vocabulary
+   */
+  static isValidStatus(status) {
+    return STATUSES.includes(status);
+  }
+
+  /**
+   * Get the statuses reachable from a status
+   */
+  static getAllowedTransitions(fromStatus) {
+    return TRANSITIONS[fromStatus] || [];
+  }
+
+  /**
+   * Check whether a transition is allowed
+   */
+  static canTransition(fromStatus, toStatus) {
+    return SubscriptionStateMachine.getAllowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  static isTerminal(status) {
+    return SubscriptionStateMachine.getAllowedTransitions(status).length === 0;
+  }
+
+  /**
+   * Throw when a transition is not allowed
+   */
+  static assertTransition(fromStatus, toStatus) {
+    if (!SubscriptionStateMachine.isValidStatus(toStatus)) {
+      throw SubscriptionStateMachine.transitionError(
+        `Unknown subscription status: ${toStatus}`,
+        fromStatus,
+        toStatus
+      );
+    }
+
+    if (!SubscriptionStateMachine.canTransition(fromStatus, toStatus)) {
+      throw SubscriptionStateMachine.transitionError(
+        `Invalid subscription status transition: ${fromStatus} -> ${toStatus}`,
+        fromStatus,
+        toStatus
+      );
+    }
+  }
+
+  static assertCause(cause) {
+    if (!Object.values(CAUSES).includes(cause)) {
+      throw new Error(`Invalid transition cause: ${cause}. Valid causes: ${Object.values(CAUSES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Derive the status of a newly created subscription from the API response
+   */
+  static initialStatus(subscriptionData) {
+    if (SubscriptionStateMachine.isValidStatus(subscriptionData.status)) {
+      return subscriptionData.status;
+    }
+
+    const transactionStatus = subscriptionData.transaction?.status;
+
+    if (!transactionStatus) {
+      return 'ACTIVE';
+    }
+
+    // Any other transaction status means the initial charge failed
+    return TRANSACTION_STATUS_MAP[transactionStatus] || 'CREATED';
+  }
+
+  static transitionError(message, fromStatus, toStatus) {
+    const error = new Error(message);
+    error.code = 'INVALID_TRANSITION';
+    error.status = 409;
+    error.fromStatus = fromStatus;
+    error.toStatus = toStatus;
+    return error;
+  }
+}
+
+SubscriptionStateMachine.STATUSES = STATUSES;
+SubscriptionStateMachine.TRANSITIONS = TRANSITIONS;
+SubscriptionStateMachine.CAUSES = CAUSES;
+
+module.exports = SubscriptionStateMachine;
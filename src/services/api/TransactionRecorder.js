@@ -0,0 +1,111 @@
+/**
+ * Transaction Recorder
+ * Records one-off charges with their request, normalised response, subscriber and flow,
+ * and links the operator's later notification about each charge
+ */
+
+const crypto = require('crypto');
+const { systemLogger } = require('../../utils/logger');
+const { redactSecrets } = require('../../utils/redact');
+const TransactionRepository = require('../../database/repositories/TransactionRepository');
+
+// How the charge was made
+const FLOW_TYPES = {
+  PIN: 'pin_api',
+  TOKEN: 'checkout_token'
+};
+
+// Statuses a charge can still leave
+const OPEN_STATUSES = ['PENDING'];
+
+const isToken = msisdn => typeof msisdn === 'string' && msisdn.startsWith('TOKEN:');
+
+class TransactionRecorder {
+  /**
+   * outbox: Outbox with a 'transaction' handler, so charges are kept while the database is unavailable
+   */
+  constructor(outbox, repository = new TransactionRepository()) {
+    this.outbox = outbox;
+    this.repository = repository;
+  }
+
+  /**
+   * Transaction record of a charge
+   * params: the charge parameters sent to SLA; result: the normalised response
+   * The record is keyed by SLA's transaction id, falling back to the idempotency key
+   */
+  static fromCharge(operator, params, result, { idempotencyKey = null, createdAt = new Date() } = {}) {
+    const transaction = result.data?.transaction || {};
+    const status = transaction.status || (result.success ? 'CHARGED' : 'FAILED');
+
+    return {
+      transactionId: transaction.id || result.transactionId || idempotencyKey || crypto.randomUUID(),
+      operator,
+      merchant: params.merchant || null,
+      msisdn: TransactionRecorder.resolveMSISDN(params.msisdn, result.data?.msisdn),
+      campaign: params.campaign || null,
+      amount: params.amount,
+      currency: transaction.currency || params.currency || null,
+      status,
+      flowType: isToken(params.msisdn) ? FLOW_TYPES.TOKEN : FLOW_TYPES.PIN,
+      requestPayload: redactSecrets(params),
+      responsePayload: result,
+      errorMessage: result.success === false ? result.error?.message || null : null,
+      createdAt,
+      completedAt: OPEN_STATUSES.includes(status) ? null : createdAt
+    };
+  }
+
+  /**
+   * The subscriber's MSISDN (or ACR): a TOKEN is replaced by the one the operator reports,
+   * or left unknown until a notification reports it
+   */
+  static resolveMSISDN(requested, reported) {
+    if (!isToken(requested)) {
+      return requested || null;
+    }
+
+    return reported && !isToken(reported) ? reported : null;
+  }
+
+  /**
+   * Record a completed charge; returns the outbox result
+   */
+  async recordCharge(operator, params, result, options = {}) {
+    return this.outbox.write('transaction', TransactionRecorder.fromCharge(operator, params, result, options));
+  }
+
+  /**
+   * Store an operator notification in webhook_response of the charge it refers to
+   * (by SLA transaction id, or the idempotency key sent as transaction_id/correlator)
+   * Returns the updated transaction row, or null when no recorded charge matches
+   */
+  async linkWebhook(operator, notification) {
+    const data = notification.success || notification.error || {};
+    const transactionIds = [data.transaction?.id, data.transaction_id, data.correlator]
+      .filter(Boolean)
+      .map(String);
+
+    if (transactionIds.length === 0) {
+      return null;
+    }
+
+    const status = data.transaction?.status || null;
+    const linked = await this.repository.linkWebhook(operator, transactionIds, {
+      webhookResponse: notification,
+      status,
+      msisdn: data.msisdn && !isToken(data.msisdn) ? data.msisdn : null,
+      completedAt: status && !OPEN_STATUSES.includes(status) ? new Date() : null
+    });
+
+    if (linked) {
+      systemLogger.info(`Notification linked to transaction ${linked.transaction_id}`, { operator, status });
+    }
+
+    return linked;
+  }
+}
+
+TransactionRecorder.FLOW_TYPES = FLOW_TYPES;
+
+module.exports = TransactionRecorder;
@@ -5,33 +5,68 @@
 
 const express = require('express');
 const { webhookLogger } = require('../../utils/logger');
-const { operatorConfigs } = require('../../config/operators.config');
+const { operatorConfigs, isKnownOperator } = require('../../config/operators.config');
+const SubscriptionStateMachine = require('./SubscriptionStateMachine');
+const EventBus = require('../core/EventBus');
+
+const { CAUSES } = SubscriptionStateMachine;
+const { EVENTS } = EventBus;
+
+// registerCallback event names -> normalised events
+const CALLBACK_EVENTS = {
+  subscription_created: EVENTS.SUBSCRIPTION_CREATED,
+  subscription_renewed: EVENTS.SUBSCRIPTION_RENEWED,
+  subscription_suspended: EVENTS.SUBSCRIPTION_SUSPENDED,
+  subscription_deleted: EVENTS.SUBSCRIPTION_DELETED,
+  payment_failed: EVENTS.CHARGE_FAILED
+};
+
+// Passes every request through when no check is supplied
+const allowAll = (req, res, next) => next();
 
 class WebhookHandler {
-  constructor(responseHandler, flowManager) {
+  /**
+   * options.subscriptionManager: receives lifecycle changes (cause WEBHOOK)
+   * options.inbox: WebhookInbox; when set, webhooks are stored and acknowledged,
+   * then processed by the inbox worker through processStoredWebhook
+   * options.eventBus: EventBus that lifecycle events are published on
+   * options.transactionRecorder: links notifications to the recorded charges they report on
+   * options.merchantNotifier: records merchant deliveries for lifecycle events
+   */
+  constructor(responseHandler, flowManager, options = {}) {
     this.responseHandler = responseHandler;
     this.flowManager = flowManager;
-    this.webhookCallbacks = new Map();
+    this.subscriptionManager = options.subscriptionManager || null;
+    this.inbox = options.inbox || null;
+    this.events = options.eventBus || new EventBus();
+    this.transactionRecorder = options.transactionRecorder || null;
+    this.merchantNotifier = options.merchantNotifier || null;
     this.webhookHistory = [];
   }
 
   /**
    * Create Express router for webhook endpoints
+   * options.verifySignature guards every notification endpoint, options.verifySource
+   * additionally the operator-specific endpoints, and options.verifyInternal
+   * (default verifySource) the monitoring endpoints
    */
-  createRouter() {
+  createRouter(options = {}) {
     const router = express.Router();
+    const verifySignature = options.verifySignature || allowAll;
+    const verifySource = options.verifySource || allowAll;
+    const verifyInternal = options.verifyInternal || verifySource;
 
     // Main webhook endpoint
-    router.post('/webhook', this.handleWebhook.bind(this));
-    
-    // Operator-specific webhook endpoints (if needed)
-    router.post('/webhook/:operator', this.handleOperatorWebhook.bind(this));
+    router.post('/webhook', verifySignature, this.handleWebhook.bind(this));
     
     // Status endpoint for monitoring
-    router.get('/webhook/status', this.getWebhookStatus.bind(this));
+    router.get('/webhook/status', verifyInternal, this.getWebhookStatus.bind(this));
     
     // History endpoint for debugging
-    router.get('/webhook/history', this.getWebhookHistory.bind(this));
+    router.get('/webhook/history', verifyInternal, this.getWebhookHistory.bind(this));
+
+    // Operator-specific webhook endpoints (if needed); signed like the main endpoint
+    router.post('/webhook/:operator', verifySource, verifySignature, this.handleOperatorWebhook.bind(this));
 
     return router;
   }
@@ -53,14 +88,7 @@ class WebhookHandler {
         return res.status(400).json({ error: 'Operator not identified' });
       }
       
-      // Process webhook
-      const result = await this.processWebhook(operator, notification);
-      
-      // Send success response
-      res.status(200).json({ success: true, processed: true });
-      
-      // Store in history
-      this.storeWebhookHistory(operator, notification, result);
+      await this.acceptWebhook(res, operator, notification);
       
     } catch (error) {
       webhookLogger.error('webhook', error);
@@ -79,17 +107,11 @@ class WebhookHandler {
       webhookLogger.logReceived(operator, 'notification', notification);
       
       // Validate operator
-      if (!operatorConfigs[operator]) {
+      if (!isKnownOperator(operator)) {
         return res.status(400).json({ error: 'Unknown operator' });
       }
       
-      // Process webhook
-      const result = await this.processWebhook(operator, notification);
-      
-      res.status(200).json({ success: true, processed: true });
-      
-      // Store in history
-      this.storeWebhookHistory(operator, notification, result);
+      await this.acceptWebhook(res, operator, this.withOperator(operator, notification));
       
     } catch (error) {
       webhookLogger.error(operator, error);
@@ -97,6 +119,37 @@ class WebhookHandler {
     }
   }
 
+  /**
+   * Store the webhook in the inbox and acknowledge it, or process it inline without one
+   * Storage failures propagate so SLA retries the delivery
+   */
+  async acceptWebhook(res, operator, notification) {
+    if (this.inbox) {
+      const event = await this.inbox.receive(operator, notification);
+
+      return res.status(200).json({
+        success: true,
+        queued: !event.duplicate,
+        duplicate: event.duplicate,
+        eventId: event.id
+      });
+    }
+
+    const result = await this.processStoredWebhook(operator, notification);
+    res.status(200).json({ success: true, processed: true });
+    return result;
+  }
+
+  /**
+   * Process a webhook and record it in history
+   * Used by the inbox worker for stored events
+   */
+  async processStoredWebhook(operator, notification) {
+    const result = await this.processWebhook(operator, notification);
+    this.storeWebhookHistory(operator, notification, result);
+    return result;
+  }
+
   /**
    * Process webhook notification
    */
@@ -112,14 +165,18 @@ class WebhookHandler {
     const type = notification.success?.type || notification.error?.type;
     const status = notification.success?.transaction?.status || notification.error?.transaction?.status;
     
-    // Handle UK operators subscription creation
-    if (this.isUKOperator(operator) && type === 'subscription' && notification.success) {
-      await this.handleUKSubscriptionCreated(operator, notification);
+    // Lifecycle events are published once everything is stored, so a failure
+    // below (retried by the inbox) cannot publish them twice
+    const events = [];
+
+    // Handle UK operators subscription creation (renewals are handled below)
+    if (this.isUKOperator(operator) && type === 'subscription' && notification.success && notification.success.mode !== 'RENEWAL') {
+      events.push(await this.handleUKSubscriptionCreated(operator, notification));
     }
     
     // Handle Zain status notifications
     if (operator.startsWith('zain-') && status === 'SUSPENDED') {
-      await this.handleZainSuspension(operator, notification);
+      events.push(this.handleZainSuspension(operator, notification));
     }
     
     // Handle Axiata async completion
@@ -129,17 +186,36 @@ class WebhookHandler {
     
     // Handle subscription renewals
     if (type === 'subscription' && status === 'CHARGED' && notification.success?.mode === 'RENEWAL') {
-      await this.handleSubscriptionRenewal(operator, notification);
+      events.push(this.handleSubscriptionRenewal(operator, notification));
     }
     
     // Handle failures
     if (status === 'INSUFFICIENT_FUNDS' || status === 'FAILED') {
-      await this.handlePaymentFailure(operator, notification);
+      events.push(this.handlePaymentFailure(operator, notification));
     }
     
     // Handle deletions
     if (status === 'DELETED' || status === 'REMOVED') {
-      await this.handleSubscriptionDeletion(operator, notification);
+      events.push(this.handleSubscriptionDeletion(operator, notification));
+    }
+
+    // Keep stored subscriptions in step with the operator
+    if (this.subscriptionManager) {
+      await this.updateSubscriptionLifecycle(operator, type, status, notification);
+    }
+
+    // Attach the notification to the charge it reports on
+    if (this.transactionRecorder) {
+      await this.transactionRecorder.linkWebhook(operator, notification);
+    }
+
+    // Stored as part of processing: a failure fails the attempt and the inbox retries it
+    if (this.merchantNotifier) {
+      await this.merchantNotifier.enqueueAll(events);
+    }
+
+    for (const event of events) {
+      await this.events.emit(event.type, operator, event);
     }
     
     // Execute registered callbacks
@@ -160,7 +236,7 @@ class WebhookHandler {
     const subscriptionData = notification.success;
     
     // Check if we have a pending flow
-    const flowRef = this.flowManager.getFlowReference(operator, subscriptionData.correlator);
+    const flowRef = await this.flowManager.getFlowReference(operator, subscriptionData.correlator);
     
     if (flowRef) {
       // Update flow status
@@ -169,21 +245,20 @@ class WebhookHandler {
       flowRef.msisdn = subscriptionData.msisdn;
       
       // Clear flow reference
-      this.flowManager.clearFlowReference(operator, subscriptionData.correlator);
+      await this.flowManager.clearFlowReference(operator, subscriptionData.correlator);
     }
     
-    // Execute success callback if registered
-    const callbackKey = `${operator}_subscription_created`;
-    if (this.webhookCallbacks.has(callbackKey)) {
-      const callback = this.webhookCallbacks.get(callbackKey);
-      await callback(subscriptionData);
-    }
+    return this.createEvent(EVENTS.SUBSCRIPTION_CREATED, operator, notification, {
+      correlator: subscriptionData.correlator,
+      status: subscriptionData.transaction?.status,
+      transactionId: subscriptionData.transaction?.id
+    });
   }
 
   /**
    * Handle Zain suspension notification
    */
-  async handleZainSuspension(operator, notification) {
+  handleZainSuspension(operator, notification) {
     webhookLogger.info(`Zain subscription suspended: ${operator}`);
     
     const subscriptionData = notification.success;
@@ -197,12 +272,7 @@ class WebhookHandler {
       willRetry: true
     };
     
-    // Execute suspension callback if registered
-    const callbackKey = `${operator}_subscription_suspended`;
-    if (this.webhookCallbacks.has(callbackKey)) {
-      const callback = this.webhookCallbacks.get(callbackKey);
-      await callback(suspensionData);
-    }
+    return this.createEvent(EVENTS.SUBSCRIPTION_SUSPENDED, operator, notification, suspensionData);
   }
 
   /**
@@ -215,19 +285,19 @@ class WebhookHandler {
     const transactionId = data.transaction_id;
     
     // Check for pending flow
-    const flowRef = this.flowManager.getFlowReference(operator, transactionId);
+    const flowRef = await this.flowManager.getFlowReference(operator, transactionId);
     
     if (flowRef) {
       flowRef.asyncComplete = true;
       flowRef.result = data;
-      this.flowManager.clearFlowReference(operator, transactionId);
+      await this.flowManager.clearFlowReference(operator, transactionId);
     }
   }
 
   /**
    * Handle subscription renewal
    */
-  async handleSubscriptionRenewal(operator, notification) {
+  handleSubscriptionRenewal(operator, notification) {
     webhookLogger.info(`Subscription renewed: ${operator}`);
     
     const renewalData = {
@@ -239,18 +309,13 @@ class WebhookHandler {
       billId: notification.success.bill_id
     };
     
-    // Execute renewal callback
-    const callbackKey = `${operator}_subscription_renewed`;
-    if (this.webhookCallbacks.has(callbackKey)) {
-      const callback = this.webhookCallbacks.get(callbackKey);
-      await callback(renewalData);
-    }
+    return this.createEvent(EVENTS.SUBSCRIPTION_RENEWED, operator, notification, renewalData);
   }
 
   /**
    * Handle payment failure
    */
-  async handlePaymentFailure(operator, notification) {
+  handlePaymentFailure(operator, notification) {
     webhookLogger.warn(`Payment failed: ${operator}`);
     
     const failureData = {
@@ -259,18 +324,13 @@ class WebhookHandler {
       timestamp: new Date().toISOString()
     };
     
-    // Execute failure callback
-    const callbackKey = `${operator}_payment_failed`;
-    if (this.webhookCallbacks.has(callbackKey)) {
-      const callback = this.webhookCallbacks.get(callbackKey);
-      await callback(failureData);
-    }
+    return this.createEvent(EVENTS.CHARGE_FAILED, operator, notification, failureData);
   }
 
   /**
    * Handle subscription deletion
    */
-  async handleSubscriptionDeletion(operator, notification) {
+  handleSubscriptionDeletion(operator, notification) {
     webhookLogger.info(`Subscription deleted: ${operator}`);
     
     const deletionData = {
@@ -280,42 +340,99 @@ class WebhookHandler {
       deletedAt: new Date().toISOString()
     };
     
-    // Execute deletion callback
-    const callbackKey = `${operator}_subscription_deleted`;
-    if (this.webhookCallbacks.has(callbackKey)) {
-      const callback = this.webhookCallbacks.get(callbackKey);
-      await callback(deletionData);
+    return this.createEvent(EVENTS.SUBSCRIPTION_DELETED, operator, notification, deletionData);
+  }
+
+  /**
+   * Apply a notification's status change to the stored subscription
+   * Transitions the state machine rejects are logged, not retried
+   */
+  async updateSubscriptionLifecycle(operator, type, status, notification) {
+    const data = notification.success || notification.error;
+    const uuid = data?.uuid;
+
+    if (!uuid) {
+      return null;
+    }
+
+    try {
+      if (this.isUKOperator(operator) && type === 'subscription' && notification.success && data.mode !== 'RENEWAL') {
+        return await this.subscriptionManager.storeSubscription(operator, { ...data, uuid }, CAUSES.WEBHOOK);
+      }
+
+      if (status === 'CHARGED' && data.mode === 'RENEWAL') {
+        return await this.subscriptionManager.handleRenewal(operator, data);
+      }
+
+      if (status === 'SUSPENDED') {
+        return await this.subscriptionManager.handleSuspension(operator, {
+          uuid,
+          reason: data.reason || 'INSUFFICIENT_FUNDS'
+        });
+      }
+
+      if (status === 'REMOVED') {
+        return await this.subscriptionManager.handleRemoval(operator, { uuid, reason: data.reason });
+      }
+
+      if (status === 'DELETED') {
+        return await this.subscriptionManager.removeSubscription(uuid, CAUSES.WEBHOOK);
+      }
+    } catch (error) {
+      if (error.code !== 'INVALID_TRANSITION') {
+        throw error;
+      }
+      webhookLogger.warn(`Webhook status change rejected for ${operator}: ${error.message}`);
     }
+
+    return null;
   }
 
   // ============= CALLBACK MANAGEMENT =============
 
+  /**
+   * Normalised lifecycle event for a notification
+   */
+  createEvent(event, operator, notification, details = {}) {
+    const data = notification.success || notification.error || {};
+
+    return {
+      type: event,
+      operator,
+      uuid: data.uuid,
+      msisdn: data.msisdn,
+      ...details,
+      occurredAt: new Date().toISOString(),
+      notification
+    };
+  }
+
+  /**
+   * Publish a normalised lifecycle event
+   */
+  async publish(event, operator, notification, details = {}) {
+    return this.events.emit(event, operator, this.createEvent(event, operator, notification, details));
+  }
+
   /**
    * Register webhook callback
+   * Lifecycle names (subscription_renewed, payment_failed, ...) subscribe to the
+   * normalised event; any other name to raw notifications of that type ('*' for all).
+   * Prefer this.events.on() for new code. Returns a function that unregisters
    */
   registerCallback(operator, event, callback) {
-    const key = `${operator}_${event}`;
-    this.webhookCallbacks.set(key, callback);
+    return this.events.on(this.getCallbackEvent(event), callback, { operator });
   }
 
   /**
-   * Execute registered callbacks
+   * Execute registered callbacks for a raw notification
    */
   async executeCallbacks(operator, type, notification) {
-    const generalKey = `${operator}_${type}`;
-    const wildcardKey = `${operator}_*`;
-    
-    // Execute specific callback
-    if (this.webhookCallbacks.has(generalKey)) {
-      const callback = this.webhookCallbacks.get(generalKey);
-      await callback(notification);
-    }
-    
-    // Execute wildcard callback
-    if (this.webhookCallbacks.has(wildcardKey)) {
-      const callback = this.webhookCallbacks.get(wildcardKey);
-      await callback(notification);
-    }
+    return this.events.emit(this.getCallbackEvent(type), operator, notification);
+  }
+
+  getCallbackEvent(name) {
+    return CALLBACK_EVENTS[name] || `notification.${name}`;
   }
 
   // ============= UTILITY METHODS =============
@@ -329,6 +446,18 @@ class WebhookHandler {
            null;
   }
 
+  /**
+   * Fill in the operator on notifications received at an operator-specific URL
+   */
+  withOperator(operator, notification) {
+    if (this.extractOperator(notification)) {
+      return notification;
+    }
+
+    const key = notification.error ? 'error' : 'success';
+    return { ...notification, operator, [key]: { ...notification[key], operator } };
+  }
+
   /**
    * Check if operator is UK
    */
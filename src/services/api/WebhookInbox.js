@@ -0,0 +1,179 @@
+/**
+ * Webhook Inbox
+ * Stores webhooks on receipt and processes them in the background with retry
+ */
+
+const crypto = require('crypto');
+const { apiConfig } = require('../../config/api.config');
+const { systemLogger } = require('../../utils/logger');
+const { canonicalJSON } = require('../../utils/canonicalJSON');
+const WebhookEventRepository = require('../../database/repositories/WebhookEventRepository');
+
+class WebhookInbox {
+  /**
+   * processor: async (payload, event) => result; a throw schedules a retry
+   * options.now: clock in milliseconds used to schedule retries
+   */
+  constructor(processor, repository = new WebhookEventRepository(), options = {}) {
+    this.processor = processor;
+    this.repository = repository;
+    this.options = { ...apiConfig.webhook.inbox, ...options };
+    this.now = options.now || Date.now;
+    this.timer = null;
+    this.running = false; // A batch is in progress
+  }
+
+  /**
+   * Durably store a received webhook
+   * Once this resolves the webhook can be acknowledged. A notification already
+   * stored (an SLA retry) is returned with duplicate: true and is not processed again
+   */
+  async receive(operator, payload, eventType = 'unknown') {
+    const eventId = payload.eventId || crypto.randomUUID();
+    const fingerprint = WebhookInbox.fingerprint(operator, payload);
+
+    const event = await this.repository.insert({
+      eventId,
+      operator,
+      eventType: payload.eventType || eventType,
+      payload,
+      fingerprint
+    });
+
+    if (!event) {
+      const existing = await this.repository.findDuplicate(eventId, fingerprint);
+
+      systemLogger.info(`Duplicate webhook from ${operator} ignored`, {
+        fingerprint,
+        originalEventId: existing?.id
+      });
+
+      return { ...existing, duplicate: true };
+    }
+
+    // Process now rather than waiting for the next poll
+    if (this.timer) {
+      setImmediate(() => this.processDue());
+    }
+
+    return { ...event, duplicate: false };
+  }
+
+  /**
+   * Deterministic identity of a notification: operator, subscription uuid,
+   * transaction id (or bill id) and status. Without a transaction id, later
+   * notifications for the same subscription and status (e.g. renewals) could
+   * collide, so those are identified by their full payload instead, serialised
+   * with sorted keys so a re-delivery with reordered fields still matches
+   */
+  static fingerprint(operator, payload) {
+    const data = payload.success || payload.error || payload;
+    const uuid = data.uuid || '';
+    const transactionId = data.transaction?.id || data.transaction_id || data.bill_id || '';
+    const status = data.transaction?.status || data.status || '';
+
+    const identity = transactionId
+      ? [operator, uuid, transactionId, status].join('|')
+      : `${operator}|${canonicalJSON(payload)}`;
+
+    return crypto.createHash('sha256').update(identity).digest('hex');
+  }
+
+  /**
+   * Process every due event, one leased batch at a time
+   */
+  async processDue() {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let processed = 0;
+
+    try {
+      while (true) {
+        const events = await this.repository.claimDue(this.options.batchSize, this.options.lockDuration);
+
+        for (const event of events) {
+          await this.processEvent(event);
+          processed++;
+        }
+
+        if (events.length < this.options.batchSize) {
+          break;
+        }
+      }
+    } catch (error) {
+      systemLogger.warn('Webhook inbox poll failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+
+    return processed;
+  }
+
+  async processEvent(event) {
+    try {
+      await this.processor(event.payload, event);
+      await this.repository.markProcessed(event.id);
+    } catch (error) {
+      const attempts = event.processing_attempts;
+
+      if (attempts >= this.options.maxAttempts) {
+        systemLogger.error(`Webhook event ${event.id} dead-lettered after ${attempts} attempts`, {
+          operator: event.operator,
+          eventType: event.event_type,
+          error: error.message
+        });
+        await this.repository.markFailed(event.id, error.message, null);
+        return;
+      }
+
+      const nextAttemptAt = new Date(this.now() + this.getRetryDelay(attempts));
+
+      systemLogger.warn(`Webhook event ${event.id} failed (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}`, {
+        operator: event.operator,
+        error: error.message
+      });
+      await this.repository.markFailed(event.id, error.message, nextAttemptAt);
+    }
+  }
+
+  /**
+   * Exponential backoff after a failed attempt
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      this.options.retryDelay * Math.pow(2, attempts - 1),
+      this.options.maxRetryDelay
+    );
+  }
+
+  /**
+   * Queue stored events for another round of processing
+   * filter: { id } or { from, to, operator }
+   */
+  async replay(filter) {
+    const ids = await this.repository.requeue(filter);
+
+    if (ids.length > 0 && this.timer) {
+      setImmediate(() => this.processDue());
+    }
+
+    return ids;
+  }
+
+  start(intervalMs = this.options.pollInterval) {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.processDue(), intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = WebhookInbox;
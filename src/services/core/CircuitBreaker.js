@@ -0,0 +1,216 @@
+/**
+ * Circuit Breaker
+ * Per-operator fail-fast protection for SLA API calls
+ */
+
+const { systemLogger } = require('../../utils/logger');
+
+const STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+/**
+ * Raised instead of calling the API while an operator's circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(operator, retryAfterMs) {
+    super(`Circuit open for ${operator}: operator API temporarily unavailable`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.status = 503;
+    this.operator = operator;
+    this.retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1); // seconds
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowSize = options.windowSize || 20; // Recent calls considered
+    this.minimumRequests = options.minimumRequests || 10; // Calls needed before the rate counts
+    this.failureRateThreshold = options.failureRateThreshold || 0.5;
+    this.openDuration = options.openDuration || 30000;
+    this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1; // Concurrent probes while half-open
+    this.halfOpenSuccessThreshold = options.halfOpenSuccessThreshold || 2; // Probe successes to close
+    this.now = options.now || Date.now; // Clock in milliseconds
+
+    this.state = STATES.CLOSED;
+    this.outcomes = []; // true = success, false = failure
+    this.openedAt = null;
+    this.activeProbes = 0;
+    this.probeStartedAt = null;
+    this.probeSuccesses = 0;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Admit a call or throw CircuitOpenError
+   * Returns whether the call is a half-open probe
+   */
+  beforeRequest() {
+    if (this.state === STATES.OPEN) {
+      const elapsed = this.now() - this.openedAt;
+
+      if (elapsed < this.openDuration) {
+        throw new CircuitOpenError(this.name, this.openDuration - elapsed);
+      }
+
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      // A probe gets one open period to answer; calls turned away meanwhile retry once it ends
+      if (this.activeProbes >= this.halfOpenMaxProbes) {
+        throw new CircuitOpenError(this.name, this.probeStartedAt + this.openDuration - this.now());
+      }
+
+      this.activeProbes++;
+      this.probeStartedAt = this.now();
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess(probe = false) {
+    if (probe) {
+      this.activeProbes = Math.max(this.activeProbes - 1, 0);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.probeSuccesses++;
+
+      if (this.probeSuccesses >= this.halfOpenSuccessThreshold) {
+        this.transition(STATES.CLOSED);
+      }
+      return;
+    }
+
+    this.recordOutcome(true);
+  }
+
+  recordFailure(error, probe = false) {
+    if (probe) {
+      this.activeProbes = Math.max(this.activeProbes - 1, 0);
+    }
+
+    this.lastFailure = {
+      message: error?.message,
+      code: error?.code || error?.response?.status,
+      at: new Date(this.now()).toISOString()
+    };
+
+    // A failed probe means the backend has not recovered
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.OPEN);
+      return;
+    }
+
+    this.recordOutcome(false);
+
+    if (this.state === STATES.CLOSED && this.outcomes.length >= this.minimumRequests) {
+      if (this.getFailureRate() >= this.failureRateThreshold) {
+        this.transition(STATES.OPEN);
+      }
+    }
+  }
+
+  recordOutcome(success) {
+    this.outcomes.push(success);
+
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  getFailureRate() {
+    if (this.outcomes.length === 0) {
+      return 0;
+    }
+
+    return this.outcomes.filter(success => !success).length / this.outcomes.length;
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = this.now();
+    }
+
+    if (state === STATES.HALF_OPEN) {
+      this.activeProbes = 0;
+      this.probeSuccesses = 0;
+    }
+
+    if (state === STATES.CLOSED) {
+      this.outcomes = [];
+      this.openedAt = null;
+    }
+
+    systemLogger.warn(`Circuit breaker ${this.name}: ${previous} -> ${state}`, {
+      failureRate: this.getFailureRate(),
+      lastFailure: this.lastFailure
+    });
+  }
+
+  getState() {
+    const state = {
+      state: this.state,
+      failureRate: Number(this.getFailureRate().toFixed(2)),
+      recentCalls: this.outcomes.length,
+      lastFailure: this.lastFailure
+    };
+
+    if (this.state === STATES.OPEN) {
+      state.retryAt = new Date(this.openedAt + this.openDuration).toISOString();
+    }
+
+    return state;
+  }
+}
+
+/**
+ * One breaker per operator code, created on first use
+ */
+class CircuitBreakerRegistry {
+  constructor(options = {}) {
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  get(operator) {
+    if (!this.breakers.has(operator)) {
+      this.breakers.set(operator, new CircuitBreaker(operator, this.options));
+    }
+
+    return this.breakers.get(operator);
+  }
+
+  /**
+   * Breaker state per operator that has made calls
+   */
+  getStates() {
+    const states = {};
+
+    for (const [operator, breaker] of this.breakers.entries()) {
+      states[operator] = breaker.getState();
+    }
+
+    return states;
+  }
+
+  hasOpenCircuits() {
+    return [...this.breakers.values()].some(breaker => breaker.state !== STATES.CLOSED);
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakerRegistry,
+  CircuitOpenError,
+  STATES
+};
@@ -0,0 +1,126 @@
+/**
+ * Event Bus
+ * Multi-listener publish/subscribe for subscription and billing events
+ */
+
+const { systemLogger } = require('../../utils/logger');
+
+// Normalised lifecycle events
+const EVENTS = {
+  SUBSCRIPTION_CREATED: 'subscription.created',
+  SUBSCRIPTION_RENEWED: 'subscription.renewed',
+  SUBSCRIPTION_SUSPENDED: 'subscription.suspended',
+  SUBSCRIPTION_DELETED: 'subscription.deleted',
+  SUBSCRIPTION_STATUS_CHANGED: 'subscription.status_changed',
+  CHARGE_FAILED: 'charge.failed'
+};
+
+const DEFAULT_LISTENER_TIMEOUT = 5000;
+
+/**
+ * Compile a pattern where * matches any run of characters
+ */
+function compilePattern(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+class EventBus {
+  constructor(options = {}) {
+    this.listenerTimeout = options.listenerTimeout || DEFAULT_LISTENER_TIMEOUT;
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to events
+   * event and options.operator accept * wildcards ('subscription.*', 'zain-*');
+   * returns a function that removes the listener
+   */
+  on(event, listener, options = {}) {
+    const operator = options.operator || '*';
+    const entry = {
+      event,
+      operator,
+      listener,
+      eventPattern: compilePattern(event),
+      operatorPattern: compilePattern(operator),
+      timeout: options.timeout || this.listenerTimeout,
+      name: options.name || listener.name || 'anonymous'
+    };
+
+    this.listeners.push(entry);
+    return () => this.off(entry);
+  }
+
+  /**
+   * Subscribe for a single delivery
+   */
+  once(event, listener, options = {}) {
+    const remove = this.on(event, (payload) => {
+      remove();
+      return listener(payload);
+    }, options);
+
+    return remove;
+  }
+
+  off(entry) {
+    this.listeners = this.listeners.filter(candidate => candidate !== entry);
+  }
+
+  /**
+   * Listeners matching an event from an operator
+   */
+  getListeners(event, operator) {
+    return this.listeners.filter(entry =>
+      entry.eventPattern.test(event) && entry.operatorPattern.test(operator || '')
+    );
+  }
+
+  /**
+   * Deliver an event to every matching listener
+   * Listeners run concurrently; one that throws or exceeds its timeout is
+   * logged and does not affect the others or the emitter
+   */
+  async emit(event, operator, payload) {
+    const listeners = this.getListeners(event, operator);
+
+    const results = await Promise.all(
+      listeners.map(entry => this.invoke(entry, event, operator, payload))
+    );
+
+    return {
+      event,
+      delivered: results.filter(result => result.ok).length,
+      failed: results.filter(result => !result.ok)
+    };
+  }
+
+  async invoke(entry, event, operator, payload) {
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Listener timed out after ${entry.timeout}ms`)), entry.timeout);
+    });
+
+    try {
+      await Promise.race([
+        Promise.resolve().then(() => entry.listener(payload)),
+        timeout
+      ]);
+      return { ok: true, listener: entry.name };
+    } catch (error) {
+      systemLogger.warn(`Event listener ${entry.name} failed for ${event}`, {
+        operator,
+        error: error.message
+      });
+      return { ok: false, listener: entry.name, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+EventBus.EVENTS = EVENTS;
+
+module.exports = EventBus;
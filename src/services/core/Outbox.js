@@ -0,0 +1,211 @@
+/**
+ * Outbox
+ * Records the outcome of completed SLA calls (charges, subscriptions, SMS) in the database,
+ * falling back to a local journal file when the write fails, replayed in the background
+ *
+ * A charge that succeeded at SLA must not be lost because the database was briefly
+ * unavailable. Journal entries are JSON lines with subscriber identifiers encrypted as in
+ * the database; entries that fail for any reason other than an unavailable database are
+ * moved to a dead-letter file (<file>.failed) for inspection.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { apiConfig } = require('../../config/api.config');
+const { systemLogger } = require('../../utils/logger');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+// Network errors and PostgreSQL admin shutdown / connection limit / connection exception codes
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EHOSTUNREACH', 'EPIPE', '57P01', '57P02', '57P03', '53300'];
+
+class Outbox {
+  /**
+   * handlers: { type: async payload => result } performing the database write for each record type
+   */
+  constructor(handlers, options = {}) {
+    this.handlers = handlers;
+    this.options = { ...apiConfig.outbox, ...options };
+    this.cipher = options.cipher || getFieldCipher();
+    this.file = path.resolve(this.options.file);
+    this.processingFile = `${this.file}.processing`;
+    this.failedFile = `${this.file}.failed`;
+    this.timer = null;
+    this.running = false; // A flush is in progress
+  }
+
+  /**
+   * Whether an error means the database could not be reached, so a later retry may succeed
+   */
+  static isUnavailable(error) {
+    const code = String(error.code || '');
+
+    return UNAVAILABLE_CODES.includes(code) ||
+      code.startsWith('08') ||
+      /timeout exceeded when trying to connect|Connection terminated/i.test(error.message || '');
+  }
+
+  /**
+   * Write a record, or journal it when the write fails
+   * Never throws for a failed database write: returns { recorded, queued, result }
+   */
+  async write(type, payload) {
+    const handler = this.getHandler(type);
+
+    try {
+      return { recorded: true, queued: false, result: await handler(payload) };
+    } catch (error) {
+      systemLogger.warn(`Could not record ${type}, writing it to the outbox`, { error: error.message });
+    }
+
+    try {
+      await this.append(this.file, [{
+        id: crypto.randomUUID(),
+        type,
+        payload: this.cipher.encryptFields(payload),
+        createdAt: new Date().toISOString(),
+        attempts: 0
+      }]);
+
+      // Retry soon rather than waiting for the next poll
+      if (this.timer) {
+        setTimeout(() => this.flush(), this.options.retryDelay).unref();
+      }
+
+      return { recorded: false, queued: true };
+    } catch (error) {
+      systemLogger.error(`Outbox unavailable, ${type} was not recorded`, { error: error.message, payload });
+      return { recorded: false, queued: false };
+    }
+  }
+
+  getHandler(type) {
+    const handler = this.handlers[type];
+
+    if (!handler) {
+      throw new Error(`Unknown outbox record type: ${type}`);
+    }
+
+    return handler;
+  }
+
+  /**
+   * Replay journaled records; returns the number written
+   * Stops at the first entry the database is still unavailable for
+   */
+  async flush() {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let written = 0;
+
+    try {
+      // Entries journaled while flushing go to a fresh file; a leftover
+      // processing file (from a crash mid-flush) is replayed first
+      if (!(await this.exists(this.processingFile))) {
+        if (!(await this.exists(this.file))) {
+          return 0;
+        }
+        await fs.rename(this.file, this.processingFile);
+      }
+
+      const entries = await this.read(this.processingFile);
+      const remaining = [];
+      const failed = [];
+
+      for (const [index, entry] of entries.entries()) {
+        try {
+          await this.getHandler(entry.type)(this.cipher.decryptFields(entry.payload));
+          written++;
+        } catch (error) {
+          const retried = { ...entry, attempts: entry.attempts + 1, lastError: error.message };
+
+          if (Outbox.isUnavailable(error)) {
+            remaining.push(retried, ...entries.slice(index + 1));
+            break;
+          }
+
+          systemLogger.error(`Outbox entry ${entry.id} (${entry.type}) failed, moved to ${this.failedFile}`, {
+            error: error.message
+          });
+          failed.push(retried);
+        }
+      }
+
+      await this.append(this.failedFile, failed);
+      await this.append(this.file, remaining);
+      await fs.unlink(this.processingFile);
+
+      if (written > 0) {
+        systemLogger.info(`Outbox replayed ${written} record(s), ${remaining.length} pending`);
+      }
+    } catch (error) {
+      systemLogger.warn('Outbox flush failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+
+    return written;
+  }
+
+  /**
+   * Journaled entries waiting to be written
+   */
+  async pending() {
+    return [
+      ...await this.read(this.processingFile),
+      ...await this.read(this.file)
+    ];
+  }
+
+  async append(file, entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), { mode: 0o600 });
+  }
+
+  async read(file) {
+    try {
+      const content = await fs.readFile(file, 'utf8');
+
+      // A line cut short by a crash while appending cannot be recovered
+      return content.split('\n').filter(Boolean).flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          systemLogger.error(`Unreadable outbox line in ${file} skipped`);
+          return [];
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async exists(file) {
+    return fs.access(file).then(() => true, () => false);
+  }
+
+  start(intervalMs = this.options.flushInterval) {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.flush(), intervalMs);
+      this.timer.unref();
+      setImmediate(() => this.flush());
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,174 @@
+/**
+ * Rate Limiter
+ * Token bucket limiting our outbound calls to the SLA API per operator
+ */
+
+const { transaction } = require('../../database/connection');
+const { systemLogger } = require('../../utils/logger');
+
+/**
+ * Raised when an operator's budget is exhausted and the call cannot wait
+ */
+class RateLimitError extends Error {
+  constructor(operator, retryAfterMs) {
+    super(`Rate limit exceeded for ${operator}: SLA API budget exhausted`);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.status = 429;
+    this.operator = operator;
+    this.retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1); // seconds
+  }
+}
+
+/**
+ * Refill a bucket and try to take one token
+ */
+function takeToken(tokens, elapsedMs, capacity, refillPerMs) {
+  const available = Math.min(capacity, tokens + elapsedMs * refillPerMs);
+
+  if (available >= 1) {
+    return { allowed: true, tokens: available - 1, waitMs: 0 };
+  }
+
+  return { allowed: false, tokens: available, waitMs: Math.ceil((1 - available) / refillPerMs) };
+}
+
+/**
+ * In-memory buckets
+ * Process-local; for tests and single-instance deployments
+ */
+class MemoryRateLimitBackend {
+  constructor(now = Date.now) {
+    this.buckets = new Map();
+    this.now = now; // Clock in milliseconds
+  }
+
+  async take(key, capacity, refillPerMs) {
+    const now = this.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    const result = takeToken(bucket.tokens, now - bucket.updatedAt, capacity, refillPerMs);
+
+    this.buckets.set(key, { tokens: result.tokens, updatedAt: now });
+    return result;
+  }
+}
+
+/**
+ * PostgreSQL buckets
+ * An advisory lock per bucket serialises callers across every instance
+ */
+class PostgresRateLimitBackend {
+  async take(key, capacity, refillPerMs) {
+    return transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+
+      const current = await client.query(
+        `SELECT tokens, EXTRACT(EPOCH FROM (clock_timestamp() - updated_at)) * 1000 AS elapsed_ms
+         FROM rate_limit_buckets WHERE bucket_key = $1`,
+        [key]
+      );
+
+      const bucket = current.rows[0];
+      const result = bucket
+        ? takeToken(Number(bucket.tokens), Number(bucket.elapsed_ms), capacity, refillPerMs)
+        : takeToken(capacity, 0, capacity, refillPerMs);
+
+      await client.query(
+        `INSERT INTO rate_limit_buckets (bucket_key, tokens, updated_at)
+         VALUES ($1, $2, clock_timestamp())
+         ON CONFLICT (bucket_key)
+         DO UPDATE SET tokens = EXCLUDED.tokens, updated_at = EXCLUDED.updated_at`,
+        [key, result.tokens]
+      );
+
+      return result;
+    });
+  }
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.mode = options.mode || 'queue'; // queue = wait for a token, reject = fail immediately
+    this.maxQueueWaitMs = options.maxQueueWaitMs ?? 10000;
+    this.defaultLimit = options.default || { requests: 100, period: 60 };
+    this.perOperator = options.perOperator || {};
+    this.backend = options.backendInstance || createRateLimitBackend(options.backend);
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Budget for an operator
+   */
+  getLimit(operator) {
+    const limit = this.perOperator[operator] || this.defaultLimit;
+
+    return {
+      capacity: limit.requests,
+      refillPerMs: limit.requests / (limit.period * 1000)
+    };
+  }
+
+  /**
+   * Wait for (queue mode) or demand (reject mode) a token for one API call
+   */
+  async acquire(operator) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const { capacity, refillPerMs } = this.getLimit(operator);
+    const key = `sla:${operator}`;
+    const deadline = this.now() + this.maxQueueWaitMs;
+
+    while (true) {
+      let result;
+
+      try {
+        result = await this.backend.take(key, capacity, refillPerMs);
+      } catch (error) {
+        // Throttling is protective; an unavailable store must not stop billing
+        systemLogger.warn(`Rate limiter unavailable for ${operator}, allowing call`, { error: error.message });
+        return;
+      }
+
+      if (result.allowed) {
+        return;
+      }
+
+      if (this.mode !== 'queue' || this.now() + result.waitMs > deadline) {
+        throw new RateLimitError(operator, result.waitMs);
+      }
+
+      await this.sleep(result.waitMs);
+    }
+  }
+}
+
+/**
+ * Create a bucket backend
+ * SLA_RATE_LIMIT_BACKEND=postgres|memory; defaults to PostgreSQL, and to memory under NODE_ENV=test
+ */
+function createRateLimitBackend(type) {
+  const backendType = type || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres');
+
+  switch (backendType) {
+    case 'memory':
+      return new MemoryRateLimitBackend();
+
+    case 'postgres':
+      return new PostgresRateLimitBackend();
+
+    default:
+      throw new Error(`Invalid rate limit backend: ${backendType}. Valid options: postgres, memory`);
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  RateLimitError,
+  MemoryRateLimitBackend,
+  PostgresRateLimitBackend,
+  createRateLimitBackend
+};
@@ -21,21 +21,24 @@ class ResponseHandler {
       throw new Error('Empty response received');
     }
 
+    let processed = response;
+
     // Determine if response is success or error
     if (response.error) {
-      return this.handleErrorResponse(response.error, operator);
+      processed = this.handleErrorResponse(response.error, operator);
+    } else if (response.success) {
+      processed = this.handleSuccessResponse(response.success, operator, requestType);
+    } else if (response.status === 'PENDING') {
+      // Handle pending/async responses
+      processed = this.handlePendingResponse(response, operator);
     }
 
-    if (response.success) {
-      return this.handleSuccessResponse(response.success, operator, requestType);
+    // Report how many HTTP attempts SLAClient needed
+    if (response.attempts && processed.metadata) {
+      processed.metadata.attempts = response.attempts;
     }
 
-    // Handle pending/async responses
-    if (response.status === 'PENDING') {
-      return this.handlePendingResponse(response, operator);
-    }
-
-    return response;
+    return processed;
   }
 
   /**
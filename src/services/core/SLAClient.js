@@ -7,6 +7,9 @@ const axios = require('axios');
 const crypto = require('crypto');
 const { operatorConfigs } = require('../../config/operators.config');
 const { apiConfig, getEndpointUrl } = require('../../config/api.config');
+const { CircuitBreakerRegistry } = require('./CircuitBreaker');
+const { RateLimiter } = require('./RateLimiter');
+const { redact, redactText } = require('../../utils/redact');
 
 class SLAClient {
   constructor(environment = 'sandbox', credentials = null) {
@@ -38,6 +41,12 @@ class SLAClient {
 
     // Store for pending async operations
     this.pendingOperations = new Map();
+
+    // Fail fast for operators whose backend is failing
+    this.circuitBreakers = new CircuitBreakerRegistry(apiConfig.circuitBreaker);
+
+    // Keep within each operator's request budget
+    this.rateLimiter = new RateLimiter(apiConfig.rateLimit);
   }
 
   /**
@@ -67,11 +76,11 @@ class SLAClient {
         config.headers['Authorization'] = `Basic ${auth}`;
         
         // Log request
-        console.log(`[SLA API Request] ${config.method.toUpperCase()} ${config.url}`);
+        console.log(`[SLA API Request] ${config.method.toUpperCase()} ${redactText(config.url)}`);
         return config;
       },
       (error) => {
-        console.error('[SLA API Request Error]', error);
+        console.error('[SLA API Request Error]', redactText(error.message));
         return Promise.reject(error);
       }
     );
@@ -84,9 +93,9 @@ class SLAClient {
       },
       (error) => {
         if (error.response) {
-          console.error(`[SLA API Error] Status: ${error.response.status}`, error.response.data);
+          console.error(`[SLA API Error] Status: ${error.response.status}`, redact(error.response.data));
         } else {
-          console.error('[SLA API Error]', error.message);
+          console.error('[SLA API Error]', redactText(error.message));
         }
         return Promise.reject(error);
       }
@@ -119,17 +128,155 @@ class SLAClient {
     const queryString = this.buildQueryString(enrichedParams);
     const url = `${endpoint}?${queryString}`;
 
+    const idempotent = this.isIdempotentRequest(endpoint, params);
+    const maxAttempts = apiConfig.http.retries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Every attempt, retries included, spends from the operator's budget
+        await this.rateLimiter.acquire(operator);
+
+        // All SLA API calls use POST with parameters in URL
+        const response = await this.sendWithCircuitBreaker(operator, url);
+        
+        // Handle operator-specific response transformations
+        const result = this.handleResponse(response.data, operator);
+
+        // Some failures arrive as an error body with a 2xx status
+        if (result.error && attempt < maxAttempts && idempotent && this.isRetryableErrorCode(result.error.code)) {
+          await this.waitBeforeRetry(attempt, endpoint, operator, `API error ${result.error.code}`);
+          continue;
+        }
+
+        if (result && typeof result === 'object') {
+          result.attempts = attempt;
+        }
+        return result;
+      } catch (error) {
+        if (attempt < maxAttempts && this.isRetryableFailure(error, idempotent)) {
+          await this.waitBeforeRetry(attempt, endpoint, operator, error.code || `HTTP ${error.response?.status}`, error);
+          continue;
+        }
+
+        const enhancedError = this.handleError(error, operator);
+        enhancedError.attempts = attempt;
+        throw enhancedError;
+      }
+    }
+  }
+
+  // ============= CIRCUIT BREAKER =============
+
+  /**
+   * Send one HTTP attempt through the operator's circuit breaker
+   * Throws CircuitOpenError without calling the API while the circuit is open
+   */
+  async sendWithCircuitBreaker(operator, url) {
+    if (!apiConfig.circuitBreaker.enabled) {
+      return this.httpClient.post(url, null);
+    }
+
+    const breaker = this.circuitBreakers.get(operator);
+    const probe = breaker.beforeRequest();
+
     try {
-      // All SLA API calls use POST with parameters in URL
       const response = await this.httpClient.post(url, null);
-      
-      // Handle operator-specific response transformations
-      return this.handleResponse(response.data, operator);
+      breaker.recordSuccess(probe);
+      return response;
     } catch (error) {
-      throw this.handleError(error, operator);
+      if (this.isBackendFailure(error)) {
+        breaker.recordFailure(error, probe);
+      } else {
+        // The operator answered; business errors say nothing about its health
+        breaker.recordSuccess(probe);
+      }
+      throw error;
     }
   }
 
+  /**
+   * Timeouts, network failures and 5xx responses count against the circuit
+   */
+  isBackendFailure(error) {
+    return !error.response || error.response.status >= 500;
+  }
+
+  getCircuitStates() {
+    return this.circuitBreakers.getStates();
+  }
+
+  // ============= RETRY HANDLING =============
+
+  /**
+   * Whether repeating the request cannot cause a second charge
+   */
+  isIdempotentRequest(endpoint, params) {
+    if (!apiConfig.http.chargingEndpoints.includes(endpoint)) {
+      return true;
+    }
+
+    // The caller's correlator/transaction_id lets the API de-duplicate the charge
+    return Boolean(params.correlator || params.transaction_id);
+  }
+
+  isRetryableErrorCode(code) {
+    return apiConfig.http.retryableErrorCodes.includes(String(code));
+  }
+
+  /**
+   * Classify a failed request as transient or permanent
+   */
+  isRetryableFailure(error, idempotent) {
+    const { http } = apiConfig;
+
+    // No response: network failure
+    if (!error.response) {
+      if (http.connectionErrors.includes(error.code)) {
+        return true;
+      }
+      return idempotent && http.retryableNetworkErrors.includes(error.code);
+    }
+
+    // The API received the request; only retry when repeating it is safe
+    if (!idempotent) {
+      return false;
+    }
+
+    if (http.retryableStatusCodes.includes(error.response.status)) {
+      return true;
+    }
+
+    return this.isRetryableErrorCode(error.response.data?.error?.code);
+  }
+
+  /**
+   * Exponential backoff with jitter, honouring Retry-After when present
+   */
+  getRetryDelay(attempt, error = null) {
+    const { retryDelay, maxRetryDelay } = apiConfig.http;
+    const exponential = Math.min(retryDelay * Math.pow(2, attempt - 1), maxRetryDelay);
+
+    // Equal jitter: half fixed, half random, so concurrent clients spread out
+    let delay = exponential / 2 + Math.random() * (exponential / 2);
+
+    const retryAfter = Number(error?.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+      delay = Math.max(delay, Math.min(retryAfter * 1000, maxRetryDelay));
+    }
+
+    return Math.round(delay);
+  }
+
+  async waitBeforeRetry(attempt, endpoint, operator, reason, error = null) {
+    const delay = this.getRetryDelay(attempt, error);
+    console.warn(`[SLA API Retry] ${endpoint} (${operator}) attempt ${attempt} failed: ${reason}. Retrying in ${delay}ms`);
+    await this.sleep(delay);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   /**
    * Enrich parameters with operator-specific requirements
    */
@@ -0,0 +1,278 @@
+/**
+ * Session Store
+ * Pluggable TTL store for in-flight flow state (checkout sessions, PIN attempts,
+ * async flow references and journeys) shared by every instance of the service
+ */
+
+const { getDB } = require('../../database/connection');
+const { systemLogger } = require('../../utils/logger');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+/**
+ * In-memory store
+ * Process-local; intended for tests and single-instance development
+ */
+class MemorySessionStore {
+  constructor() {
+    this.entries = new Map();
+    this.cleanupTimer = null;
+  }
+
+  buildKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  /**
+   * Get a value, or null when missing or expired
+   */
+  async get(namespace, key) {
+    const storeKey = this.buildKey(namespace, key);
+    const entry = this.entries.get(storeKey);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(storeKey);
+      return null;
+    }
+
+    // Return a copy so callers behave the same as with the database store
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Store a value with a time-to-live in milliseconds
+   */
+  async set(namespace, key, value, ttlMs) {
+    this.entries.set(this.buildKey(namespace, key), {
+      value: JSON.stringify(value),
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  /**
+   * Increment a numeric field of a stored object, keeping its expiry
+   * Returns the new value, or null when the entry is missing or expired
+   */
+  async increment(namespace, key, field) {
+    const entry = this.entries.get(this.buildKey(namespace, key));
+
+    // Read and write without yielding, so concurrent calls cannot interleave
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    const value = JSON.parse(entry.value);
+    value[field] = (value[field] || 0) + 1;
+    entry.value = JSON.stringify(value);
+    return value[field];
+  }
+
+  /**
+   * Set a field of a stored object only while it still holds the expected value
+   * Returns the updated object, or null when the entry is missing, expired or changed
+   */
+  async compareAndSet(namespace, key, field, expected, value) {
+    const entry = this.entries.get(this.buildKey(namespace, key));
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    const stored = JSON.parse(entry.value);
+    if (stored[field] !== expected) {
+      return null;
+    }
+
+    stored[field] = value;
+    entry.value = JSON.stringify(stored);
+    return stored;
+  }
+
+  /**
+   * Delete a value
+   */
+  async delete(namespace, key) {
+    this.entries.delete(this.buildKey(namespace, key));
+  }
+
+  /**
+   * Remove expired entries, returns the number removed
+   */
+  async cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [storeKey, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(storeKey);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Periodically remove expired entries
+   */
+  startCleanup(intervalMs = 60000) {
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => this.cleanup(), intervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  stopCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+/**
+ * PostgreSQL store
+ * Backed by the flow_sessions table so state survives restarts and is visible
+ * to whichever instance receives the follow-up request or webhook.
+ * MSISDNs in stored values are encrypted
+ */
+class PostgresSessionStore {
+  constructor(db = null, cipher = getFieldCipher()) {
+    this.db = db;
+    this.cipher = cipher;
+    this.cleanupTimer = null;
+  }
+
+  async getDB() {
+    return this.db || getDB();
+  }
+
+  /**
+   * Get a value, or null when missing or expired
+   */
+  async get(namespace, key) {
+    const db = await this.getDB();
+    const result = await db.query(
+      `SELECT data FROM flow_sessions
+       WHERE namespace = $1 AND session_key = $2 AND expires_at > NOW()`,
+      [namespace, String(key)]
+    );
+
+    return result.rows.length > 0 ? this.cipher.decryptFields(result.rows[0].data) : null;
+  }
+
+  /**
+   * Store a value with a time-to-live in milliseconds
+   */
+  async set(namespace, key, value, ttlMs) {
+    const db = await this.getDB();
+    await db.query(
+      `INSERT INTO flow_sessions (namespace, session_key, data, expires_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (namespace, session_key)
+       DO UPDATE SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at`,
+      [namespace, String(key), JSON.stringify(this.cipher.encryptFields(value)), new Date(Date.now() + ttlMs)]
+    );
+  }
+
+  /**
+   * Increment a numeric field of a stored object in a single statement, so
+   * concurrent callers on any instance each see a distinct value
+   * Returns the new value, or null when the entry is missing or expired
+   */
+  async increment(namespace, key, field) {
+    const db = await this.getDB();
+    const result = await db.query(
+      `UPDATE flow_sessions
+       SET data = jsonb_set(data, ARRAY[$3::text], to_jsonb(COALESCE((data->>$3::text)::int, 0) + 1))
+       WHERE namespace = $1 AND session_key = $2 AND expires_at > NOW()
+       RETURNING (data->>$3::text)::int AS value`,
+      [namespace, String(key), field]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].value : null;
+  }
+
+  /**
+   * Set a string field of a stored object only while it still holds the expected value
+   * Returns the updated object, or null when the entry is missing, expired or changed
+   */
+  async compareAndSet(namespace, key, field, expected, value) {
+    const db = await this.getDB();
+    const result = await db.query(
+      `UPDATE flow_sessions
+       SET data = jsonb_set(data, ARRAY[$3::text], to_jsonb($5::text))
+       WHERE namespace = $1 AND session_key = $2 AND expires_at > NOW()
+         AND data->>$3::text = $4
+       RETURNING data`,
+      [namespace, String(key), field, expected, value]
+    );
+
+    return result.rows.length > 0 ? this.cipher.decryptFields(result.rows[0].data) : null;
+  }
+
+  /**
+   * Delete a value
+   */
+  async delete(namespace, key) {
+    const db = await this.getDB();
+    await db.query(
+      'DELETE FROM flow_sessions WHERE namespace = $1 AND session_key = $2',
+      [namespace, String(key)]
+    );
+  }
+
+  /**
+   * Remove expired entries, returns the number removed
+   */
+  async cleanup() {
+    const db = await this.getDB();
+    const result = await db.query('DELETE FROM flow_sessions WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  /**
+   * Periodically remove expired entries
+   */
+  startCleanup(intervalMs = 60000) {
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanup().catch((error) => {
+          systemLogger.warn('Session cleanup failed', { error: error.message });
+        });
+      }, intervalMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  stopCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+/**
+ * Create the configured session store
+ * SESSION_STORE=postgres|memory; defaults to PostgreSQL, and to memory under NODE_ENV=test
+ */
+function createSessionStore(type = process.env.SESSION_STORE) {
+  const storeType = type || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres');
+
+  switch (storeType) {
+    case 'memory':
+      return new MemorySessionStore();
+
+    case 'postgres':
+      return new PostgresSessionStore();
+
+    default:
+      throw new Error(`Invalid session store: ${storeType}. Valid options: postgres, memory`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  PostgresSessionStore,
+  createSessionStore
+};
@@ -6,11 +6,14 @@
 const { apiLogger, operatorLogger } = require('../../utils/logger');
 const { operatorConfigs } = require('../../config/operators.config');
 const { apiConfig } = require('../../config/api.config');
+const { createSessionStore } = require('../core/SessionStore');
+
+const CHECKOUT_SESSION_TTL = 10 * 60 * 1000; // 10 minutes
 
 class CheckoutFlow {
-  constructor(slaClient) {
+  constructor(slaClient, sessionStore = createSessionStore()) {
     this.slaClient = slaClient;
-    this.pendingCheckouts = new Map(); // Track pending checkout sessions
+    this.sessionStore = sessionStore; // Pending checkout sessions
   }
 
   /**
@@ -68,7 +71,7 @@ class CheckoutFlow {
     });
 
     // Create checkout session
-    const sessionId = this.createCheckoutSession(operator, params);
+    const sessionId = await this.createCheckoutSession(operator, params);
 
     return {
       success: true,
@@ -105,12 +108,12 @@ class CheckoutFlow {
 
     const checkoutUrl = this.slaClient.buildCheckoutUrl(operator, {
       merchant: params.merchant,
-      service: params.campaign, // Note: UK uses 'service' not 'campaign'
+      campaign: params.campaign, // Sent as 'service' by buildCheckoutUrl
       redirect_url: params.redirect_url,
       correlator: params.correlator
     });
 
-    const sessionId = this.createCheckoutSession(operator, params);
+    const sessionId = await this.createCheckoutSession(operator, params);
 
     return {
       success: true,
@@ -147,10 +150,14 @@ class CheckoutFlow {
       language: params.language || 'en'
     });
 
+    // Session is still needed to complete the subscription with the returned token
+    const sessionId = await this.createCheckoutSession(operator, params);
+
     return {
       success: true,
       action: 'IMMEDIATE_REDIRECT',
       checkoutUrl,
+      sessionId,
       flow: 'etisalat_direct',
       warning: 'No landing page allowed. Redirect immediately to checkout.',
       expectedCallback: {
@@ -173,13 +180,13 @@ class CheckoutFlow {
 
     const checkoutUrl = this.slaClient.buildCheckoutUrl(operator, {
       merchant: params.merchant,
-      service: params.campaign,
+      campaign: params.campaign, // Sent as 'service' by buildCheckoutUrl
       transaction_id: params.transaction_id,
       redirect_url: params.redirect_url,
       price: params.price
     });
 
-    const sessionId = this.createCheckoutSession(operator, {
+    const sessionId = await this.createCheckoutSession(operator, {
       ...params,
       transaction_id: params.transaction_id
     });
@@ -216,14 +223,14 @@ class CheckoutFlow {
 
     const checkoutUrl = this.slaClient.buildCheckoutUrl(operator, {
       merchant: params.merchant,
-      service: params.campaign,
+      campaign: params.campaign, // Sent as 'service' by buildCheckoutUrl
       redirect_url: params.redirect_url,
       correlator: params.correlator,
       price: params.price,
       language: params.language
     });
 
-    const sessionId = this.createCheckoutSession(operator, params);
+    const sessionId = await this.createCheckoutSession(operator, params);
 
     return {
       success: true,
@@ -258,7 +265,7 @@ class CheckoutFlow {
     }
 
     // Get session data
-    const session = this.getCheckoutSession(sessionParams.sessionId);
+    const session = await this.getCheckoutSession(sessionParams.sessionId);
     if (!session) {
       throw new Error('Checkout session not found or expired');
     }
@@ -280,22 +287,25 @@ class CheckoutFlow {
       const response = await this.slaClient.createSubscription(operator, subscriptionParams);
 
       if (response.success) {
+        // Raw API responses carry the subscription under `success`
+        const subscriptionData = response.data || response.success;
+
         // Clear session
-        this.clearCheckoutSession(sessionParams.sessionId);
+        await this.clearCheckoutSession(sessionParams.sessionId);
 
         // Handle ACR storage for Telenor
-        if (config.usesACR && response.data.msisdn?.startsWith('telenor-')) {
-          this.slaClient.storeACR(response.data.uuid, response.data.msisdn);
+        if (config.usesACR && subscriptionData.msisdn?.startsWith('telenor-')) {
+          this.slaClient.storeACR(subscriptionData.uuid, subscriptionData.msisdn);
           response.acrStored = true;
         }
 
         // Send welcome SMS if supported
         if (!config.noSMS) {
           await this.sendWelcomeSMS(operator, {
-            msisdn: response.data.msisdn,
+            msisdn: subscriptionData.msisdn,
             campaign: session.campaign,
             merchant: session.merchant,
-            uuid: response.data.uuid
+            uuid: subscriptionData.uuid
           });
         }
       }
@@ -317,7 +327,7 @@ class CheckoutFlow {
       token = `TOKEN:${token}`;
     }
 
-    const session = this.getCheckoutSession(sessionParams.sessionId);
+    const session = await this.getCheckoutSession(sessionParams.sessionId);
     if (!session) {
       throw new Error('Checkout session not found or expired');
     }
@@ -335,7 +345,7 @@ class CheckoutFlow {
       const response = await this.slaClient.charge(operator, chargeParams);
 
       if (response.success) {
-        this.clearCheckoutSession(sessionParams.sessionId);
+        await this.clearCheckoutSession(sessionParams.sessionId);
       }
 
       return response;
@@ -375,7 +385,7 @@ class CheckoutFlow {
 
   // ============= CHECKOUT SESSION MANAGEMENT =============
 
-  createCheckoutSession(operator, params) {
+  async createCheckoutSession(operator, params) {
     const sessionId = `CHECKOUT_${operator}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     const session = {
@@ -383,28 +393,20 @@ class CheckoutFlow {
       operator,
       ...params,
       createdAt: Date.now(),
-      expiresAt: Date.now() + (10 * 60 * 1000) // 10 minutes
+      expiresAt: Date.now() + CHECKOUT_SESSION_TTL
     };
 
-    this.pendingCheckouts.set(sessionId, session);
-    
-    // Set auto-cleanup
-    setTimeout(() => {
-      if (this.pendingCheckouts.has(sessionId)) {
-        this.pendingCheckouts.delete(sessionId);
-        operatorLogger.debug(`Checkout session expired: ${sessionId}`);
-      }
-    }, 10 * 60 * 1000);
+    await this.sessionStore.set('checkout', sessionId, session, CHECKOUT_SESSION_TTL);
 
     return sessionId;
   }
 
-  getCheckoutSession(sessionId) {
-    return this.pendingCheckouts.get(sessionId);
+  async getCheckoutSession(sessionId) {
+    return this.sessionStore.get('checkout', sessionId);
   }
 
-  clearCheckoutSession(sessionId) {
-    this.pendingCheckouts.delete(sessionId);
+  async clearCheckoutSession(sessionId) {
+    await this.sessionStore.delete('checkout', sessionId);
   }
 
   // ============= HELPER METHODS =============
@@ -3,21 +3,34 @@
  * Orchestrates different payment flows based on operator requirements
  */
 
+const crypto = require('crypto');
 const PINFlow = require('./PINFlow');
 const CheckoutFlow = require('./CheckoutFlow');
 const { operatorConfigs } = require('../../config/operators.config');
 const { operatorLogger } = require('../../utils/logger');
+const { createSessionStore } = require('../core/SessionStore');
+
+const FLOW_REFERENCE_TTL = 30 * 60 * 1000; // 30 minutes
+const JOURNEY_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Parameter the client sends to complete each journey step
+const JOURNEY_STEP_PARAMS = {
+  AWAITING_PIN: 'pin',
+  AWAITING_TOKEN: 'token',
+  AWAITING_FRAUD_TOKEN: 'fraud_token'
+};
 
 class FlowManager {
-  constructor(slaClient) {
+  constructor(slaClient, sessionStore = createSessionStore()) {
     this.slaClient = slaClient;
+
+    // Active flows, journeys, checkout sessions and PIN attempts live in the
+    // shared store so any instance can pick up a flow started on another
+    this.sessionStore = sessionStore;
     
     // Initialize flow handlers
-    this.pinFlow = new PINFlow(slaClient);
-    this.checkoutFlow = new CheckoutFlow(slaClient);
-    
-    // Track active flows
-    this.activeFlows = new Map();
+    this.pinFlow = new PINFlow(slaClient, sessionStore);
+    this.checkoutFlow = new CheckoutFlow(slaClient, sessionStore);
   }
 
   /**
@@ -108,7 +121,7 @@ class FlowManager {
       const result = await this.checkoutFlow.executeUKCheckout(operator, params);
       
       // Store flow reference for webhook handling
-      this.storeFlowReference(operator, result.correlator, {
+      await this.storeFlowReference(operator, result.correlator, {
         type: 'uk_async',
         sessionId: result.sessionId,
         expectingWebhook: true
@@ -145,7 +158,7 @@ class FlowManager {
     const result = await this.checkoutFlow.executeACRCheckout(operator, params);
     
     // Store flow reference for ACR tracking
-    this.storeFlowReference(operator, result.correlator, {
+    await this.storeFlowReference(operator, result.correlator, {
       type: 'acr_checkout',
       sessionId: result.sessionId,
       expectingACR: true
@@ -193,7 +206,7 @@ class FlowManager {
     const result = await this.checkoutFlow.executeAxiataCheckout(operator, params);
     
     // Store flow reference for async handling
-    this.storeFlowReference(operator, result.transaction_id, {
+    await this.storeFlowReference(operator, result.transaction_id, {
       type: 'axiata_async',
       sessionId: result.sessionId,
       expectingNotification: true
@@ -245,7 +258,7 @@ class FlowManager {
    * Complete flow with token from checkout
    */
   async completeWithToken(operator, token, sessionData) {
-    const flowRef = this.getFlowReference(operator, sessionData.correlator || sessionData.sessionId);
+    const flowRef = await this.getFlowReference(operator, sessionData.correlator || sessionData.sessionId);
     
     if (!flowRef) {
       throw new Error('No active flow found for this session');
@@ -255,8 +268,9 @@ class FlowManager {
       case 'acr_checkout':
         // Handle ACR response
         const result = await this.checkoutFlow.completeCheckoutSubscription(operator, token, sessionData);
-        if (result.data?.msisdn?.startsWith('telenor-')) {
-          result.acr = result.data.msisdn;
+        const subscriptionData = result.data || result.success;
+        if (subscriptionData?.msisdn?.startsWith('telenor-')) {
+          result.acr = subscriptionData.msisdn;
           result.acrStored = true;
         }
         return result;
@@ -307,7 +321,7 @@ class FlowManager {
     
     // Axiata async response
     if (operator === 'axiata-lk') {
-      const flowRef = this.getFlowReference(operator, notification.success?.transaction_id);
+      const flowRef = await this.getFlowReference(operator, notification.success?.transaction_id);
       if (flowRef && flowRef.expectingNotification) {
         return {
           success: true,
@@ -325,6 +339,180 @@ class FlowManager {
     };
   }
 
+  // ============= JOURNEY MANAGEMENT =============
+
+  /**
+   * Start a subscription journey
+   * Runs the operator's flow and records which step the client has to complete next,
+   * so callers can drive any operator without knowing its flow type
+   */
+  async startJourney(operator, params) {
+    const config = operatorConfigs[operator];
+
+    if (!config) {
+      throw new Error(`Unknown operator: ${operator}`);
+    }
+
+    const result = await this.initiateSubscription(operator, params);
+    const journeyId = `JOURNEY_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+
+    const journey = {
+      journeyId,
+      operator,
+      flow: config.flow,
+      params: {
+        msisdn: params.msisdn,
+        campaign: params.campaign,
+        merchant: params.merchant,
+        language: params.language,
+        trial: params.trial,
+        trial_once: params.trial_once,
+        amount: params.amount,
+        redirect_url: params.redirect_url,
+        fraud_token: params.fraud_token
+      },
+      createdAt: Date.now(),
+      expiresAt: Date.now() + JOURNEY_TTL
+    };
+
+    this.applyJourneyStep(journey, result);
+
+    // Checkout completion looks the session up by flow reference
+    if (result.sessionId && !(await this.getFlowReference(operator, result.correlator || result.sessionId))) {
+      await this.storeFlowReference(operator, result.sessionId, {
+        type: 'standard_checkout',
+        sessionId: result.sessionId
+      });
+    }
+
+    await this.storeJourney(journey);
+
+    return { journey, result };
+  }
+
+  /**
+   * Complete the pending step of a journey
+   * Expects `pin` for PIN journeys, `token` for checkout journeys and
+   * `fraud_token` for journeys waiting on the fraud prevention script
+   */
+  async completeJourney(journeyId, params = {}) {
+    const journey = await this.getJourney(journeyId);
+
+    if (!journey) {
+      throw this.journeyError('Journey not found or expired', 404);
+    }
+
+    const { operator, status } = journey;
+    const required = JOURNEY_STEP_PARAMS[status];
+
+    if (status === 'AWAITING_NOTIFICATION') {
+      throw this.journeyError('Journey completes via operator notification; no client action required', 409);
+    }
+
+    if (!required) {
+      throw this.journeyError(`Journey already ${status.toLowerCase()}`, 409);
+    }
+
+    if (!params[required]) {
+      throw this.journeyError(`Missing required parameter: ${required}`, 400);
+    }
+
+    // Claim the step before calling the API, so a concurrent or repeated
+    // request on any instance cannot complete it a second time
+    const claimed = await this.sessionStore.compareAndSet('journey', journeyId, 'status', status, 'COMPLETING');
+    if (!claimed) {
+      throw this.journeyError('Journey is already being completed', 409);
+    }
+
+    let result;
+
+    try {
+      switch (status) {
+        case 'AWAITING_PIN':
+          result = await this.completeWithPIN(operator, {
+            ...journey.params,
+            pin: params.pin
+          });
+          break;
+
+        case 'AWAITING_TOKEN':
+          result = await this.completeWithToken(operator, params.token, {
+            sessionId: journey.sessionId,
+            correlator: journey.correlator
+          });
+          break;
+
+        case 'AWAITING_FRAUD_TOKEN': {
+          journey.params.fraud_token = params.fraud_token;
+
+          // Fraud check passed: the journey moves on to PIN entry
+          const next = await this.initiateSubscription(operator, journey.params);
+          this.applyJourneyStep(journey, next);
+          await this.storeJourney(journey);
+          return { journey, result: next };
+        }
+      }
+    } catch (error) {
+      // Nothing was recorded, so hand the step back for a retry
+      await this.sessionStore.compareAndSet('journey', journeyId, 'status', 'COMPLETING', status);
+      throw error;
+    }
+
+    journey.status = result.success ? 'COMPLETED' : 'FAILED';
+    journey.action = null;
+    journey.completedAt = Date.now();
+    await this.storeJourney(journey);
+
+    return { journey, result };
+  }
+
+  /**
+   * Record the next client step from a flow result on the journey
+   */
+  applyJourneyStep(journey, result) {
+    journey.action = result.action;
+    journey.flowVariant = result.flow || journey.flowVariant;
+    journey.sessionId = result.sessionId || journey.sessionId;
+    journey.correlator = result.correlator || journey.correlator;
+    journey.transactionId = result.transaction_id || journey.transactionId;
+
+    switch (result.action) {
+      case 'AWAIT_PIN_ENTRY':
+        journey.status = 'AWAITING_PIN';
+        break;
+
+      case 'LOAD_FRAUD_SCRIPT':
+        journey.status = 'AWAITING_FRAUD_TOKEN';
+        break;
+
+      case 'REDIRECT_TO_CHECKOUT':
+      case 'IMMEDIATE_REDIRECT':
+        // UK and Axiata subscriptions are created by the operator and announced by webhook
+        journey.status = ['uk_async', 'axiata_async'].includes(result.flow)
+          ? 'AWAITING_NOTIFICATION'
+          : 'AWAITING_TOKEN';
+        break;
+
+      default:
+        journey.status = result.success ? 'COMPLETED' : 'FAILED';
+    }
+  }
+
+  async storeJourney(journey) {
+    const ttl = Math.max(journey.expiresAt - Date.now(), 0);
+    await this.sessionStore.set('journey', journey.journeyId, journey, ttl);
+  }
+
+  async getJourney(journeyId) {
+    return this.sessionStore.get('journey', journeyId);
+  }
+
+  journeyError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
   // ============= HELPER METHODS =============
 
   supportsPIN(operator) {
@@ -340,29 +528,24 @@ class FlowManager {
     );
   }
 
-  storeFlowReference(operator, key, data) {
+  async storeFlowReference(operator, key, data) {
     const refKey = `${operator}_${key}`;
-    this.activeFlows.set(refKey, {
+    await this.sessionStore.set('flow', refKey, {
       ...data,
       operator,
       createdAt: Date.now(),
-      expiresAt: Date.now() + (30 * 60 * 1000) // 30 minutes
-    });
-    
-    // Auto-cleanup
-    setTimeout(() => {
-      this.activeFlows.delete(refKey);
-    }, 30 * 60 * 1000);
+      expiresAt: Date.now() + FLOW_REFERENCE_TTL
+    }, FLOW_REFERENCE_TTL);
   }
 
-  getFlowReference(operator, key) {
+  async getFlowReference(operator, key) {
     const refKey = `${operator}_${key}`;
-    return this.activeFlows.get(refKey);
+    return this.sessionStore.get('flow', refKey);
   }
 
-  clearFlowReference(operator, key) {
+  async clearFlowReference(operator, key) {
     const refKey = `${operator}_${key}`;
-    this.activeFlows.delete(refKey);
+    await this.sessionStore.delete('flow', refKey);
   }
 
   /**
@@ -6,11 +6,18 @@
 const { apiLogger, operatorLogger } = require('../../utils/logger');
 const { operatorConfigs } = require('../../config/operators.config');
 const { apiConfig } = require('../../config/api.config');
+const { createSessionStore } = require('../core/SessionStore');
+const { getFieldCipher } = require('../../utils/fieldEncryption');
+
+const PIN_VALIDITY = 120 * 1000; // 120 seconds
+// Metadata outlives the PIN so late entries get "PIN expired" rather than "not found"
+const PIN_METADATA_TTL = PIN_VALIDITY + (5 * 60 * 1000);
 
 class PINFlow {
-  constructor(slaClient) {
+  constructor(slaClient, sessionStore = createSessionStore(), cipher = getFieldCipher()) {
     this.slaClient = slaClient;
-    this.activePINs = new Map(); // Store active PINs with expiry
+    this.sessionStore = sessionStore; // Active PINs with expiry and attempt counters
+    this.cipher = cipher;
   }
 
   /**
@@ -108,9 +115,9 @@ class PINFlow {
       operatorLogger.info(`PIN sent to ${params.msisdn} for ${operator}`);
       
       // Store PIN metadata
-      this.storePINMetadata(params.msisdn, operator, {
+      await this.storePINMetadata(params.msisdn, operator, {
         sentAt: Date.now(),
-        expiresAt: Date.now() + (120 * 1000), // 120 seconds
+        expiresAt: Date.now() + PIN_VALIDITY,
         attempts: 0
       });
     }
@@ -125,21 +132,26 @@ class PINFlow {
     const config = operatorConfigs[operator];
 
     // Validate PIN expiry
-    const pinMeta = this.getPINMetadata(params.msisdn, operator);
+    const pinMeta = await this.getPINMetadata(params.msisdn, operator);
     if (!pinMeta) {
       throw new Error('No PIN request found. Please generate a new PIN.');
     }
 
     if (Date.now() > pinMeta.expiresAt) {
-      this.clearPINMetadata(params.msisdn, operator);
+      await this.clearPINMetadata(params.msisdn, operator);
       throw new Error('PIN expired. Please generate a new PIN.');
     }
 
-    // Increment attempt counter
-    pinMeta.attempts++;
-    
-    if (pinMeta.attempts > 3) {
-      this.clearPINMetadata(params.msisdn, operator);
+    // Count the attempt in the store before calling the API, so concurrent or
+    // retried requests on any instance each get a distinct attempt number
+    const attempts = await this.incrementPINAttempts(params.msisdn, operator);
+
+    if (attempts === null) {
+      throw new Error('No PIN request found. Please generate a new PIN.');
+    }
+
+    if (attempts > 3) {
+      await this.clearPINMetadata(params.msisdn, operator);
       throw new Error('Maximum PIN attempts exceeded. Please generate a new PIN.');
     }
 
@@ -170,8 +182,11 @@ class PINFlow {
       const response = await this.slaClient.createSubscription(operator, subscriptionParams);
 
       if (response.success) {
+        // Raw API responses carry the subscription under `success`
+        const subscriptionData = response.data || response.success;
+
         // Clear PIN metadata on success
-        this.clearPINMetadata(params.msisdn, operator);
+        await this.clearPINMetadata(params.msisdn, operator);
 
         // Send welcome SMS if supported
         if (!config.noSMS) {
@@ -179,7 +194,7 @@ class PINFlow {
             msisdn: params.msisdn,
             campaign: params.campaign,
             merchant: params.merchant,
-            subscriptionId: response.data.uuid
+            subscriptionId: subscriptionData.uuid
           });
         }
 
@@ -189,8 +204,7 @@ class PINFlow {
       return response;
 
     } catch (error) {
-      // Update PIN metadata with failed attempt
-      this.updatePINMetadata(params.msisdn, operator, pinMeta);
+      operatorLogger.logFailure(operator, 'PIN subscription attempt failed', error);
       throw error;
     }
   }
@@ -246,7 +260,7 @@ class PINFlow {
    */
   async completeChargeWithPIN(operator, params) {
     // Validate PIN expiry
-    const pinMeta = this.getPINMetadata(params.msisdn, operator);
+    const pinMeta = await this.getPINMetadata(params.msisdn, operator);
     if (!pinMeta || Date.now() > pinMeta.expiresAt) {
       throw new Error('PIN expired or not found');
     }
@@ -265,7 +279,7 @@ class PINFlow {
       const response = await this.slaClient.charge(operator, chargeParams);
 
       if (response.success) {
-        this.clearPINMetadata(params.msisdn, operator);
+        await this.clearPINMetadata(params.msisdn, operator);
       }
 
       return response;
@@ -325,43 +339,43 @@ class PINFlow {
     return ref;
   }
 
-  storePINMetadata(msisdn, operator, metadata) {
-    const key = `${operator}_${msisdn}`;
-    this.activePINs.set(key, metadata);
+  /**
+   * Session key of a subscriber's PIN; the MSISDN's blind index keeps it out of the store
+   */
+  pinKey(msisdn, operator) {
+    return `${operator}_${this.cipher.blindIndex(msisdn) || msisdn}`;
+  }
+
+  async storePINMetadata(msisdn, operator, metadata) {
+    const key = this.pinKey(msisdn, operator);
+    await this.sessionStore.set('pin', key, metadata, PIN_METADATA_TTL);
   }
 
-  getPINMetadata(msisdn, operator) {
-    const key = `${operator}_${msisdn}`;
-    return this.activePINs.get(key);
+  async getPINMetadata(msisdn, operator) {
+    const key = this.pinKey(msisdn, operator);
+    return this.sessionStore.get('pin', key);
   }
 
-  updatePINMetadata(msisdn, operator, metadata) {
-    const key = `${operator}_${msisdn}`;
-    this.activePINs.set(key, metadata);
+  async incrementPINAttempts(msisdn, operator) {
+    const key = this.pinKey(msisdn, operator);
+    return this.sessionStore.increment('pin', key, 'attempts');
   }
 
-  clearPINMetadata(msisdn, operator) {
-    const key = `${operator}_${msisdn}`;
-    this.activePINs.delete(key);
+  async clearPINMetadata(msisdn, operator) {
+    const key = this.pinKey(msisdn, operator);
+    await this.sessionStore.delete('pin', key);
   }
 
   /**
    * Clean up expired PINs
    */
-  cleanupExpiredPINs() {
-    const now = Date.now();
-    for (const [key, metadata] of this.activePINs.entries()) {
-      if (metadata.expiresAt < now) {
-        this.activePINs.delete(key);
-        operatorLogger.debug(`Cleaned up expired PIN: ${key}`);
-      }
+  async cleanupExpiredPINs() {
+    const removed = await this.sessionStore.cleanup();
+    if (removed > 0) {
+      operatorLogger.debug(`Cleaned up ${removed} expired session entries`);
     }
+    return removed;
   }
 }
 
-// Set up periodic cleanup (every 60 seconds)
-setInterval(() => {
-  // This will be called when an instance is created
-}, 60000);
-
 module.exports = PINFlow;
\ No newline at end of file
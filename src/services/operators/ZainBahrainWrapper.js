@@ -7,6 +7,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 // Import operator configuration
 const { operatorConfigs, getCheckoutUrl, requiresCheckoutRedirect } = require('../../config/operators.config');
+const { redact, redactText } = require('../../utils/redact');
 
 class ZainBahrainWrapper {
   constructor(environment = 'sandbox') {
@@ -65,13 +66,13 @@ class ZainBahrainWrapper {
       (config) => {
         console.log(`[Zain BH] API Request:`, {
           method: config.method,
-          url: config.url,
-          params: config.params
+          url: redactText(config.url),
+          params: redact(config.params)
         });
         return config;
       },
       (error) => {
-        console.error(`[Zain BH] Request Error:`, error);
+        console.error(`[Zain BH] Request Error:`, redactText(error.message));
         return Promise.reject(error);
       }
     );
@@ -79,11 +80,11 @@ class ZainBahrainWrapper {
     // Response interceptor
     client.interceptors.response.use(
       (response) => {
-        console.log(`[Zain BH] API Response:`, response.data);
+        console.log(`[Zain BH] API Response:`, redact(response.data));
         return response;
       },
       (error) => {
-        console.error(`[Zain BH] Response Error:`, error.response?.data || error.message);
+        console.error(`[Zain BH] Response Error:`, redact(error.response?.data || error.message));
         return Promise.reject(error);
       }
     );
@@ -484,7 +485,7 @@ class ZainBahrainWrapper {
    * Process Zain Bahrain webhook
    */
   processWebhook(webhookData) {
-    console.log('[Zain BH] Processing webhook:', webhookData);
+    console.log('[Zain BH] Processing webhook:', redact(webhookData));
 
     const result = {
       operator: 'zain-bh',
@@ -4,6 +4,7 @@
  */
 
 const { systemLogger, operatorLogger } = require('../utils/logger');
+const { getCampaignId } = require('../config/operators.config');
 const crypto = require('crypto');
 
 class SMSService {
@@ -34,7 +35,7 @@ class SMSService {
       const smsParams = {
         msisdn: params.msisdn,
         text: params.message,
-        campaign: params.campaign || process.env[`OPERATOR_${operator.toUpperCase().replace('-', '_')}_SERVICE_ID`],
+        campaign: params.campaign || getCampaignId(operator),
         merchant: params.merchant || process.env.MERCHANT_ID,
         correlator: this.generateCorrelator()
       };
@@ -90,7 +91,7 @@ class SMSService {
       const smsParams = {
         msisdn: params.msisdn,
         text: welcomeMessage,
-        campaign: params.campaign || process.env[`OPERATOR_${operator.toUpperCase().replace('-', '_')}_SERVICE_ID`],
+        campaign: params.campaign || getCampaignId(operator),
         merchant: params.merchant || process.env.MERCHANT_ID,
         correlator: this.generateCorrelator(),
         metadata: {
@@ -0,0 +1,28 @@
+/**
+ * Canonical JSON
+ * Serialisation with sorted object keys, so equivalent values hash the same
+ */
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return canonicalJSON(value.toJSON());
+    }
+
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  canonicalJSON
+};
@@ -0,0 +1,219 @@
+/**
+ * Field Encryption
+ * AES-256-GCM encryption of subscriber identifiers at rest, with an HMAC blind index for lookups
+ *
+ * Encrypted values are self-describing: enc:<key version>:<base64 iv|tag|ciphertext>.
+ * ENCRYPTION_KEYS lists versioned keys, current first ("v2:<hex>,v1:<hex>"), so values
+ * written under an older key stay readable until they are re-encrypted; a single
+ * ENCRYPTION_KEY is version v1. The blind index key (BLIND_INDEX_KEY) never rotates,
+ * otherwise stored indexes would stop matching.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Compared with case, "-" and "_" ignored (as in redact.js)
+const SENSITIVE_KEYS = new Set(['msisdn', 'msisdns', 'acr']);
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[-_]/g, '');
+
+function parseKey(hex, name) {
+  if (!/^[0-9a-fA-F]{64}$/.test(hex || '')) {
+    throw new Error(`${name} must be 32 bytes as 64 hex characters`);
+  }
+
+  return Buffer.from(hex, 'hex');
+}
+
+class FieldCipher {
+  /**
+   * keys: { version: Buffer }; currentVersion encrypts new values
+   * Without keys the cipher is disabled and values pass through unchanged
+   */
+  constructor({ keys = {}, currentVersion = null, indexKey = null } = {}) {
+    this.keys = keys;
+    this.currentVersion = currentVersion;
+    this.indexKey = indexKey;
+    this.enabled = Boolean(currentVersion && keys[currentVersion]);
+  }
+
+  /**
+   * Cipher configured from ENCRYPTION_KEYS / ENCRYPTION_KEY and BLIND_INDEX_KEY
+   * The blind index key defaults to one derived from ENCRYPTION_KEY
+   */
+  static fromEnv(env = process.env) {
+    const keys = {};
+    let currentVersion = null;
+
+    if (env.ENCRYPTION_KEYS) {
+      for (const entry of env.ENCRYPTION_KEYS.split(',').map(item => item.trim()).filter(Boolean)) {
+        const [version, hex] = entry.split(':');
+        keys[version] = parseKey(hex, `ENCRYPTION_KEYS entry ${version}`);
+        currentVersion = currentVersion || version;
+      }
+    } else if (env.ENCRYPTION_KEY) {
+      keys.v1 = parseKey(env.ENCRYPTION_KEY, 'ENCRYPTION_KEY');
+      currentVersion = 'v1';
+    }
+
+    if (currentVersion && keys[currentVersion].every(byte => byte === 0)) {
+      if (env.NODE_ENV === 'production') {
+        throw new Error('The placeholder all-zero encryption key cannot be used in production');
+      }
+      console.warn('Encryption key is the all-zero placeholder; do not use it outside development');
+    }
+
+    let indexKey = null;
+    if (env.BLIND_INDEX_KEY) {
+      indexKey = parseKey(env.BLIND_INDEX_KEY, 'BLIND_INDEX_KEY');
+    } else if (env.ENCRYPTION_KEY) {
+      indexKey = crypto.createHmac('sha256', parseKey(env.ENCRYPTION_KEY, 'ENCRYPTION_KEY'))
+        .update('blind-index')
+        .digest();
+    } else if (currentVersion) {
+      throw new Error('BLIND_INDEX_KEY is required with ENCRYPTION_KEYS');
+    }
+
+    return new FieldCipher({ keys, currentVersion, indexKey });
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  encrypt(value) {
+    if (!this.enabled || value === null || value === undefined || FieldCipher.isEncrypted(value)) {
+      return value;
+    }
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys[this.currentVersion], iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return `${PREFIX}:${this.currentVersion}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+  }
+
+  /**
+   * Decrypt a value; clear-text values (not yet migrated) are returned as they are
+   */
+  decrypt(value) {
+    if (!FieldCipher.isEncrypted(value)) {
+      return value;
+    }
+
+    const [, version, data] = value.split(':');
+    const key = this.keys[version];
+
+    if (!key) {
+      throw new Error(`No encryption key for version ${version}`);
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+    return Buffer.concat([
+      decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Whether a stored value is clear text or under an older key
+   */
+  needsReencryption(value) {
+    if (!this.enabled || value === null || value === undefined) {
+      return false;
+    }
+
+    return !FieldCipher.isEncrypted(value) || value.split(':')[1] !== this.currentVersion;
+  }
+
+  /**
+   * Deterministic HMAC of a normalised value, for equality lookups
+   * "+97312345678" and "97312345678" index the same; null when no key is configured
+   */
+  blindIndex(value) {
+    if (!this.indexKey || value === null || value === undefined) {
+      return null;
+    }
+
+    const text = String(value).trim();
+    const normalized = /^\+?\d+$/.test(text) ? text.replace(/^\+/, '') : text;
+
+    return crypto.createHmac('sha256', this.indexKey).update(normalized).digest('hex');
+  }
+
+  /**
+   * Column and value to match a clear-text value against: the blind index
+   * column when indexing is configured, otherwise the column itself
+   */
+  lookup(column, value) {
+    const hash = this.blindIndex(value);
+    return hash ? { column: `${column}_hash`, value: hash } : { column, value };
+  }
+
+  /**
+   * Copy of a JSON value with MSISDNs, ACRs and TOKEN values encrypted (re-encrypted
+   * when under an older key)
+   */
+  encryptFields(value) {
+    return this.mapFields(value, (item) =>
+      this.needsReencryption(item) ? this.encrypt(this.decrypt(item)) : item
+    );
+  }
+
+  decryptFields(value) {
+    return this.mapFields(value, (item) => this.decrypt(item));
+  }
+
+  mapFields(value, transform, sensitive = false) {
+    if (typeof value === 'string') {
+      return sensitive || value.startsWith('TOKEN:') || FieldCipher.isEncrypted(value) ? transform(value) : value;
+    }
+
+    if (typeof value === 'number' && sensitive) {
+      return transform(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.mapFields(item, transform, sensitive));
+    }
+
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+      return value;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.mapFields(item, transform, SENSITIVE_KEYS.has(normalizeKey(key)));
+    }
+
+    return result;
+  }
+}
+
+let defaultCipher = null;
+
+/**
+ * Shared cipher configured from the environment
+ */
+function getFieldCipher() {
+  if (!defaultCipher) {
+    defaultCipher = FieldCipher.fromEnv();
+
+    if (!defaultCipher.enabled) {
+      console.warn('ENCRYPTION_KEY is not set; subscriber identifiers are stored in clear text');
+    }
+  }
+
+  return defaultCipher;
+}
+
+module.exports = {
+  FieldCipher,
+  getFieldCipher
+};
@@ -0,0 +1,48 @@
+/**
+ * HMAC Utility
+ * Signing and constant-time verification of webhook payloads
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hex HMAC-SHA256 of a payload
+ * With a timestamp the signed content is `${timestamp}.${payload}`, binding the two
+ */
+function sign(secret, payload, timestamp = null) {
+  const content = timestamp === null ? payload : `${timestamp}.${payload}`;
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(content)
+    .digest('hex');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+
+  if (left.length !== right.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a hex signature against any of the given secrets
+ */
+function verify(secrets, payload, signature, timestamp = null) {
+  const candidates = Array.isArray(secrets) ? secrets : [secrets];
+
+  return candidates.some(secret => safeEqual(sign(secret, payload, timestamp), signature));
+}
+
+module.exports = {
+  sign,
+  safeEqual,
+  verify
+};
@@ -0,0 +1,173 @@
+/**
+ * IP Address Utility
+ * IPv4/IPv6 parsing and CIDR matching for allow-lists and trusted proxies
+ */
+
+const net = require('net');
+
+/**
+ * Strip zone ids and unwrap IPv4-mapped IPv6 (::ffff:10.0.0.1 -> 10.0.0.1)
+ */
+function normalizeIP(ip) {
+  if (!ip) {
+    return null;
+  }
+
+  let address = String(ip).trim().replace(/^\[|\]$/g, '').split('%')[0];
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+
+  if (mapped) {
+    address = mapped[1];
+  }
+
+  return net.isIP(address) ? address : null;
+}
+
+function ipv4ToBytes(ip) {
+  return ip.split('.').map(Number);
+}
+
+function ipv6ToBytes(ip) {
+  let address = ip;
+  let tail = [];
+
+  // Embedded IPv4 in the last 32 bits
+  const embedded = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    tail = ipv4ToBytes(embedded[1]);
+    address = address.slice(0, -embedded[1].length) + '0:0';
+  }
+
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest !== undefined && rest !== '' ? rest.split(':') : [];
+  const missing = 8 - headGroups.length - restGroups.length;
+  const groups = rest === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(missing).fill('0'), ...restGroups];
+
+  const bytes = [];
+  for (const group of groups) {
+    const value = parseInt(group, 16);
+    bytes.push(value >> 8, value & 0xff);
+  }
+
+  if (tail.length > 0) {
+    bytes.splice(12, 4, ...tail);
+  }
+
+  return bytes;
+}
+
+/**
+ * Parse an address into { version, bytes }, or null if invalid
+ */
+function parseIP(ip) {
+  const address = normalizeIP(ip);
+
+  if (!address) {
+    return null;
+  }
+
+  const version = net.isIP(address);
+  return {
+    version,
+    bytes: version === 4 ? ipv4ToBytes(address) : ipv6ToBytes(address)
+  };
+}
+
+/**
+ * Parse an address or CIDR block into { version, bytes, prefix }
+ * A bare address is a single-host block
+ */
+function parseCIDR(entry) {
+  const [address, prefixPart] = String(entry).trim().split('/');
+  const ip = parseIP(address);
+
+  if (!ip) {
+    return null;
+  }
+
+  const maxPrefix = ip.version === 4 ? 32 : 128;
+  let prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
+  }
+
+  // An IPv4-mapped block (::ffff:10.0.0.0/104) was unwrapped to IPv4
+  if (ip.version === 4 && /:/.test(address) && prefixPart !== undefined) {
+    prefix = Math.max(prefix - 96, 0);
+  }
+
+  return { ...ip, prefix };
+}
+
+/**
+ * Check whether an address lies in a parsed block
+ */
+function inRange(ip, range) {
+  if (!ip || !range || ip.version !== range.version) {
+    return false;
+  }
+
+  const fullBytes = Math.floor(range.prefix / 8);
+  for (let i = 0; i < fullBytes; i++) {
+    if (ip.bytes[i] !== range.bytes[i]) {
+      return false;
+    }
+  }
+
+  const remainingBits = range.prefix % 8;
+  if (remainingBits === 0) {
+    return true;
+  }
+
+  const mask = (0xff << (8 - remainingBits)) & 0xff;
+  return (ip.bytes[fullBytes] & mask) === (range.bytes[fullBytes] & mask);
+}
+
+/**
+ * Parse a comma-separated list (or array) of addresses/CIDR blocks
+ * Invalid entries are returned separately so callers can report them
+ */
+function parseList(list) {
+  const entries = (Array.isArray(list) ? list : String(list || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  const ranges = [];
+  const invalid = [];
+
+  for (const entry of entries) {
+    const range = parseCIDR(entry);
+    if (range) {
+      ranges.push(range);
+    } else {
+      invalid.push(entry);
+    }
+  }
+
+  return { ranges, invalid };
+}
+
+/**
+ * Build a predicate testing addresses against a list of addresses/CIDR blocks
+ */
+function createMatcher(list) {
+  const { ranges } = parseList(list);
+
+  return (address) => {
+    const ip = parseIP(address);
+    return ranges.some(range => inRange(ip, range));
+  };
+}
+
+module.exports = {
+  normalizeIP,
+  parseIP,
+  parseCIDR,
+  parseList,
+  inRange,
+  createMatcher
+};
@@ -0,0 +1,99 @@
+/**
+ * JWT Utility
+ * HS256 signing and verification of bearer tokens for internal callers
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./hmac');
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function invalidToken(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TOKEN';
+  error.status = 401;
+  return error;
+}
+
+function signature(secret, content) {
+  return crypto.createHmac('sha256', secret).update(content).digest('base64url');
+}
+
+/**
+ * Sign claims; expiresIn (seconds) sets exp
+ */
+function sign(claims, secret, { expiresIn = null } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, ...claims };
+
+  if (expiresIn) {
+    payload.exp = now + expiresIn;
+  }
+
+  const content = `${base64url(JSON.stringify(HEADER))}.${base64url(JSON.stringify(payload))}`;
+  return `${content}.${signature(secret, content)}`;
+}
+
+/**
+ * Verify a token and return its claims
+ * Only HS256 is accepted, so an unsigned (alg: none) token can never pass.
+ * requireExp rejects tokens that never expire; maxLifetime (seconds) rejects
+ * tokens whose exp is further than that from iat (or from now without iat)
+ */
+function verify(token, secret, { clockTolerance = 0, requireExp = false, maxLifetime = null } = {}) {
+  const parts = String(token).split('.');
+
+  if (parts.length !== 3) {
+    throw invalidToken('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, tokenSignature] = parts;
+  let header;
+  let payload;
+
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw invalidToken('Malformed token');
+  }
+
+  if (header.alg !== HEADER.alg) {
+    throw invalidToken(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if (!safeEqual(signature(secret, `${encodedHeader}.${encodedPayload}`), tokenSignature)) {
+    throw invalidToken('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (payload.exp === undefined) {
+    if (requireExp) {
+      throw invalidToken('Token has no expiry');
+    }
+  } else if (typeof payload.exp !== 'number') {
+    throw invalidToken('Invalid token expiry');
+  } else if (maxLifetime && payload.exp - (payload.iat ?? now) > maxLifetime + clockTolerance) {
+    throw invalidToken(`Token lifetime exceeds ${maxLifetime} seconds`);
+  }
+
+  if (payload.exp !== undefined && now > payload.exp + clockTolerance) {
+    throw invalidToken('Token expired');
+  }
+
+  if (payload.nbf !== undefined && now < payload.nbf - clockTolerance) {
+    throw invalidToken('Token not yet valid');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  sign,
+  verify
+};
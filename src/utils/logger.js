@@ -5,6 +5,7 @@
 
 const winston = require('winston');
 const path = require('path');
+const { redact, redactText } = require('./redact');
 
 // Define log levels
 const levels = {
@@ -31,11 +32,16 @@ const colors = {
 // Add colors to winston
 winston.addColors(colors);
 
+// Mask MSISDNs, ACRs and TOKEN values and drop PINs and credentials from every entry
+// (message and metadata); winston's symbol keys are left untouched
+const redactFormat = winston.format((info) => Object.assign(info, redact({ ...info })));
+
 // Define log format
 const logFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
+  redactFormat(),
   winston.format.json(),
   winston.format.printf(({ timestamp, level, message, ...meta }) => {
     let log = `${timestamp} [${level.toUpperCase()}]: ${message}`;
@@ -93,6 +99,44 @@ if (process.env.NODE_ENV === 'production') {
   }));
 }
 
+// Console output (including axios interceptors and error dumps) goes through the
+// same redaction; errors are printed as their redacted stack
+function redactArgs(args) {
+  return args.map(arg => {
+    if (arg instanceof Error) {
+      return redactText(arg.stack || arg.message);
+    }
+
+    return redact(arg);
+  });
+}
+
+function redactConsole(target = console) {
+  if (target.redacted) {
+    return;
+  }
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = target[method].bind(target);
+    target[method] = (...args) => {
+      let redacted;
+
+      // Logging must never throw; output that cannot be redacted is written as it is
+      try {
+        redacted = redactArgs(args);
+      } catch (error) {
+        redacted = args;
+      }
+
+      return original(...redacted);
+    };
+  }
+
+  target.redacted = true;
+}
+
+redactConsole();
+
 // Create specialized loggers for different components
 class ComponentLogger {
   constructor(component) {
@@ -221,5 +265,8 @@ module.exports = {
   operatorLogger: new OperatorLogger(),
   webhookLogger: new WebhookLogger(),
   systemLogger: new SystemLogger(),
-  ComponentLogger
+  ComponentLogger,
+  redactFormat,
+  redactArgs,
+  redactConsole
 };
\ No newline at end of file
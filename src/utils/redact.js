@@ -0,0 +1,177 @@
+/**
+ * Redaction Utility
+ * Masks subscriber identifiers and drops secrets from payloads and log text
+ */
+
+const REDACTED = '[REDACTED]';
+const CIRCULAR = '[Circular]';
+const TRUNCATED = '[Truncated]';
+
+// Nesting beyond this is not walked (log payloads are never legitimately this deep)
+const MAX_DEPTH = 20;
+
+// Compared with case, "-" and "_" ignored
+const SECRET_KEYS = new Set([
+  'pin',
+  'testpin',
+  'password',
+  'secret',
+  'apikey',
+  'xapikey',
+  'authorization',
+  'accesstoken',
+  'fraudtoken',
+  'token',
+  'keyhash',
+  'credentials'
+]);
+
+const MSISDN_KEYS = new Set(['msisdn', 'msisdns']);
+const ACR_KEYS = new Set(['acr']);
+
+// Digit runs of MSISDN length that are not part of a longer identifier or a decimal
+const MSISDN_PATTERN = /(?<![\w.-])\+?\d{8,15}(?![\w-]|\.\d)/g;
+const TOKEN_PATTERN = /TOKEN:[A-Za-z0-9_\-.=+/]+/g;
+const SECRET_PARAM_PATTERN = /\b(pin|password|secret|token|fraud_token|api_key|apikey)=([^&\s"']+)/gi;
+const AUTH_HEADER_PATTERN = /\b(Basic|Bearer)\s+[A-Za-z0-9+/=._-]+/g;
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[-_]/g, '');
+
+/**
+ * Keep the last 4 digits: 97312345678 -> *******5678
+ */
+function maskMSISDN(value) {
+  const text = String(value);
+
+  if (text.startsWith('TOKEN:')) {
+    return maskToken(text);
+  }
+
+  return text.length <= 4 ? '*'.repeat(text.length) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+}
+
+/**
+ * Keep the TOKEN: marker and the last 4 characters
+ */
+function maskToken(value) {
+  const text = String(value);
+  const token = text.replace(/^TOKEN:/, '');
+
+  return `TOKEN:****${token.slice(-4)}`;
+}
+
+/**
+ * Keep the first 6 characters of an ACR (enough to tell operators apart)
+ */
+function maskACR(value) {
+  const text = String(value);
+  return `${text.slice(0, 6)}****`;
+}
+
+/**
+ * Mask MSISDNs and TOKEN values in free text and drop secrets in query strings and auth headers
+ */
+function redactText(text) {
+  return String(text)
+    .replace(TOKEN_PATTERN, maskToken)
+    .replace(SECRET_PARAM_PATTERN, `$1=${REDACTED}`)
+    .replace(AUTH_HEADER_PATTERN, `$1 ${REDACTED}`)
+    .replace(MSISDN_PATTERN, maskMSISDN);
+}
+
+function redactValue(key, value, ancestors, depth) {
+  if (MSISDN_KEYS.has(key)) {
+    return Array.isArray(value) ? value.map(maskMSISDN) : maskMSISDN(value);
+  }
+
+  if (ACR_KEYS.has(key)) {
+    return maskACR(value);
+  }
+
+  return redact(value, ancestors, depth);
+}
+
+/**
+ * Copy an object or array, transforming each entry with mapEntry(key, item)
+ * References back to an enclosing object become '[Circular]' and nesting past
+ * MAX_DEPTH '[Truncated]'
+ */
+function walk(value, ancestors, depth, mapEntry) {
+  if (ancestors.has(value)) {
+    return CIRCULAR;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return TRUNCATED;
+  }
+
+  ancestors.add(value);
+
+  try {
+    if (Array.isArray(value)) {
+      return value.map(item => mapEntry(null, item));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = mapEntry(key, item);
+    }
+    return result;
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+const isPlainValue = value =>
+  !value || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Date;
+
+/**
+ * Copy of a value with secrets removed and MSISDNs, ACRs and TOKEN values masked
+ */
+function redact(value, ancestors = new WeakSet(), depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+
+  if (isPlainValue(value)) {
+    return value;
+  }
+
+  return walk(value, ancestors, depth, (key, item) => {
+    if (key === null) {
+      return redact(item, ancestors, depth + 1);
+    }
+
+    const normalized = normalizeKey(key);
+
+    if (SECRET_KEYS.has(normalized)) {
+      return REDACTED;
+    }
+
+    return item === null || item === undefined ? item : redactValue(normalized, item, ancestors, depth + 1);
+  });
+}
+
+/**
+ * Copy of a value with only secrets removed; subscriber identifiers are kept,
+ * for payloads that are stored encrypted rather than logged
+ */
+function redactSecrets(value, ancestors = new WeakSet(), depth = 0) {
+  if (isPlainValue(value)) {
+    return value;
+  }
+
+  return walk(value, ancestors, depth, (key, item) =>
+    key !== null && SECRET_KEYS.has(normalizeKey(key)) ? REDACTED : redactSecrets(item, ancestors, depth + 1)
+  );
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  redactSecrets,
+  redactText,
+  maskMSISDN,
+  maskToken,
+  maskACR
+};
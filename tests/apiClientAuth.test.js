@@ -0,0 +1,132 @@
+/**
+ * API Client Auth Tests
+ * Test suite for API key and JWT authentication, scopes and client rate limits
+ */
+
+const assert = require('assert');
+const ApiClientAuth = require('../src/services/api/ApiClientAuth');
+const { MemoryRateLimitBackend } = require('../src/services/core/RateLimiter');
+const jwt = require('../src/utils/jwt');
+
+const JWT_SECRET = 'test-jwt-secret-at-least-32-characters-long';
+
+// Repository holding clients in memory
+const memoryRepository = () => {
+  const clients = [];
+
+  return {
+    clients,
+    create: async (fields) => {
+      const client = {
+        id: `client-${clients.length + 1}`,
+        name: fields.name,
+        key_prefix: fields.keyPrefix,
+        key_hash: fields.keyHash,
+        scopes: fields.scopes,
+        rate_limit_per_minute: fields.rateLimitPerMinute,
+        revoked_at: null
+      };
+      clients.push(client);
+      return client;
+    },
+    findActiveByPrefix: async (prefix) =>
+      clients.find(client => client.key_prefix === prefix && !client.revoked_at) || null
+  };
+};
+
+const createAuth = (repository = memoryRepository()) => new ApiClientAuth(repository, {
+  enabled: true,
+  jwtSecret: JWT_SECRET,
+  internalApiKey: null,
+  rateLimitBackend: new MemoryRateLimitBackend()
+});
+
+describe('API Client Auth Tests', function() {
+  describe('API keys', function() {
+    it('should store only a hash and authenticate with the issued key', async function() {
+      const repository = memoryRepository();
+      const auth = createAuth(repository);
+      const { apiKey } = await auth.createClient({ name: 'billing', scopes: ['charge:write'] });
+
+      assert.ok(!JSON.stringify(repository.clients).includes(apiKey));
+
+      const client = await auth.authenticate({ 'x-api-key': apiKey });
+      assert.strictEqual(client.name, 'billing');
+      assert.strictEqual(client.method, 'api_key');
+    });
+
+    it('should reject a tampered key and a revoked client', async function() {
+      const repository = memoryRepository();
+      const auth = createAuth(repository);
+      const { apiKey } = await auth.createClient({ name: 'billing', scopes: ['charge:write'] });
+
+      await assert.rejects(auth.authenticate({ 'x-api-key': `${apiKey}x` }), { status: 401 });
+
+      repository.clients[0].revoked_at = new Date();
+      await assert.rejects(auth.authenticate({ authorization: `Bearer ${apiKey}` }), { status: 401 });
+    });
+
+    it('should reject unknown scopes', async function() {
+      await assert.rejects(
+        createAuth().createClient({ name: 'billing', scopes: ['charge:everything'] }),
+        { code: 'INVALID_SCOPE' }
+      );
+    });
+  });
+
+  describe('JWT', function() {
+    it('should authenticate a signed token and reject an expired one', async function() {
+      const auth = createAuth();
+      const token = jwt.sign({ sub: 'reporting', scope: 'internal:read' }, JWT_SECRET, { expiresIn: 60 });
+
+      const client = await auth.authenticate({ authorization: `Bearer ${token}` });
+      assert.strictEqual(client.id, 'reporting');
+      assert.deepStrictEqual(client.scopes, ['internal:read']);
+
+      const expired = jwt.sign({ sub: 'reporting', exp: Math.floor(Date.now() / 1000) - 120 }, JWT_SECRET);
+      await assert.rejects(auth.authenticate({ authorization: `Bearer ${expired}` }), { code: 'INVALID_TOKEN' });
+    });
+
+    it('should reject a token without an expiry', async function() {
+      const token = jwt.sign({ sub: 'reporting', scope: 'internal:read' }, JWT_SECRET);
+
+      await assert.rejects(
+        createAuth().authenticate({ authorization: `Bearer ${token}` }),
+        { code: 'INVALID_TOKEN', message: 'Token has no expiry' }
+      );
+    });
+
+    it('should reject a token valid for longer than the maximum lifetime', async function() {
+      const token = jwt.sign({ sub: 'reporting' }, JWT_SECRET, { expiresIn: 30 * 24 * 60 * 60 });
+
+      await assert.rejects(createAuth().authenticate({ authorization: `Bearer ${token}` }), { code: 'INVALID_TOKEN' });
+    });
+
+    it('should reject a token signed with another secret', async function() {
+      const token = jwt.sign({ sub: 'reporting' }, 'another-secret-that-is-32-characters-long');
+
+      await assert.rejects(createAuth().authenticate({ authorization: `Bearer ${token}` }), { code: 'INVALID_TOKEN' });
+    });
+  });
+
+  describe('Scopes and rate limits', function() {
+    it('should match exact, resource wildcard and global scopes', function() {
+      assert.strictEqual(ApiClientAuth.hasScope({ scopes: ['sms:send'] }, 'sms:send'), true);
+      assert.strictEqual(ApiClientAuth.hasScope({ scopes: ['charge:*'] }, 'charge:write'), true);
+      assert.strictEqual(ApiClientAuth.hasScope({ scopes: ['*'] }, 'internal:write'), true);
+      assert.strictEqual(ApiClientAuth.hasScope({ scopes: ['charge:read'] }, 'charge:write'), false);
+    });
+
+    it('should reject requests over the client limit', async function() {
+      const auth = createAuth();
+      const client = { id: 'client-1', rateLimitPerMinute: 2 };
+
+      assert.strictEqual((await auth.consumeRateLimit(client)).allowed, true);
+      assert.strictEqual((await auth.consumeRateLimit(client)).allowed, true);
+
+      const limited = await auth.consumeRateLimit(client);
+      assert.strictEqual(limited.allowed, false);
+      assert.ok(limited.retryAfter >= 1);
+    });
+  });
+});
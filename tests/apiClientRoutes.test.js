@@ -0,0 +1,53 @@
+/**
+ * API Client Route Tests
+ * Test suite for the API client routes and the scopes guarding public routes
+ */
+
+process.env.API_AUTH_ENABLED = 'false';
+process.env.SKIP_IP_WHITELIST = 'true';
+process.env.SESSION_STORE = 'memory';
+process.env.SANDBOX_API_USERNAME = process.env.SANDBOX_API_USERNAME || 'test';
+process.env.SANDBOX_API_PASSWORD = process.env.SANDBOX_API_PASSWORD || 'test';
+
+const assert = require('assert');
+const request = require('supertest');
+const ApiClientRepository = require('../src/database/repositories/ApiClientRepository');
+const app = require('../server');
+
+describe('API Client Route Tests', function() {
+  const create = ApiClientRepository.prototype.create;
+
+  beforeEach(function() {
+    ApiClientRepository.prototype.create = async ({ name, keyPrefix, scopes }) => ({ id: 1, name, keyPrefix, scopes });
+  });
+
+  afterEach(function() {
+    ApiClientRepository.prototype.create = create;
+  });
+
+  it('should create a client while authentication is disabled', async function() {
+    const response = await request(app)
+      .post('/internal/api-clients')
+      .send({ name: 'merchant-portal', scopes: ['charge:write'] });
+
+    assert.strictEqual(response.status, 201);
+    assert.deepStrictEqual(response.body.client.scopes, ['charge:write']);
+    assert.ok(response.body.apiKey);
+  });
+
+  it('should require the subscription:write scope for a checkout URL', async function() {
+    let securedApp;
+
+    process.env.API_AUTH_ENABLED = 'true';
+    jest.isolateModules(() => {
+      securedApp = require('../server');
+    });
+    process.env.API_AUTH_ENABLED = 'false';
+
+    const response = await request(securedApp)
+      .get('/api/zain-kw/checkout-url')
+      .query({ msisdn: '96512345678', campaign: 'campaign-1', merchant: 'merchant-1', redirect_url: 'https://example.com' });
+
+    assert.strictEqual(response.status, 401);
+  });
+});
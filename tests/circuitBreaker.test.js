@@ -0,0 +1,126 @@
+/**
+ * Circuit Breaker Tests
+ * Test suite for per-operator fail-fast protection
+ */
+
+const assert = require('assert');
+const { CircuitBreaker, CircuitBreakerRegistry, CircuitOpenError, STATES } = require('../src/services/core/CircuitBreaker');
+
+// Breaker on a clock the test moves forward
+const breakerAt = (options = {}) => {
+  const clock = { now: 0 };
+  const breaker = new CircuitBreaker('zain-kw', {
+    windowSize: 4,
+    minimumRequests: 4,
+    failureRateThreshold: 0.5,
+    openDuration: 1000,
+    halfOpenSuccessThreshold: 2,
+    now: () => clock.now,
+    ...options
+  });
+
+  return { breaker, clock };
+};
+
+const failure = new Error('socket hang up');
+
+// Open the circuit with two successes and two failures
+const trip = (breaker) => {
+  breaker.recordSuccess();
+  breaker.recordSuccess();
+  breaker.recordFailure(failure);
+  breaker.recordFailure(failure);
+};
+
+describe('Circuit Breaker Tests', function() {
+  it('should stay closed until the minimum number of calls', function() {
+    const { breaker } = breakerAt();
+
+    breaker.recordFailure(failure);
+    breaker.recordFailure(failure);
+    breaker.recordFailure(failure);
+
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.beforeRequest(), false);
+  });
+
+  it('should open once the failure rate reaches the threshold', function() {
+    const { breaker } = breakerAt();
+    trip(breaker);
+
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.getState().retryAt, new Date(1000).toISOString());
+  });
+
+  it('should reject calls while open with the time left as Retry-After', function() {
+    const { breaker, clock } = breakerAt({ openDuration: 5000 });
+    trip(breaker);
+    clock.now = 1500;
+
+    assert.throws(
+      () => breaker.beforeRequest(),
+      error => error instanceof CircuitOpenError && error.status === 503 && error.retryAfter === 4
+    );
+  });
+
+  it('should let one probe through once the open period ends', function() {
+    const { breaker, clock } = breakerAt();
+    trip(breaker);
+    clock.now = 1000;
+
+    assert.strictEqual(breaker.beforeRequest(), true);
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+  });
+
+  it('should reject calls during a probe with the time left as Retry-After', function() {
+    const { breaker, clock } = breakerAt({ openDuration: 5000 });
+    trip(breaker);
+    clock.now = 5000;
+    breaker.beforeRequest();
+    clock.now = 6500;
+
+    assert.throws(
+      () => breaker.beforeRequest(),
+      error => error instanceof CircuitOpenError && error.retryAfter === 4
+    );
+  });
+
+  it('should close after enough successful probes', function() {
+    const { breaker, clock } = breakerAt();
+    trip(breaker);
+    clock.now = 1000;
+
+    breaker.recordSuccess(breaker.beforeRequest());
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+
+    breaker.recordSuccess(breaker.beforeRequest());
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.getFailureRate(), 0);
+  });
+
+  it('should reopen when a probe fails', function() {
+    const { breaker, clock } = breakerAt();
+    trip(breaker);
+    clock.now = 1000;
+
+    breaker.recordFailure(failure, breaker.beforeRequest());
+
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.openedAt, 1000);
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+  });
+
+  describe('CircuitBreakerRegistry', function() {
+    it('should keep one breaker per operator', function() {
+      const registry = new CircuitBreakerRegistry({ minimumRequests: 1 });
+
+      registry.get('zain-kw').recordFailure(failure);
+
+      assert.strictEqual(registry.get('zain-kw'), registry.get('zain-kw'));
+      assert.strictEqual(registry.get('stc-kw').state, STATES.CLOSED);
+      assert.strictEqual(registry.getStates()['zain-kw'].state, STATES.OPEN);
+      assert.strictEqual(registry.hasOpenCircuits(), true);
+    });
+  });
+});
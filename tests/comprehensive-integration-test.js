@@ -3,6 +3,9 @@
  * Tests all 3 phases together to ensure complete system integration
  */
 
+// Keep flow sessions in memory; no database is needed for these checks
+process.env.SESSION_STORE = process.env.SESSION_STORE || 'memory';
+
 const colors = {
   reset: '\x1b[0m',
   green: '\x1b[32m',
@@ -325,7 +328,8 @@ class ComprehensiveIntegrationTest {
     // Test Subscription Manager
     this.logSection('Subscription Manager');
     const SubscriptionManager = require('../src/services/api/SubscriptionManager');
-    const subscriptionManager = new SubscriptionManager(mockClient, flowManager);
+    const { MemorySubscriptionRepository } = require('../src/database/repositories/SubscriptionRepository');
+    const subscriptionManager = new SubscriptionManager(mockClient, flowManager, new MemorySubscriptionRepository());
 
     await subscriptionManager.storeSubscription('telenor-mm', {
       uuid: 'test-uuid',
@@ -333,7 +337,7 @@ class ComprehensiveIntegrationTest {
       campaign: 'test'
     });
 
-    const sub = subscriptionManager.getSubscription('test-uuid');
+    const sub = await subscriptionManager.getSubscription('test-uuid');
     this.assert(
       sub.hasACR === true,
       'phase2',
@@ -443,7 +447,7 @@ class ComprehensiveIntegrationTest {
       buildCheckoutUrl: () => 'http://test.com'
     });
 
-    const sessionId = checkoutFlow.createCheckoutSession('axiata-lk', {
+    const sessionId = await checkoutFlow.createCheckoutSession('axiata-lk', {
       transaction_id: 'TXN_TEST'
     });
 
@@ -454,7 +458,7 @@ class ComprehensiveIntegrationTest {
       'Session format incorrect'
     );
 
-    const session = checkoutFlow.getCheckoutSession(sessionId);
+    const session = await checkoutFlow.getCheckoutSession(sessionId);
     this.assert(
       session !== undefined && session.transaction_id === 'TXN_TEST',
       'phase3',
@@ -488,7 +492,8 @@ class ComprehensiveIntegrationTest {
     // Test Statistics
     this.logSection('System Statistics');
     const SubscriptionManager = require('../src/services/api/SubscriptionManager');
-    const subscriptionManager = new SubscriptionManager({}, {});
+    const { MemorySubscriptionRepository } = require('../src/database/repositories/SubscriptionRepository');
+    const subscriptionManager = new SubscriptionManager({}, {}, new MemorySubscriptionRepository());
 
     await subscriptionManager.storeSubscription('vodafone-uk', {
       uuid: 'uk-test',
@@ -496,7 +501,7 @@ class ComprehensiveIntegrationTest {
       campaign: 'test'
     });
 
-    const stats = subscriptionManager.getStatistics();
+    const stats = await subscriptionManager.getStatistics();
     this.assert(
       stats.total > 0 && stats.byOperator['vodafone-uk'] > 0,
       'phase3',
@@ -0,0 +1,103 @@
+/**
+ * Database Connection Tests
+ * Test suite for the schema check run on connecting
+ */
+
+const assert = require('assert');
+const { checkSchema, findPendingMigrations } = require('../src/database/connection');
+const { listMigrationFiles } = require('../src/database/migrationFiles');
+
+// Database whose migrations table lists the given files; null when the table does not exist
+const stubDB = (executed) => {
+  const queries = [];
+
+  return {
+    queries,
+    query: async (sql) => {
+      queries.push(sql);
+
+      if (sql.includes('to_regclass')) {
+        return { rows: [{ name: executed ? 'migrations' : null }] };
+      }
+      return { rows: executed.map(filename => ({ filename })) };
+    }
+  };
+};
+
+describe('Database Connection Tests', function() {
+  let files;
+  let savedMode;
+  let savedWarn;
+  let warnings;
+
+  beforeAll(async function() {
+    files = await listMigrationFiles();
+  });
+
+  beforeEach(function() {
+    savedMode = process.env.DB_SCHEMA_CHECK;
+    savedWarn = console.warn;
+    warnings = [];
+    console.warn = (message) => warnings.push(message);
+  });
+
+  afterEach(function() {
+    if (savedMode === undefined) {
+      delete process.env.DB_SCHEMA_CHECK;
+    } else {
+      process.env.DB_SCHEMA_CHECK = savedMode;
+    }
+    console.warn = savedWarn;
+  });
+
+  describe('findPendingMigrations', function() {
+    it('should list every migration when the migrations table does not exist', async function() {
+      assert.deepStrictEqual(await findPendingMigrations(stubDB(null)), files);
+    });
+
+    it('should list the migrations not yet executed', async function() {
+      const pending = await findPendingMigrations(stubDB(files.slice(0, -1)));
+      assert.deepStrictEqual(pending, files.slice(-1));
+    });
+  });
+
+  describe('checkSchema', function() {
+    it('should refuse a schema with pending migrations in error mode', async function() {
+      process.env.DB_SCHEMA_CHECK = 'error';
+
+      await assert.rejects(
+        checkSchema(stubDB(files.slice(0, -1))),
+        error => error.code === 'SCHEMA_OUTDATED' && error.pending.length === 1 && error.pending[0] === files[files.length - 1]
+      );
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    it('should only warn about pending migrations in warn mode', async function() {
+      process.env.DB_SCHEMA_CHECK = 'warn';
+
+      await checkSchema(stubDB(files.slice(0, -1)));
+
+      assert.strictEqual(warnings.length, 1);
+      assert.ok(warnings[0].includes(files[files.length - 1]));
+    });
+
+    it('should not query the database in off mode', async function() {
+      process.env.DB_SCHEMA_CHECK = 'off';
+      const db = stubDB(null);
+
+      await checkSchema(db);
+
+      assert.strictEqual(db.queries.length, 0);
+      assert.deepStrictEqual(warnings, []);
+    });
+
+    it('should pass an up-to-date schema in every mode', async function() {
+      for (const mode of ['error', 'warn']) {
+        process.env.DB_SCHEMA_CHECK = mode;
+        await checkSchema(stubDB(files));
+      }
+
+      assert.deepStrictEqual(warnings, []);
+    });
+  });
+});
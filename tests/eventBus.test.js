@@ -0,0 +1,61 @@
+/**
+ * Event Bus Tests
+ * Test suite for multi-listener event delivery
+ */
+
+const assert = require('assert');
+const EventBus = require('../src/services/core/EventBus');
+
+describe('Event Bus Tests', function() {
+  it('should deliver to every matching listener', async function() {
+    const bus = new EventBus();
+    const received = [];
+
+    bus.on('subscription.renewed', () => received.push('first'));
+    bus.on('subscription.renewed', () => received.push('second'));
+
+    await bus.emit('subscription.renewed', 'zain-kw', {});
+
+    assert.deepStrictEqual(received.sort(), ['first', 'second']);
+  });
+
+  it('should match wildcard event and operator patterns', async function() {
+    const bus = new EventBus();
+    const received = [];
+
+    bus.on('subscription.*', payload => received.push(payload.type), { operator: 'zain-*' });
+
+    await bus.emit('subscription.suspended', 'zain-kw', { type: 'subscription.suspended' });
+    await bus.emit('subscription.suspended', 'vodafone-uk', { type: 'subscription.suspended' });
+    await bus.emit('charge.failed', 'zain-kw', { type: 'charge.failed' });
+
+    assert.deepStrictEqual(received, ['subscription.suspended']);
+  });
+
+  it('should isolate failing and slow listeners', async function() {
+    const bus = new EventBus({ listenerTimeout: 20 });
+    let delivered = false;
+
+    bus.on('charge.failed', () => { throw new Error('listener error'); });
+    bus.on('charge.failed', () => new Promise(() => {}));
+    bus.on('charge.failed', () => { delivered = true; });
+
+    const result = await bus.emit('charge.failed', 'zain-kw', {});
+
+    assert(delivered);
+    assert.strictEqual(result.delivered, 1);
+    assert.strictEqual(result.failed.length, 2);
+  });
+
+  it('should stop delivering after unsubscribe', async function() {
+    const bus = new EventBus();
+    let count = 0;
+
+    const unsubscribe = bus.on('subscription.deleted', () => count++);
+    await bus.emit('subscription.deleted', 'zain-kw', {});
+    unsubscribe();
+    await bus.emit('subscription.deleted', 'zain-kw', {});
+
+    assert.strictEqual(count, 1);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Field Encryption Tests
+ * Test suite for encrypted subscriber identifiers, blind indexes, key rotation and the stores using them
+ */
+
+const assert = require('assert');
+const { FieldCipher } = require('../src/utils/fieldEncryption');
+const { rowChanges, reencryptTable } = require('../src/database/reencrypt');
+const { IdempotencyRepository } = require('../src/database/repositories/IdempotencyRepository');
+const MerchantWebhookRepository = require('../src/database/repositories/MerchantWebhookRepository');
+const { PostgresSessionStore } = require('../src/services/core/SessionStore');
+const PINFlow = require('../src/services/flows/PINFlow');
+
+const KEY_V1 = '11'.repeat(32);
+const KEY_V2 = '22'.repeat(32);
+const INDEX_KEY = '33'.repeat(32);
+
+const cipherV1 = FieldCipher.fromEnv({ ENCRYPTION_KEYS: `v1:${KEY_V1}`, BLIND_INDEX_KEY: INDEX_KEY });
+const cipherV2 = FieldCipher.fromEnv({ ENCRYPTION_KEYS: `v2:${KEY_V2},v1:${KEY_V1}`, BLIND_INDEX_KEY: INDEX_KEY });
+
+// Database recording its queries; answer(text, params) supplies the rows
+const recordingDB = (answer = () => []) => {
+  const queries = [];
+
+  return {
+    queries,
+    query: async (text, params = []) => {
+      queries.push({ text, params });
+      const rows = answer(text, params);
+      return { rows, rowCount: rows.length };
+    }
+  };
+};
+
+describe('Field Encryption Tests', function() {
+  it('should encrypt with a random IV and decrypt to the original value', function() {
+    const first = cipherV1.encrypt('97312345678');
+    const second = cipherV1.encrypt('97312345678');
+
+    assert.ok(first.startsWith('enc:v1:'));
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(cipherV1.decrypt(first), '97312345678');
+    assert.strictEqual(cipherV1.decrypt('97312345678'), '97312345678');
+  });
+
+  it('should produce the same blind index across key versions and MSISDN formats', function() {
+    assert.strictEqual(cipherV1.blindIndex('+97312345678'), cipherV2.blindIndex('97312345678'));
+    assert.deepStrictEqual(cipherV1.lookup('msisdn', '97312345678'), {
+      column: 'msisdn_hash',
+      value: cipherV1.blindIndex('97312345678')
+    });
+  });
+
+  it('should encrypt MSISDN, ACR and TOKEN values inside JSON payloads', function() {
+    const payload = { success: { msisdn: '97312345678', acr: 'zainbh-123', uuid: 'abc', token: 'TOKEN:xyz' } };
+    const encrypted = cipherV1.encryptFields(payload);
+
+    assert.ok(FieldCipher.isEncrypted(encrypted.success.msisdn));
+    assert.ok(FieldCipher.isEncrypted(encrypted.success.acr));
+    assert.ok(FieldCipher.isEncrypted(encrypted.success.token));
+    assert.strictEqual(encrypted.success.uuid, 'abc');
+    assert.deepStrictEqual(cipherV1.decryptFields(encrypted), payload);
+  });
+
+  it('should re-encrypt rows under an older key and leave current ones alone', function() {
+    const target = { indexed: ['msisdn'], json: ['metadata'] };
+    const oldRow = { msisdn: cipherV1.encrypt('97312345678'), msisdn_hash: null, metadata: { acr: cipherV1.encrypt('zainbh-123') } };
+
+    const changes = rowChanges(cipherV2, oldRow, target);
+    assert.ok(changes.msisdn.startsWith('enc:v2:'));
+    assert.strictEqual(changes.msisdn_hash, cipherV2.blindIndex('97312345678'));
+    assert.strictEqual(cipherV2.decrypt(JSON.parse(changes.metadata).acr), 'zainbh-123');
+
+    const currentRow = { msisdn: changes.msisdn, msisdn_hash: changes.msisdn_hash, metadata: JSON.parse(changes.metadata) };
+    assert.deepStrictEqual(rowChanges(cipherV2, currentRow, target), {});
+  });
+
+  it('should refuse the placeholder key in production', function() {
+    assert.throws(
+      () => FieldCipher.fromEnv({ NODE_ENV: 'production', ENCRYPTION_KEY: '0'.repeat(64) }),
+      /placeholder/
+    );
+  });
+
+  describe('stores', function() {
+    const journey = { journeyId: 'JOURNEY_1', params: { msisdn: '97312345678', campaign: 'campaign-1' } };
+
+    it('should encrypt MSISDNs in stored idempotent responses', async function() {
+      const db = recordingDB(text => (text.startsWith('SELECT') ? [{ response_body: JSON.parse(db.queries[0].params[5]) }] : []));
+      const repository = new IdempotencyRepository(db, cipherV1);
+
+      await repository.complete({ key: 'order-1', operator: 'zain-bh', endpoint: 'POST /charge' }, 201, { msisdn: '97312345678' });
+      const stored = JSON.parse(db.queries[0].params[5]);
+
+      assert.ok(FieldCipher.isEncrypted(stored.msisdn));
+      const { record } = await repository.reserve({ key: 'order-1', operator: 'zain-bh', endpoint: 'POST /charge', requestHash: 'a', windowMs: 1000, lockMs: 1000 });
+      assert.strictEqual(record.response_body.msisdn, '97312345678');
+    });
+
+    it('should encrypt MSISDNs in flow sessions', async function() {
+      const db = recordingDB(text => (text.startsWith('SELECT') ? [{ data: JSON.parse(db.queries[0].params[2]) }] : []));
+      const store = new PostgresSessionStore(db, cipherV1);
+
+      await store.set('journey', 'JOURNEY_1', journey, 60000);
+
+      assert.ok(!db.queries[0].params[2].includes('97312345678'));
+      assert.deepStrictEqual(await store.get('journey', 'JOURNEY_1'), journey);
+    });
+
+    it('should key PIN sessions by the MSISDN blind index', function() {
+      const key = new PINFlow({}, null, cipherV1).pinKey('97312345678', 'zain-bh');
+
+      assert.strictEqual(key, `zain-bh_${cipherV1.blindIndex('97312345678')}`);
+    });
+
+    it('should encrypt MSISDNs in merchant delivery payloads', async function() {
+      const db = recordingDB((text, params) => (text.startsWith('INSERT') ? [{ id: 'delivery-1', payload: JSON.parse(params[3]) }] : []));
+      const repository = new MerchantWebhookRepository(db, cipherV1);
+
+      const delivery = await repository.createDelivery({
+        endpointId: 'endpoint-1',
+        eventType: 'subscription.renewed',
+        operator: 'zain-bh',
+        payload: { uuid: 'sub-1', msisdn: '97312345678' }
+      });
+
+      assert.ok(FieldCipher.isEncrypted(JSON.parse(db.queries[0].params[3]).msisdn));
+      assert.strictEqual(delivery.payload.msisdn, '97312345678');
+    });
+
+    it('should re-encrypt tables keyed by several columns', async function() {
+      const row = { namespace: 'journey', session_key: 'JOURNEY_1', data: cipherV1.encryptFields(journey) };
+      const db = recordingDB(text => (text.startsWith('SELECT') ? [row] : []));
+
+      const updated = await reencryptTable(db, cipherV2, { table: 'flow_sessions', key: ['namespace', 'session_key'], indexed: [], json: ['data'] });
+
+      const [, update] = db.queries;
+      assert.strictEqual(updated, 1);
+      assert.ok(/WHERE namespace = \$1 AND session_key = \$2/.test(update.text));
+      assert.deepStrictEqual(update.params.slice(0, 2), ['journey', 'JOURNEY_1']);
+      assert.ok(JSON.parse(update.params[2]).params.msisdn.startsWith('enc:v2:'));
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * HMAC Utility Tests
+ * Test suite for webhook payload signing and verification
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const hmac = require('../src/utils/hmac');
+
+describe('HMAC Utility Tests', function() {
+  const payload = '{ "success": { "operator": "zain-kw" } }';
+
+  it('should sign the exact payload bytes', function() {
+    const expected = crypto.createHmac('sha256', 'secret').update(payload).digest('hex');
+
+    assert.strictEqual(hmac.sign('secret', payload), expected);
+    assert.notStrictEqual(hmac.sign('secret', JSON.stringify(JSON.parse(payload))), expected);
+  });
+
+  it('should bind a timestamp into the signature', function() {
+    const signature = hmac.sign('secret', payload, 1700000000);
+
+    assert(hmac.verify('secret', payload, signature, 1700000000));
+    assert(!hmac.verify('secret', payload, signature, 1700000001));
+  });
+
+  it('should accept any of several secrets during rotation', function() {
+    const signature = hmac.sign('old-secret', payload);
+
+    assert(hmac.verify(['new-secret', 'old-secret'], payload, signature));
+    assert(!hmac.verify(['new-secret'], payload, signature));
+  });
+
+  it('should reject signatures of a different length', function() {
+    assert(!hmac.verify('secret', payload, 'abc'));
+  });
+});
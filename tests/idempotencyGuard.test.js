@@ -0,0 +1,150 @@
+/**
+ * Idempotency Guard Tests
+ * Test suite for replaying Idempotency-Key requests
+ */
+
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const IdempotencyGuard = require('../src/services/api/IdempotencyGuard');
+const { MemoryIdempotencyRepository } = require('../src/database/repositories/IdempotencyRepository');
+
+// App charging through the guard for the client named in X-Client-Id; release() lets a held request answer
+const chargeApp = (repository) => {
+  const guard = new IdempotencyGuard(repository, { windowMs: 60000, lockMs: 60000 });
+  const app = express();
+  const charges = [];
+  let release = null;
+
+  app.use(express.json());
+  app.post('/api/:operator/charge', (req, res, next) => {
+    req.operator = req.params.operator;
+    req.apiClient = req.get('X-Client-Id') ? { id: req.get('X-Client-Id') } : null;
+    next();
+  }, guard.middleware(), async (req, res) => {
+    charges.push(req.body);
+
+    if (req.body.hold) {
+      await new Promise((resolve) => {
+        release = resolve;
+      });
+    }
+
+    res.status(201).json({ success: true, charge: charges.length });
+  });
+
+  return { app, charges, release: () => release() };
+};
+
+const charge = (app, body, key = 'order-1') => request(app)
+  .post('/api/zain-kw/charge')
+  .set('Idempotency-Key', key)
+  .send(body);
+
+describe('Idempotency Guard Tests', function() {
+  it('should replay the stored response to a repeated request', async function() {
+    const { app, charges } = chargeApp(new MemoryIdempotencyRepository());
+
+    const first = await charge(app, { amount: 1, msisdn: '96512345678' });
+    const second = await charge(app, { msisdn: '96512345678', amount: 1 });
+
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(second.status, 201);
+    assert.deepStrictEqual(second.body, first.body);
+    assert.strictEqual(second.headers['idempotent-replayed'], 'true');
+    assert.strictEqual(charges.length, 1);
+  });
+
+  it('should answer 409 while the first request is in progress', async function() {
+    const { app, charges, release } = chargeApp(new MemoryIdempotencyRepository());
+
+    const first = charge(app, { amount: 1, hold: true }).then(response => response);
+    while (charges.length === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const second = await charge(app, { amount: 1, hold: true });
+    release();
+
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual((await first).status, 201);
+    assert.strictEqual(charges.length, 1);
+  });
+
+  it('should answer 422 when the key is reused with a different body', async function() {
+    const { app, charges } = chargeApp(new MemoryIdempotencyRepository());
+
+    await charge(app, { amount: 1 });
+    const second = await charge(app, { amount: 2 });
+
+    assert.strictEqual(second.status, 422);
+    assert.strictEqual(charges.length, 1);
+  });
+
+  it('should keep the keys of different clients apart', async function() {
+    const { app, charges } = chargeApp(new MemoryIdempotencyRepository());
+
+    const first = await charge(app, { amount: 1 }).set('X-Client-Id', 'client-1');
+    const second = await charge(app, { amount: 2 }).set('X-Client-Id', 'client-2');
+    const replay = await charge(app, { amount: 1 }).set('X-Client-Id', 'client-1');
+
+    assert.strictEqual(second.status, 201);
+    assert.strictEqual(second.headers['idempotent-replayed'], undefined);
+    assert.deepStrictEqual(replay.body, first.body);
+    assert.strictEqual(charges.length, 2);
+  });
+
+  it('should release the key after a server error', async function() {
+    const repository = new MemoryIdempotencyRepository();
+    const guard = new IdempotencyGuard(repository);
+    const app = express();
+    let attempts = 0;
+
+    app.use(express.json());
+    app.post('/api/:operator/charge', guard.middleware(), (req, res) => {
+      attempts++;
+      res.status(attempts === 1 ? 502 : 201).json({ success: attempts > 1 });
+    });
+
+    assert.strictEqual((await charge(app, { amount: 1 })).status, 502);
+    assert.strictEqual((await charge(app, { amount: 1 })).status, 201);
+    assert.strictEqual(attempts, 2);
+  });
+
+  it('should reject a malformed key', async function() {
+    const { app, charges } = chargeApp(new MemoryIdempotencyRepository());
+    const response = await charge(app, { amount: 1 }, 'not a key');
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(charges.length, 0);
+  });
+
+  it('should answer 503 when the key store is unavailable', async function() {
+    const { app, charges } = chargeApp({
+      reserve: async () => {
+        throw new Error('connect ECONNREFUSED');
+      }
+    });
+    const response = await charge(app, { amount: 1 });
+
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(charges.length, 0);
+  });
+
+  describe('MemoryIdempotencyRepository', function() {
+    it('should purge keys past their replay window', async function() {
+      let now = 0;
+      const repository = new MemoryIdempotencyRepository(() => now);
+      const scope = { key: 'order-1', operator: 'zain-kw', endpoint: 'POST /charge' };
+
+      await repository.reserve({ ...scope, requestHash: 'a', windowMs: 1000, lockMs: 100 });
+      await repository.complete(scope, 201, { success: true });
+
+      assert.strictEqual(await repository.purgeExpired(), 0);
+
+      now = 1000;
+      assert.strictEqual(await repository.purgeExpired(), 1);
+      assert.strictEqual((await repository.reserve({ ...scope, requestHash: 'b', windowMs: 1000, lockMs: 100 })).reserved, true);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * IP Address Utility Tests
+ * Test suite for CIDR matching used by the IP allow-lists
+ */
+
+const assert = require('assert');
+const ipAddress = require('../src/utils/ipAddress');
+
+describe('IP Address Utility Tests', function() {
+  describe('normalizeIP', function() {
+    it('should unwrap IPv4-mapped IPv6 addresses', function() {
+      assert.strictEqual(ipAddress.normalizeIP('::ffff:192.168.1.20'), '192.168.1.20');
+      assert.strictEqual(ipAddress.normalizeIP('::1'), '::1');
+      assert.strictEqual(ipAddress.normalizeIP('not-an-ip'), null);
+    });
+  });
+
+  describe('createMatcher', function() {
+    it('should match every address in an IPv4 range', function() {
+      const matches = ipAddress.createMatcher('192.168.0.0/16,10.0.0.0/8');
+
+      assert(matches('192.168.44.7'));
+      assert(matches('10.200.3.4'));
+      assert(matches('::ffff:10.1.2.3'));
+      assert(!matches('192.169.0.1'));
+      assert(!matches('11.0.0.1'));
+    });
+
+    it('should honour prefixes that are not byte aligned', function() {
+      const matches = ipAddress.createMatcher('172.16.0.0/12');
+
+      assert(matches('172.31.255.255'));
+      assert(!matches('172.32.0.1'));
+    });
+
+    it('should match IPv6 ranges and single addresses', function() {
+      const matches = ipAddress.createMatcher('2001:db8::/32,::1,127.0.0.1');
+
+      assert(matches('2001:db8:abcd::1'));
+      assert(matches('::1'));
+      assert(matches('127.0.0.1'));
+      assert(!matches('2001:db9::1'));
+      assert(!matches('127.0.0.2'));
+    });
+
+    it('should ignore invalid entries', function() {
+      const { invalid } = ipAddress.parseList('10.0.0.0/33,bogus,10.0.0.1');
+
+      assert.deepStrictEqual(invalid, ['10.0.0.0/33', 'bogus']);
+      assert(!ipAddress.createMatcher('bogus')('10.0.0.1'));
+    });
+  });
+});
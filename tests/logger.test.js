@@ -0,0 +1,62 @@
+/**
+ * Logger Redaction Tests
+ * Test suite for PII masking in winston entries and console output
+ */
+
+const assert = require('assert');
+const { redactFormat, redactArgs, redactConsole } = require('../src/utils/logger');
+const { REDACTED } = require('../src/utils/redact');
+
+describe('Logger Redaction Tests', function() {
+  it('should redact the message and metadata of winston entries', function() {
+    const level = Symbol.for('level');
+    const info = redactFormat().transform({
+      [level]: 'info',
+      level: 'info',
+      message: '[zain-bh] PIN sent to 97312345678',
+      params: { msisdn: '97312345678', pin: '000000', acr: 'zainbh-1234567890' }
+    });
+
+    assert.strictEqual(info.message, '[zain-bh] PIN sent to *******5678');
+    assert.strictEqual(info.params.msisdn, '*******5678');
+    assert.strictEqual(info.params.pin, REDACTED);
+    assert.strictEqual(info.params.acr, 'zainbh****');
+    assert.strictEqual(info[level], 'info');
+  });
+
+  it('should redact console arguments, including query strings and auth headers', function() {
+    const [text, data, error] = redactArgs([
+      'GET /v2.2/charge?msisdn=97312345678&pin=000000',
+      { headers: { Authorization: 'Basic dXNlcjpwYXNz' }, msisdn: 'TOKEN:abcdef123456' },
+      new Error('Invalid MSISDN 97312345678')
+    ]);
+
+    assert.strictEqual(text, `GET /v2.2/charge?msisdn=*******5678&pin=${REDACTED}`);
+    assert.strictEqual(data.headers.Authorization, REDACTED);
+    assert.strictEqual(data.msisdn, 'TOKEN:****3456');
+    assert.ok(error.startsWith('Error: Invalid MSISDN *******5678'));
+  });
+
+  it('should wrap console methods once', function() {
+    const lines = [];
+    const target = { log: (...args) => lines.push(args.join(' ')), info() {}, warn() {}, error() {}, debug() {} };
+
+    redactConsole(target);
+    redactConsole(target);
+    target.log('Welcome SMS to', '97312345678');
+
+    assert.deepStrictEqual(lines, ['Welcome SMS to *******5678']);
+  });
+
+  it('should log circular objects without throwing', function() {
+    const lines = [];
+    const target = { log: (...args) => lines.push(args), info() {}, warn() {}, error() {}, debug() {} };
+    const circular = { msisdn: '97312345678' };
+    circular.self = circular;
+
+    redactConsole(target);
+    target.log('circ', circular);
+
+    assert.deepStrictEqual(lines[0][1], { msisdn: '*******5678', self: '[Circular]' });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Migration Runner Tests
+ * Test suite for migration status, checksums, paired rollback files and reset
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { getDB } = require('../src/database/connection');
+const { migrationStatus, checksum, resetDatabase } = require('../src/database/migrate');
+const { MIGRATIONS_DIR, listMigrationFiles } = require('../src/database/migrationFiles');
+
+jest.mock('../src/database/connection', () => ({ getDB: jest.fn() }));
+
+describe('Migration Runner Tests', function() {
+  it('should report applied, pending, modified and missing migrations', function() {
+    const migrations = [
+      { filename: '001_a.sql', checksum: checksum('CREATE TABLE a ();') },
+      { filename: '002_b.sql', checksum: checksum('CREATE TABLE b (id INT);') },
+      { filename: '003_c.sql', checksum: checksum('CREATE TABLE c ();') },
+      { filename: '004_d.sql', checksum: checksum('CREATE TABLE d ();') }
+    ];
+    const applied = [
+      { filename: '001_a.sql', checksum: checksum('CREATE TABLE a ();'), executed_at: new Date() },
+      { filename: '002_b.sql', checksum: checksum('CREATE TABLE b ();'), executed_at: new Date() },
+      // Applied before checksums were recorded
+      { filename: '003_c.sql', checksum: null, executed_at: new Date() },
+      { filename: '000_removed.sql', checksum: null, executed_at: new Date() }
+    ];
+
+    const states = Object.fromEntries(
+      migrationStatus(migrations, applied).map(item => [item.filename, item.state])
+    );
+
+    assert.deepStrictEqual(states, {
+      '001_a.sql': 'applied',
+      '002_b.sql': 'modified',
+      '003_c.sql': 'applied',
+      '004_d.sql': 'pending',
+      '000_removed.sql': 'missing'
+    });
+  });
+
+  it('should pair every migration with a rollback', async function() {
+    const files = await listMigrationFiles();
+
+    assert.ok(files.length > 0);
+    assert.ok(files.every(file => !file.endsWith('.rollback.sql')));
+
+    for (const file of files) {
+      if (file.endsWith('.js')) {
+        assert.strictEqual(typeof require(path.join(MIGRATIONS_DIR, file)).down, 'function', file);
+      } else {
+        assert.ok(fs.existsSync(path.join(MIGRATIONS_DIR, file.replace(/\.sql$/, '.rollback.sql'))), file);
+      }
+    }
+  });
+
+  it('should print the reset without touching the database on a dry run', async function() {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      await resetDatabase({ dryRun: true });
+
+      const output = log.mock.calls.map(args => args.join(' ')).join('\n');
+      assert.ok(output.includes('DROP TABLE IF EXISTS subscriptions CASCADE;'));
+      assert.ok(output.includes('001_'));
+      assert.strictEqual(getDB.mock.calls.length, 0);
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Operators Config Tests
+ * Test suite for resolving operator codes taken from requests
+ */
+
+const assert = require('assert');
+const { isKnownOperator } = require('../src/config/operators.config');
+
+describe('Operators Config Tests', function() {
+  describe('isKnownOperator', function() {
+    it('should accept configured operators', function() {
+      assert.strictEqual(isKnownOperator('zain-bh'), true);
+      assert.strictEqual(isKnownOperator('telenor-dk'), true);
+    });
+
+    it('should reject unknown codes and inherited object properties', function() {
+      for (const code of ['zain-xx', 'constructor', '__proto__', 'toString', 'hasOwnProperty', '', undefined]) {
+        assert.strictEqual(isKnownOperator(code), false, `${code} should not be an operator`);
+      }
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Outbox Tests
+ * Test suite for journaling records the database could not take and replaying them
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Outbox = require('../src/services/core/Outbox');
+const { FieldCipher } = require('../src/utils/fieldEncryption');
+
+const cipher = FieldCipher.fromEnv({ ENCRYPTION_KEY: '44'.repeat(32) });
+
+const unavailable = () => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' });
+
+// Handler writing to an array, failing with the queued errors first
+const recorder = () => {
+  const records = [];
+  const errors = [];
+
+  return {
+    records,
+    errors,
+    handler: async (payload) => {
+      if (errors.length > 0) {
+        throw errors.shift();
+      }
+      records.push(payload);
+      return payload;
+    }
+  };
+};
+
+describe('Outbox Tests', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write directly while the database is available', async function() {
+    const { records, handler } = recorder();
+    const outbox = new Outbox({ transaction: handler }, { file: path.join(dir, 'outbox.jsonl'), cipher });
+
+    const result = await outbox.write('transaction', { transactionId: 'tx-1', msisdn: '97312345678' });
+
+    assert.strictEqual(result.recorded, true);
+    assert.strictEqual(records.length, 1);
+    assert.deepStrictEqual(await outbox.pending(), []);
+  });
+
+  it('should journal encrypted and replay once the database is back', async function() {
+    const { records, errors, handler } = recorder();
+    const file = path.join(dir, 'outbox.jsonl');
+    const outbox = new Outbox({ transaction: handler }, { file, cipher });
+
+    errors.push(unavailable());
+    const result = await outbox.write('transaction', { transactionId: 'tx-1', msisdn: '97312345678' });
+
+    assert.deepStrictEqual(result, { recorded: false, queued: true });
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('97312345678'));
+
+    // Still unavailable: kept for the next flush
+    errors.push(unavailable());
+    assert.strictEqual(await outbox.flush(), 0);
+    assert.strictEqual((await outbox.pending())[0].attempts, 1);
+
+    assert.strictEqual(await outbox.flush(), 1);
+    assert.deepStrictEqual(records, [{ transactionId: 'tx-1', msisdn: '97312345678' }]);
+    assert.deepStrictEqual(await outbox.pending(), []);
+  });
+
+  it('should move entries failing for other reasons to the dead-letter file', async function() {
+    const { errors, handler } = recorder();
+    const file = path.join(dir, 'outbox.jsonl');
+    const outbox = new Outbox({ sms: handler }, { file, cipher });
+
+    errors.push(unavailable(), new Error('value too long for type character varying(50)'));
+    await outbox.write('sms', { operator: 'zain-bh', msisdn: '97312345678' });
+    await outbox.flush();
+
+    assert.deepStrictEqual(await outbox.pending(), []);
+    assert.strictEqual(fs.readFileSync(`${file}.failed`, 'utf8').trim().split('\n').length, 1);
+  });
+});
@@ -3,6 +3,9 @@
  * Comprehensive tests to verify core infrastructure implementation
  */
 
+// Keep flow sessions in memory; no database is needed for these checks
+process.env.SESSION_STORE = process.env.SESSION_STORE || 'memory';
+
 const { SLADigitalIntegration, operatorConfigs, apiConfig } = require('../src/index');
 
 // Test configuration
@@ -3,6 +3,9 @@
  * Tests for Standard Operators Implementation
  */
 
+// Keep flow sessions in memory; no database is needed for these checks
+process.env.SESSION_STORE = process.env.SESSION_STORE || 'memory';
+
 const { operatorConfigs } = require('../src/config/operators.config');
 
 // Test configuration
@@ -121,13 +124,13 @@ class Phase2Tester {
       );
 
       // Test PIN metadata storage
-      pinFlow.storePINMetadata('965XXXXXXXX', 'zain-kw', {
+      await pinFlow.storePINMetadata('965XXXXXXXX', 'zain-kw', {
         sentAt: Date.now(),
         expiresAt: Date.now() + 120000,
         attempts: 0
       });
 
-      const metadata = pinFlow.getPINMetadata('965XXXXXXXX', 'zain-kw');
+      const metadata = await pinFlow.getPINMetadata('965XXXXXXXX', 'zain-kw');
       this.assert(
         metadata !== undefined,
         'PIN metadata stored',
@@ -253,7 +256,7 @@ class Phase2Tester {
       );
 
       // Test session management
-      const sessionId = checkoutFlow.createCheckoutSession('zain-kw', {
+      const sessionId = await checkoutFlow.createCheckoutSession('zain-kw', {
         merchant: 'test',
         campaign: 'test'
       });
@@ -264,7 +267,7 @@ class Phase2Tester {
         'Session ID format incorrect'
       );
 
-      const session = checkoutFlow.getCheckoutSession(sessionId);
+      const session = await checkoutFlow.getCheckoutSession(sessionId);
       this.assert(
         session !== undefined,
         'Session retrieval',
@@ -330,12 +333,12 @@ class Phase2Tester {
       );
 
       // Test flow reference storage
-      flowManager.storeFlowReference('vodafone-uk', 'test-correlator', {
+      await flowManager.storeFlowReference('vodafone-uk', 'test-correlator', {
         type: 'uk_async',
         sessionId: 'test-session'
       });
 
-      const flowRef = flowManager.getFlowReference('vodafone-uk', 'test-correlator');
+      const flowRef = await flowManager.getFlowReference('vodafone-uk', 'test-correlator');
       this.assert(
         flowRef !== undefined,
         'Flow reference storage',
@@ -430,6 +433,7 @@ class Phase2Tester {
 
     try {
       const SubscriptionManager = require('../src/services/api/SubscriptionManager');
+      const { MemorySubscriptionRepository } = require('../src/database/repositories/SubscriptionRepository');
       const mockClient = {};
       const mockFlowManager = {
         initiateSubscription: async () => ({
@@ -438,7 +442,11 @@ class Phase2Tester {
         })
       };
 
-      const subscriptionManager = new SubscriptionManager(mockClient, mockFlowManager);
+      const subscriptionManager = new SubscriptionManager(
+        mockClient,
+        mockFlowManager,
+        new MemorySubscriptionRepository()
+      );
 
       // Test subscription storage
       await subscriptionManager.storeSubscription('zain-kw', {
@@ -448,7 +456,7 @@ class Phase2Tester {
         transaction: { status: 'CHARGED' }
       });
 
-      const subscription = subscriptionManager.getSubscription('test-uuid');
+      const subscription = await subscriptionManager.getSubscription('test-uuid');
       this.assert(
         subscription !== undefined,
         'Subscription storage',
@@ -462,7 +470,7 @@ class Phase2Tester {
       );
 
       // Test MSISDN lookup
-      const msisdnSubs = subscriptionManager.getMSISDNSubscriptions('965XXXXXXXX');
+      const msisdnSubs = await subscriptionManager.getMSISDNSubscriptions('965XXXXXXXX');
       this.assert(
         msisdnSubs.length > 0,
         'MSISDN subscription lookup',
@@ -476,7 +484,7 @@ class Phase2Tester {
         campaign: 'test-campaign'
       });
 
-      const acrSub = subscriptionManager.getSubscription('test-acr-uuid');
+      const acrSub = await subscriptionManager.getSubscription('test-acr-uuid');
       this.assert(
         acrSub.hasACR === true,
         'ACR detection',
@@ -490,7 +498,7 @@ class Phase2Tester {
       );
 
       // Test subscription statistics
-      const stats = subscriptionManager.getStatistics();
+      const stats = await subscriptionManager.getStatistics();
       this.assert(
         stats.total > 0,
         'Statistics calculation',
@@ -509,7 +517,7 @@ class Phase2Tester {
         reason: 'INSUFFICIENT_FUNDS'
       });
 
-      const suspendedSub = subscriptionManager.getSubscription('test-uuid');
+      const suspendedSub = await subscriptionManager.getSubscription('test-uuid');
       this.assert(
         suspendedSub.status === 'SUSPENDED',
         'Suspension handling',
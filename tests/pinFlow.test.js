@@ -0,0 +1,55 @@
+/**
+ * PIN Flow Tests
+ * Test suite for PIN expiry and the attempt limit across concurrent requests
+ */
+
+const assert = require('assert');
+const PINFlow = require('../src/services/flows/PINFlow');
+const { MemorySessionStore } = require('../src/services/core/SessionStore');
+
+const params = {
+  msisdn: '96512345678',
+  pin: '111111',
+  campaign: 'campaign-1',
+  merchant: 'merchant-1'
+};
+
+// Flow whose API rejects every PIN after a turn of the event loop
+const pinFlow = () => {
+  const calls = [];
+  const flow = new PINFlow({
+    createSubscription: async (operator, subscriptionParams) => {
+      calls.push(subscriptionParams);
+      await new Promise(resolve => setImmediate(resolve));
+      return { success: false, error: { category: 'Request', code: '2001', message: 'Invalid PIN' } };
+    }
+  }, new MemorySessionStore());
+
+  return { flow, calls };
+};
+
+describe('PIN Flow Tests', function() {
+  it('should allow three attempts when they arrive at once', async function() {
+    const { flow, calls } = pinFlow();
+    await flow.storePINMetadata(params.msisdn, 'zain-kw', { sentAt: Date.now(), expiresAt: Date.now() + 60000, attempts: 0 });
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => flow.completeSubscriptionWithPIN('zain-kw', { ...params }))
+    );
+
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(results.filter(result => result.status === 'rejected').length, 2);
+    assert.ok(results
+      .filter(result => result.status === 'rejected')
+      .every(result => /Maximum PIN attempts exceeded/.test(result.reason.message)));
+  });
+
+  it('should reject a PIN once the request has expired', async function() {
+    const { flow, calls } = pinFlow();
+    await flow.storePINMetadata(params.msisdn, 'zain-kw', { sentAt: 0, expiresAt: Date.now() - 1, attempts: 0 });
+
+    await assert.rejects(flow.completeSubscriptionWithPIN('zain-kw', { ...params }), /PIN expired/);
+    await assert.rejects(flow.completeSubscriptionWithPIN('zain-kw', { ...params }), /No PIN request found/);
+    assert.strictEqual(calls.length, 0);
+  });
+});
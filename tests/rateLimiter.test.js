@@ -0,0 +1,104 @@
+/**
+ * Rate Limiter Tests
+ * Test suite for the token buckets limiting outbound SLA API calls
+ */
+
+const assert = require('assert');
+const { RateLimiter, RateLimitError, MemoryRateLimitBackend } = require('../src/services/core/RateLimiter');
+
+// Limiter of 2 calls per second on a clock that sleeping moves forward
+const limiterAt = (options = {}) => {
+  const clock = { now: 0 };
+  const sleeps = [];
+  const limiter = new RateLimiter({
+    default: { requests: 2, period: 1 },
+    maxQueueWaitMs: 1000,
+    backendInstance: new MemoryRateLimitBackend(() => clock.now),
+    now: () => clock.now,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      clock.now += ms;
+    },
+    ...options
+  });
+
+  return { limiter, clock, sleeps };
+};
+
+describe('Rate Limiter Tests', function() {
+  describe('MemoryRateLimitBackend', function() {
+    it('should refill tokens with time, up to the capacity', async function() {
+      let now = 0;
+      const backend = new MemoryRateLimitBackend(() => now);
+      const refillPerMs = 2 / 1000;
+
+      assert.strictEqual((await backend.take('sla:zain-kw', 2, refillPerMs)).allowed, true);
+      assert.strictEqual((await backend.take('sla:zain-kw', 2, refillPerMs)).allowed, true);
+
+      const empty = await backend.take('sla:zain-kw', 2, refillPerMs);
+      assert.strictEqual(empty.allowed, false);
+      assert.strictEqual(empty.waitMs, 500);
+
+      now = 500;
+      assert.strictEqual((await backend.take('sla:zain-kw', 2, refillPerMs)).allowed, true);
+
+      now = 60000;
+      const full = await backend.take('sla:zain-kw', 2, refillPerMs);
+      assert.strictEqual(full.allowed, true);
+      assert.strictEqual(full.tokens, 1);
+    });
+  });
+
+  describe('acquire', function() {
+    it('should wait for the next token in queue mode', async function() {
+      const { limiter, sleeps } = limiterAt();
+
+      await limiter.acquire('zain-kw');
+      await limiter.acquire('zain-kw');
+      await limiter.acquire('zain-kw');
+
+      assert.deepStrictEqual(sleeps, [500]);
+    });
+
+    it('should throw RateLimitError when the wait exceeds the maximum', async function() {
+      const { limiter, sleeps } = limiterAt({ maxQueueWaitMs: 100 });
+
+      await limiter.acquire('zain-kw');
+      await limiter.acquire('zain-kw');
+
+      await assert.rejects(
+        limiter.acquire('zain-kw'),
+        error => error instanceof RateLimitError && error.status === 429 && error.retryAfter === 1
+      );
+      assert.deepStrictEqual(sleeps, []);
+    });
+
+    it('should throw RateLimitError without waiting in reject mode', async function() {
+      const { limiter, sleeps } = limiterAt({ mode: 'reject' });
+
+      await limiter.acquire('zain-kw');
+      await limiter.acquire('zain-kw');
+
+      await assert.rejects(limiter.acquire('zain-kw'), error => error.code === 'RATE_LIMITED');
+      assert.deepStrictEqual(sleeps, []);
+    });
+
+    it('should keep a separate budget per operator', async function() {
+      const { limiter, sleeps } = limiterAt({ perOperator: { 'mobily-sa': { requests: 1, period: 1 } } });
+
+      await limiter.acquire('mobily-sa');
+      await limiter.acquire('zain-kw');
+      await limiter.acquire('mobily-sa');
+
+      assert.deepStrictEqual(sleeps, [1000]);
+    });
+
+    it('should allow the call when the bucket store is unavailable', async function() {
+      const { limiter } = limiterAt({
+        backendInstance: { take: async () => { throw new Error('connect ECONNREFUSED'); } }
+      });
+
+      await limiter.acquire('zain-kw');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Redaction Tests
+ * Test suite for masking subscriber identifiers and dropping secrets from payloads
+ */
+
+const assert = require('assert');
+const { redact, maskMSISDN, REDACTED } = require('../src/utils/redact');
+
+describe('Redaction Tests', function() {
+  it('should mask MSISDNs down to their last 4 digits', function() {
+    assert.strictEqual(maskMSISDN('97312345678'), '*******5678');
+    assert.deepStrictEqual(redact({ msisdns: ['97312345678', '97387654321'] }).msisdns, ['*******5678', '*******4321']);
+  });
+
+  it('should drop PINs and credentials at any depth', function() {
+    const result = redact({ pin: '000000', data: { 'X-API-Key': 'sla_abc', apiKey: 'sla_abc', fraud_token: 'ft' } });
+
+    assert.strictEqual(result.pin, REDACTED);
+    assert.strictEqual(result.data['X-API-Key'], REDACTED);
+    assert.strictEqual(result.data.apiKey, REDACTED);
+    assert.strictEqual(result.data.fraud_token, REDACTED);
+  });
+
+  it('should mask TOKEN values and ACRs without modifying the input', function() {
+    const payload = { success: { msisdn: 'TOKEN:abcdef123456', acr: 'zainbh-1234567890', amount: 1 } };
+    const result = redact(payload);
+
+    assert.strictEqual(result.success.msisdn, 'TOKEN:****3456');
+    assert.strictEqual(result.success.acr, 'zainbh****');
+    assert.strictEqual(result.success.amount, 1);
+    assert.strictEqual(payload.success.msisdn, 'TOKEN:abcdef123456');
+  });
+
+  it('should replace circular references and cap the depth', function() {
+    const payload = { msisdn: '97312345678', items: [] };
+    payload.self = payload;
+    payload.items.push(payload);
+
+    const result = redact(payload);
+
+    assert.strictEqual(result.self, '[Circular]');
+    assert.strictEqual(result.items[0], '[Circular]');
+    assert.strictEqual(result.msisdn, '*******5678');
+
+    // A shared (non-circular) reference is copied each time
+    const shared = { pin: '1234' };
+    assert.deepStrictEqual(redact({ a: shared, b: shared }), { a: { pin: REDACTED }, b: { pin: REDACTED } });
+
+    let deep = {};
+    const root = deep;
+    for (let i = 0; i < 100; i++) {
+      deep = deep.next = {};
+    }
+    assert.ok(JSON.stringify(redact(root)).includes('[Truncated]'));
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * SLA Client Tests
+ * Test suite for retries, backoff and the circuit breaker around SLA API calls
+ */
+
+const assert = require('assert');
+const SLAClient = require('../src/services/core/SLAClient');
+const { CircuitOpenError, STATES } = require('../src/services/core/CircuitBreaker');
+
+const chargeParams = {
+  msisdn: '97312345678',
+  pin: '123456',
+  campaign: 'campaign-1',
+  merchant: 'merchant-1',
+  amount: 1,
+  currency: 'BHD'
+};
+
+const networkError = code => Object.assign(new Error(`socket ${code}`), { code });
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data: {} }
+});
+
+// Client whose transport answers with the queued results, and whose retries do not wait
+const fakeClient = (...results) => {
+  const client = new SLAClient('sandbox', { username: 'user', password: 'pass' });
+  const calls = [];
+  const delays = [];
+
+  client.httpClient = {
+    post: async (url) => {
+      calls.push(url);
+      const result = results.shift();
+
+      if (result instanceof Error) {
+        throw result;
+      }
+      return { status: 200, data: result };
+    }
+  };
+  client.sleep = async (ms) => {
+    delays.push(ms);
+  };
+
+  return { client, calls, delays };
+};
+
+const charged = { success: { transaction: { id: 'txn-1', status: 'CHARGED' } } };
+
+describe('SLA Client Tests', function() {
+  describe('retries', function() {
+    it('should retry a charge without a correlator after a connection error', async function() {
+      const { client, calls } = fakeClient(networkError('ECONNREFUSED'), charged);
+      const result = await client.charge('zain-bh', { ...chargeParams });
+
+      assert.strictEqual(calls.length, 2);
+      assert.strictEqual(result.attempts, 2);
+    });
+
+    it('should not retry a charge without a correlator once the request may have reached the API', async function() {
+      for (const failure of [networkError('ECONNRESET'), httpError(503)]) {
+        const { client, calls } = fakeClient(failure, charged);
+
+        await assert.rejects(client.charge('zain-bh', { ...chargeParams }), error => error.attempts === 1);
+        assert.strictEqual(calls.length, 1);
+      }
+    });
+
+    it('should retry a charge with a correlator after a server error', async function() {
+      const { client, calls } = fakeClient(httpError(503), networkError('ECONNRESET'), charged);
+      const result = await client.charge('zain-bh', { ...chargeParams, correlator: 'order-1' });
+
+      assert.strictEqual(calls.length, 3);
+      assert.strictEqual(result.attempts, 3);
+    });
+
+    it('should stop after the configured number of retries', async function() {
+      const { client, calls, delays } = fakeClient(...Array.from({ length: 5 }, () => httpError(502)));
+
+      await assert.rejects(
+        client.getSubscriptionStatus('zain-bh', { uuid: 'sub-1' }),
+        error => error.attempts === 4
+      );
+      assert.strictEqual(calls.length, 4);
+      assert.strictEqual(delays.length, 3);
+    });
+  });
+
+  describe('backoff', function() {
+    it('should double the delay up to the maximum, with jitter', function() {
+      const { client } = fakeClient();
+
+      for (let i = 0; i < 20; i++) {
+        const first = client.getRetryDelay(1);
+        const third = client.getRetryDelay(3);
+        const late = client.getRetryDelay(10);
+
+        assert.ok(first >= 500 && first <= 1000, `attempt 1 waited ${first}ms`);
+        assert.ok(third >= 2000 && third <= 4000, `attempt 3 waited ${third}ms`);
+        assert.ok(late >= 5000 && late <= 10000, `attempt 10 waited ${late}ms`);
+      }
+    });
+
+    it('should honour Retry-After, capped at the maximum delay', function() {
+      const { client } = fakeClient();
+
+      assert.ok(client.getRetryDelay(1, httpError(429, { 'retry-after': '5' })) >= 5000);
+      assert.strictEqual(client.getRetryDelay(1, httpError(429, { 'retry-after': '600' })), 10000);
+    });
+
+    it('should wait for Retry-After before retrying', async function() {
+      const { client, delays } = fakeClient(httpError(429, { 'retry-after': '3' }), { success: {} });
+
+      await client.getSubscriptionStatus('zain-bh', { uuid: 'sub-1' });
+
+      assert.strictEqual(delays.length, 1);
+      assert.ok(delays[0] >= 3000);
+    });
+  });
+
+  describe('circuit breaker', function() {
+    it('should fail fast with CircuitOpenError while the circuit is open', async function() {
+      const { client, calls } = fakeClient({ success: {} });
+      client.circuitBreakers.get('zain-bh').transition(STATES.OPEN);
+
+      await assert.rejects(
+        client.getSubscriptionStatus('zain-bh', { uuid: 'sub-1' }),
+        error => error instanceof CircuitOpenError && error.operator === 'zain-bh' && error.attempts === 1
+      );
+      assert.strictEqual(calls.length, 0);
+    });
+
+    it('should not count business errors against the circuit', async function() {
+      const rejected = Object.assign(httpError(400), {
+        response: { status: 400, headers: {}, data: { error: { category: 'Request', code: '2001', message: 'Invalid' } } }
+      });
+      const { client } = fakeClient(rejected);
+
+      await assert.rejects(client.getSubscriptionStatus('zain-bh', { uuid: 'sub-1' }), error => error.code === '2001');
+      assert.strictEqual(client.circuitBreakers.get('zain-bh').getFailureRate(), 0);
+    });
+  });
+});
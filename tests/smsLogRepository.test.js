@@ -0,0 +1,84 @@
+/**
+ * SMS Log Repository Tests
+ * Test suite for recording sent SMS once, however often an outbox entry is replayed
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SmsLogRepository = require('../src/database/repositories/SmsLogRepository');
+const Outbox = require('../src/services/core/Outbox');
+const { FieldCipher } = require('../src/utils/fieldEncryption');
+
+const cipher = FieldCipher.fromEnv({ ENCRYPTION_KEY: '55'.repeat(32) });
+
+// sms_logs with its unique log_id; `lost` drops the response to the next insert,
+// as when the connection fails after the commit
+const smsLogsDB = () => {
+  const rows = [];
+  const state = { lost: false };
+
+  return {
+    rows,
+    state,
+    query: async (text, params) => {
+      const logId = params[12];
+      const duplicate = logId !== null && rows.some(row => row.log_id === logId);
+
+      if (duplicate && !text.includes('ON CONFLICT (log_id) DO NOTHING')) {
+        throw Object.assign(new Error('duplicate key value violates unique constraint "idx_sms_logs_log_id"'), { code: '23505' });
+      }
+
+      const inserted = duplicate ? [] : [{ log_id: logId }];
+      rows.push(...inserted);
+
+      if (state.lost) {
+        state.lost = false;
+        throw Object.assign(new Error('Connection terminated unexpectedly'), { code: '08006' });
+      }
+
+      return { rows: inserted, rowCount: inserted.length };
+    }
+  };
+};
+
+describe('SMS Log Repository Tests', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-logs-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not record an SMS twice when its outbox entry is replayed', async function() {
+    const db = smsLogsDB();
+    const repository = new SmsLogRepository(db, cipher);
+    const outbox = new Outbox({ sms: log => repository.record(log) }, { file: path.join(dir, 'outbox.jsonl'), cipher });
+
+    db.state.lost = true;
+    const result = await outbox.write('sms', {
+      logId: 'c0a80101-0000-4000-8000-000000000001',
+      operator: 'zain-bh',
+      msisdn: '97312345678',
+      status: 'sent'
+    });
+    assert.strictEqual(result.queued, true);
+
+    assert.strictEqual(await outbox.flush(), 1);
+    assert.strictEqual(db.rows.length, 1);
+  });
+
+  it('should record SMS without a log id every time', async function() {
+    const db = smsLogsDB();
+    const repository = new SmsLogRepository(db, cipher);
+
+    await repository.record({ operator: 'zain-bh', msisdn: '97312345678', status: 'sent' });
+    await repository.record({ operator: 'zain-bh', msisdn: '97312345678', status: 'sent' });
+
+    assert.strictEqual(db.rows.length, 2);
+  });
+});
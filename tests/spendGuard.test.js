@@ -0,0 +1,102 @@
+/**
+ * Spend Guard Tests
+ * Test suite for pre-flight spending limit checks
+ */
+
+const assert = require('assert');
+const SpendGuard = require('../src/services/api/SpendGuard');
+
+// Repository returning fixed totals
+const fixedSpend = (spent) => ({
+  sumSpend: async () => spent
+});
+
+describe('Spend Guard Tests', function() {
+  describe('getLimits', function() {
+    it('should use the lower monthly limit when the billing type is unknown', function() {
+      const guard = new SpendGuard(fixedSpend({}));
+
+      assert.strictEqual(guard.getLimits('stc-kw').monthly, 20);
+      assert.strictEqual(guard.getLimits('stc-kw', 'prepaid').monthly, 90);
+      assert.strictEqual(guard.getLimits('stc-kw').perCharge, 20);
+    });
+  });
+
+  describe('check', function() {
+    it('should reject a charge above the per-charge maximum', async function() {
+      const guard = new SpendGuard(fixedSpend({ daily: 0, monthly: 0, yearly: 0 }));
+      const result = await guard.check('zain-kw', '96512345678', 31);
+
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.reason.limit, 'perCharge');
+    });
+
+    it('should reject a charge that exceeds the remaining monthly allowance', async function() {
+      const guard = new SpendGuard(fixedSpend({ daily: 0, monthly: 80, yearly: 80 }));
+      const result = await guard.check('zain-kw', '96512345678', 20);
+
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.reason.limit, 'monthly');
+      assert.strictEqual(result.reason.remaining, 10);
+      assert.strictEqual(result.reason.operatorErrorCode, '5004');
+    });
+
+    it('should allow a charge within every limit', async function() {
+      const guard = new SpendGuard(fixedSpend({ daily: 0, monthly: 80, yearly: 80 }));
+      const result = await guard.check('zain-kw', '96512345678', 10);
+
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.allowance.maxChargeable, 10);
+    });
+  });
+
+  describe('assertWithinLimits', function() {
+    it('should throw SPEND_LIMIT_EXCEEDED with the reason', async function() {
+      const guard = new SpendGuard(fixedSpend({ daily: 700, monthly: 700, yearly: 700 }));
+
+      await assert.rejects(
+        guard.assertWithinLimits('telenor-dk', '4512345678', 100),
+        error => error.code === 'SPEND_LIMIT_EXCEEDED' && error.reason.limit === 'daily'
+      );
+    });
+
+    it('should not look up spend history for a TOKEN charge', async function() {
+      let looked = false;
+      const guard = new SpendGuard({
+        sumSpend: async () => {
+          looked = true;
+          return { daily: 0, monthly: 0, yearly: 0 };
+        }
+      });
+
+      const allowance = await guard.assertWithinLimits('zain-kw', 'TOKEN:abc123', 10);
+
+      assert.strictEqual(allowance, null);
+      assert.strictEqual(looked, false);
+    });
+
+    it('should still reject a TOKEN charge above a limit', async function() {
+      const guard = new SpendGuard(fixedSpend({ daily: 0, monthly: 0, yearly: 0 }));
+
+      await assert.rejects(
+        guard.assertWithinLimits('zain-kw', 'TOKEN:abc123', 31),
+        error => error.code === 'SPEND_LIMIT_EXCEEDED' && error.reason.limit === 'perCharge'
+      );
+
+      const result = await guard.check('stc-kw', 'TOKEN:abc123', 20, { billingType: 'prepaid' });
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.subscriberResolved, false);
+    });
+  });
+
+  describe('getAllowance', function() {
+    it('should reject a TOKEN', async function() {
+      const guard = new SpendGuard(fixedSpend({ daily: 0, monthly: 0, yearly: 0 }));
+
+      await assert.rejects(
+        guard.getAllowance('zain-kw', 'TOKEN:abc123'),
+        error => error.code === 'SUBSCRIBER_UNRESOLVED' && error.status === 400
+      );
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Subscription Journey Tests
+ * Test suite for completing journeys and recording the subscriptions they create
+ */
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const { SLADigitalIntegration, MemorySessionStore } = require('../src/index');
+const { MemorySubscriptionRepository } = require('../src/database/repositories/SubscriptionRepository');
+
+const createIntegration = () => new SLADigitalIntegration('sandbox', {
+  credentials: { username: 'test', password: 'test' },
+  sessionStore: new MemorySessionStore(),
+  subscriptionRepository: new MemorySubscriptionRepository(),
+  // No merchant endpoints registered
+  merchantWebhookRepository: {
+    transaction: async callback => callback(null),
+    findEndpoints: async () => []
+  },
+  outbox: { file: path.join(os.tmpdir(), `journey-outbox-${process.pid}.jsonl`) }
+});
+
+describe('Subscription Journey Tests', function() {
+  it('should store the subscription when a journey completes', async function() {
+    const integration = createIntegration();
+    const journey = {
+      journeyId: 'JOURNEY_1',
+      operator: 'zain-bh',
+      status: 'COMPLETED',
+      expiresAt: Date.now() + 60000,
+      params: { msisdn: '97312345678', campaign: 'campaign-1', merchant: 'merchant-1' }
+    };
+
+    integration.flowManager.getJourney = async () => journey;
+    integration.flowManager.completeJourney = async () => ({
+      journey,
+      result: { success: { uuid: 'sub-1', transaction: { status: 'CHARGED' } } }
+    });
+
+    await integration.completeJourney('JOURNEY_1', { pin: '1234' });
+
+    const stored = await integration.subscriptionManager.repository.findByUUID('sub-1');
+    assert.strictEqual(stored.msisdn, '97312345678');
+    assert.strictEqual(stored.campaign, 'campaign-1');
+    assert.strictEqual(stored.status, 'ACTIVE');
+    assert.strictEqual(stored.isTokenBased, false);
+  });
+
+  it('should store the MSISDN from the response for a checkout token', async function() {
+    const integration = createIntegration();
+    const journey = { journeyId: 'JOURNEY_2', operator: 'zain-bh', status: 'COMPLETED', expiresAt: Date.now() + 60000, params: { campaign: 'campaign-1' } };
+
+    integration.flowManager.getJourney = async () => journey;
+    integration.flowManager.completeJourney = async () => ({
+      journey,
+      result: { success: { uuid: 'sub-2', msisdn: '97387654321', transaction: { status: 'CHARGED' } } }
+    });
+
+    await integration.completeJourney('JOURNEY_2', { token: 'TOKEN:abc' });
+
+    const stored = await integration.subscriptionManager.repository.findByUUID('sub-2');
+    assert.strictEqual(stored.msisdn, '97387654321');
+    assert.strictEqual(stored.isTokenBased, true);
+  });
+
+  it('should not store a failed journey', async function() {
+    const integration = createIntegration();
+    const journey = { journeyId: 'JOURNEY_3', operator: 'zain-bh', status: 'FAILED', expiresAt: Date.now() + 60000, params: {} };
+
+    integration.flowManager.getJourney = async () => journey;
+    integration.flowManager.completeJourney = async () => ({
+      journey,
+      result: { error: { category: 'Request', code: '2001', message: 'Invalid PIN' } }
+    });
+
+    await integration.completeJourney('JOURNEY_3', { pin: '0000' });
+
+    assert.strictEqual((await integration.subscriptionManager.repository.getStatistics()).total, 0);
+  });
+
+  describe('completing a step', function() {
+    // Flow manager with a journey awaiting a PIN, whose API answers after a turn of the event loop
+    const awaitingPIN = async (complete) => {
+      const { flowManager } = createIntegration();
+      const calls = [];
+
+      await flowManager.storeJourney({
+        journeyId: 'JOURNEY_4',
+        operator: 'zain-bh',
+        status: 'AWAITING_PIN',
+        expiresAt: Date.now() + 60000,
+        params: { msisdn: '97312345678', campaign: 'campaign-1', merchant: 'merchant-1' }
+      });
+
+      flowManager.completeWithPIN = async (operator, params) => {
+        calls.push(params);
+        await new Promise(resolve => setImmediate(resolve));
+        return complete();
+      };
+
+      return { flowManager, calls };
+    };
+
+    it('should complete a step once when two requests arrive at once', async function() {
+      const { flowManager, calls } = await awaitingPIN(() => ({ success: { uuid: 'sub-4' } }));
+
+      const [first, second] = await Promise.allSettled([
+        flowManager.completeJourney('JOURNEY_4', { pin: '1234' }),
+        flowManager.completeJourney('JOURNEY_4', { pin: '1234' })
+      ]);
+
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(first.value.journey.status, 'COMPLETED');
+      assert.strictEqual(second.status, 'rejected');
+      assert.strictEqual(second.reason.status, 409);
+      assert.strictEqual((await flowManager.getJourney('JOURNEY_4')).status, 'COMPLETED');
+    });
+
+    it('should hand the step back when the API call throws', async function() {
+      const { flowManager, calls } = await awaitingPIN(() => {
+        throw new Error('socket hang up');
+      });
+
+      await assert.rejects(flowManager.completeJourney('JOURNEY_4', { pin: '1234' }), /socket hang up/);
+      assert.strictEqual((await flowManager.getJourney('JOURNEY_4')).status, 'AWAITING_PIN');
+
+      await assert.rejects(flowManager.completeJourney('JOURNEY_4', { pin: '1234' }), /socket hang up/);
+      assert.strictEqual(calls.length, 2);
+    });
+
+    it('should ask for the parameter the step needs', async function() {
+      const { flowManager, calls } = await awaitingPIN(() => ({ success: {} }));
+
+      await assert.rejects(flowManager.completeJourney('JOURNEY_4', { token: 'TOKEN:abc' }), error => error.status === 400 && /pin/.test(error.message));
+      assert.strictEqual(calls.length, 0);
+      assert.strictEqual((await flowManager.getJourney('JOURNEY_4')).status, 'AWAITING_PIN');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Subscription State Machine Tests
+ * Test suite for subscription status transitions
+ */
+
+const assert = require('assert');
+const SubscriptionStateMachine = require('../src/services/api/SubscriptionStateMachine');
+
+describe('Subscription State Machine Tests', function() {
+  describe('canTransition', function() {
+    it('should allow lifecycle transitions', function() {
+      assert(SubscriptionStateMachine.canTransition('ACTIVE', 'SUSPENDED'));
+      assert(SubscriptionStateMachine.canTransition('SUSPENDED', 'ACTIVE'));
+      assert(SubscriptionStateMachine.canTransition('SUSPENDED', 'REMOVED'));
+      assert(SubscriptionStateMachine.canTransition('REMOVED', 'ACTIVE'));
+      assert(SubscriptionStateMachine.canTransition('FREE', 'ACTIVE'));
+    });
+
+    it('should treat DELETED, CANCELLED and EXPIRED as terminal', function() {
+      ['DELETED', 'CANCELLED', 'EXPIRED'].forEach(status => {
+        assert(SubscriptionStateMachine.isTerminal(status));
+        assert(!SubscriptionStateMachine.canTransition(status, 'ACTIVE'));
+      });
+    });
+  });
+
+  describe('assertTransition', function() {
+    it('should reject illegal transitions', function() {
+      try {
+        SubscriptionStateMachine.assertTransition('DELETED', 'ACTIVE');
+        assert.fail('Should have thrown error');
+      } catch (error) {
+        assert.strictEqual(error.code, 'INVALID_TRANSITION');
+        assert.strictEqual(error.fromStatus, 'DELETED');
+        assert.strictEqual(error.toStatus, 'ACTIVE');
+      }
+    });
+
+    it('should reject unknown statuses', function() {
+      assert.throws(
+        () => SubscriptionStateMachine.assertTransition('ACTIVE', 'PAUSED'),
+        /Unknown subscription status/
+      );
+    });
+  });
+
+  describe('assertCause', function() {
+    it('should only accept API, WEBHOOK and RECONCILIATION', function() {
+      SubscriptionStateMachine.assertCause('API');
+      SubscriptionStateMachine.assertCause('WEBHOOK');
+      SubscriptionStateMachine.assertCause('RECONCILIATION');
+      assert.throws(() => SubscriptionStateMachine.assertCause('MANUAL'), /Invalid transition cause/);
+    });
+  });
+
+  describe('initialStatus', function() {
+    it('should derive status from the initial charge', function() {
+      assert.strictEqual(SubscriptionStateMachine.initialStatus({ transaction: { status: 'CHARGED' } }), 'ACTIVE');
+      assert.strictEqual(SubscriptionStateMachine.initialStatus({ transaction: { status: 'PENDING' } }), 'WAITING');
+      assert.strictEqual(
+        SubscriptionStateMachine.initialStatus({ transaction: { status: 'INSUFFICIENT_FUNDS' } }),
+        'CREATED'
+      );
+    });
+
+    it('should keep an explicit subscription status', function() {
+      assert.strictEqual(SubscriptionStateMachine.initialStatus({ status: 'FREE' }), 'FREE');
+      assert.strictEqual(SubscriptionStateMachine.initialStatus({}), 'ACTIVE');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Transaction Recorder Tests
+ * Test suite for charge records and linking operator notifications to them
+ */
+
+const assert = require('assert');
+const TransactionRecorder = require('../src/services/api/TransactionRecorder');
+const { REDACTED } = require('../src/utils/redact');
+
+describe('Transaction Recorder Tests', function() {
+  it('should record a PIN charge with its sanitised request and response', function() {
+    const result = { success: true, data: { transaction: { id: 'sla-tx-1', status: 'CHARGED' } } };
+    const record = TransactionRecorder.fromCharge('zain-bh', {
+      msisdn: '97312345678',
+      pin: '1234',
+      amount: 1,
+      currency: 'BHD',
+      campaign: 'campaign-1',
+      merchant: 'merchant-1'
+    }, result);
+
+    assert.strictEqual(record.transactionId, 'sla-tx-1');
+    assert.strictEqual(record.msisdn, '97312345678');
+    assert.strictEqual(record.currency, 'BHD');
+    assert.strictEqual(record.flowType, 'pin_api');
+    assert.strictEqual(record.requestPayload.pin, REDACTED);
+    assert.deepStrictEqual(record.responsePayload, result);
+    assert.ok(record.completedAt);
+  });
+
+  it('should resolve a TOKEN to the reported MSISDN and leave pending charges open', function() {
+    const record = TransactionRecorder.fromCharge('three-uk', { msisdn: 'TOKEN:abc123', amount: 2 }, {
+      success: true,
+      data: { msisdn: '447700900123', transaction: { status: 'PENDING' } }
+    }, { idempotencyKey: 'key-1' });
+
+    assert.strictEqual(record.transactionId, 'key-1');
+    assert.strictEqual(record.msisdn, '447700900123');
+    assert.strictEqual(record.flowType, 'checkout_token');
+    assert.strictEqual(record.completedAt, null);
+
+    assert.strictEqual(TransactionRecorder.resolveMSISDN('TOKEN:abc123', undefined), null);
+  });
+
+  it('should link a notification by transaction id or correlator', async function() {
+    const calls = [];
+    const recorder = new TransactionRecorder(null, {
+      linkWebhook: async (...args) => {
+        calls.push(args);
+        return { transaction_id: 'key-1' };
+      }
+    });
+    const notification = {
+      success: { correlator: 'key-1', msisdn: '447700900123', transaction: { id: 'sla-tx-2', status: 'CHARGED' } }
+    };
+
+    await recorder.linkWebhook('three-uk', notification);
+
+    const [operator, ids, fields] = calls[0];
+    assert.strictEqual(operator, 'three-uk');
+    assert.deepStrictEqual(ids, ['sla-tx-2', 'key-1']);
+    assert.strictEqual(fields.status, 'CHARGED');
+    assert.strictEqual(fields.msisdn, '447700900123');
+    assert.ok(fields.completedAt);
+    assert.strictEqual(await recorder.linkWebhook('three-uk', { success: { type: 'subscription' } }), null);
+  });
+});
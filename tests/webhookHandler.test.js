@@ -0,0 +1,148 @@
+/**
+ * Webhook Handler Tests
+ * Test suite for processing SLA notifications into stored state and merchant notifications
+ */
+
+const assert = require('assert');
+const WebhookHandler = require('../src/services/api/WebhookHandler');
+const SubscriptionManager = require('../src/services/api/SubscriptionManager');
+const MerchantNotifier = require('../src/services/api/MerchantNotifier');
+const ResponseHandler = require('../src/services/core/ResponseHandler');
+const EventBus = require('../src/services/core/EventBus');
+const { MemorySubscriptionRepository } = require('../src/database/repositories/SubscriptionRepository');
+
+// Handler whose charge linking fails while `failing` is set, and whose delivery store fails
+// while `deliveriesFailing` is set; deliveries records merchant notifications
+const createHandler = async (status) => {
+  const eventBus = new EventBus();
+  const repository = new MemorySubscriptionRepository();
+  const subscriptionManager = new SubscriptionManager({}, {}, repository, eventBus);
+  const deliveries = [];
+  const state = { failing: false, deliveriesFailing: false };
+
+  await repository.save({
+    uuid: 'sub-1',
+    operator: 'zain-kw',
+    msisdn: '96512345678',
+    merchant: 'merchant-1',
+    campaign: 'campaign-1',
+    status
+  });
+
+  const notifier = new MerchantNotifier(subscriptionManager, {
+    transaction: async callback => callback(null),
+    findEndpoints: async () => [{ id: 1 }],
+    createDelivery: async (delivery) => {
+      if (state.deliveriesFailing) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      deliveries.push(delivery);
+      return delivery;
+    }
+  }, { enabled: true });
+  subscriptionManager.merchantNotifier = notifier;
+
+  const handler = new WebhookHandler(new ResponseHandler(), {}, {
+    subscriptionManager,
+    eventBus,
+    merchantNotifier: notifier,
+    transactionRecorder: {
+      linkWebhook: async () => {
+        if (state.failing) {
+          throw new Error('connect ECONNREFUSED');
+        }
+        return null;
+      }
+    }
+  });
+
+  return { handler, deliveries, state };
+};
+
+const renewal = {
+  success: {
+    type: 'subscription',
+    mode: 'RENEWAL',
+    operator: 'zain-kw',
+    uuid: 'sub-1',
+    msisdn: '96512345678',
+    amount: 1,
+    currency: 'KWD',
+    transaction: { id: 'txn-1', status: 'CHARGED' }
+  }
+};
+
+describe('Webhook Handler Tests', function() {
+  it('should publish lifecycle events once the notification is stored', async function() {
+    const { handler, deliveries } = await createHandler('ACTIVE');
+
+    await handler.processWebhook('zain-kw', renewal);
+
+    assert.deepStrictEqual(deliveries.map(delivery => delivery.eventType), ['subscription.renewed']);
+    assert.strictEqual(deliveries[0].payload.merchant, 'merchant-1');
+  });
+
+  it('should notify merchants once when a later step fails and the webhook is retried', async function() {
+    const { handler, deliveries, state } = await createHandler('SUSPENDED');
+
+    state.failing = true;
+    await assert.rejects(handler.processWebhook('zain-kw', renewal), /ECONNREFUSED/);
+
+    // The status change is stored, so it is published; the renewal is not yet
+    assert.deepStrictEqual(deliveries.map(delivery => delivery.eventType), ['subscription.status_changed']);
+
+    state.failing = false;
+    await handler.processWebhook('zain-kw', renewal);
+
+    const counts = deliveries.reduce((acc, delivery) => ({
+      ...acc,
+      [delivery.eventType]: (acc[delivery.eventType] || 0) + 1
+    }), {});
+
+    assert.deepStrictEqual(counts, {
+      'subscription.status_changed': 1,
+      'subscription.renewed': 1
+    });
+  });
+
+  it('should not publish anything when the lifecycle update fails', async function() {
+    const { handler, deliveries } = await createHandler('ACTIVE');
+    handler.subscriptionManager.handleRenewal = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+
+    await assert.rejects(handler.processWebhook('zain-kw', renewal), /ECONNREFUSED/);
+    assert.strictEqual(deliveries.length, 0);
+  });
+
+  it('should fail the attempt when merchant deliveries cannot be stored', async function() {
+    const { handler, deliveries, state } = await createHandler('ACTIVE');
+    const published = [];
+    handler.events.on('subscription.renewed', event => published.push(event));
+
+    state.deliveriesFailing = true;
+    await assert.rejects(handler.processWebhook('zain-kw', renewal), /ECONNREFUSED/);
+    assert.strictEqual(published.length, 0);
+
+    state.deliveriesFailing = false;
+    await handler.processWebhook('zain-kw', renewal);
+
+    assert.deepStrictEqual(deliveries.map(delivery => delivery.eventType), ['subscription.renewed']);
+    assert.strictEqual(published.length, 1);
+  });
+
+  it('should not store a status change whose merchant deliveries fail', async function() {
+    const { handler, deliveries, state } = await createHandler('SUSPENDED');
+
+    state.deliveriesFailing = true;
+    await assert.rejects(handler.processWebhook('zain-kw', renewal), /ECONNREFUSED/);
+
+    state.deliveriesFailing = false;
+    await handler.processWebhook('zain-kw', renewal);
+
+    assert.deepStrictEqual(
+      deliveries.map(delivery => delivery.eventType).sort(),
+      ['subscription.renewed', 'subscription.status_changed']
+    );
+  });
+});
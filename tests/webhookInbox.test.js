@@ -0,0 +1,244 @@
+/**
+ * Webhook Inbox Tests
+ * Test suite for storing webhooks and processing them with retry
+ */
+
+const assert = require('assert');
+const WebhookInbox = require('../src/services/api/WebhookInbox');
+
+// webhook_events in memory, on a clock the test moves forward
+const memoryRepository = (clock) => {
+  const events = [];
+  const find = id => events.find(event => event.id === id);
+
+  return {
+    events,
+
+    insert: async ({ eventId, operator, eventType, payload, fingerprint }) => {
+      if (events.some(event => event.event_id === eventId || event.fingerprint === fingerprint)) {
+        return null;
+      }
+
+      const event = {
+        id: events.length + 1,
+        event_id: eventId,
+        operator,
+        event_type: eventType,
+        payload,
+        fingerprint,
+        processed: false,
+        processing_attempts: 0,
+        error_message: null,
+        locked_until: null,
+        next_attempt_at: clock.now,
+        received_at: clock.now
+      };
+      events.push(event);
+      return { ...event };
+    },
+
+    findDuplicate: async (eventId, fingerprint) => {
+      const event = events.find(item => item.fingerprint === fingerprint || item.event_id === eventId);
+      return event ? { ...event } : null;
+    },
+
+    claimDue: async (limit, lockMs) => events
+      .filter(event => !event.processed &&
+        event.next_attempt_at !== null && event.next_attempt_at <= clock.now &&
+        (event.locked_until === null || event.locked_until <= clock.now))
+      .slice(0, limit)
+      .map((event) => {
+        event.processing_attempts++;
+        event.locked_until = clock.now + lockMs;
+        return { ...event };
+      }),
+
+    markProcessed: async (id) => {
+      Object.assign(find(id), { processed: true, error_message: null, locked_until: null, next_attempt_at: null });
+    },
+
+    markFailed: async (id, errorMessage, nextAttemptAt) => {
+      Object.assign(find(id), {
+        error_message: errorMessage,
+        locked_until: null,
+        next_attempt_at: nextAttemptAt ? nextAttemptAt.getTime() : null
+      });
+    },
+
+    requeue: async ({ id }) => {
+      const event = find(id);
+
+      if (!event) {
+        return [];
+      }
+
+      Object.assign(event, {
+        processed: false,
+        processing_attempts: 0,
+        error_message: null,
+        locked_until: null,
+        next_attempt_at: clock.now
+      });
+      return [event.id];
+    }
+  };
+};
+
+// Inbox whose processor fails while `failing` is set
+const inboxAt = () => {
+  const clock = { now: 0 };
+  const repository = memoryRepository(clock);
+  const state = { failing: false, processed: [] };
+
+  const inbox = new WebhookInbox(async (payload) => {
+    if (state.failing) {
+      throw new Error('Subscription store unavailable');
+    }
+    state.processed.push(payload);
+  }, repository, {
+    batchSize: 10,
+    maxAttempts: 3,
+    retryDelay: 1000,
+    maxRetryDelay: 1500,
+    lockDuration: 60000,
+    now: () => clock.now
+  });
+
+  return { inbox, repository, clock, state };
+};
+
+const renewal = {
+  success: {
+    type: 'subscription',
+    uuid: 'sub-1',
+    transaction: { id: 'txn-1', status: 'CHARGED' }
+  }
+};
+
+describe('Webhook Inbox Tests', function() {
+  it('should store a webhook and process it', async function() {
+    const { inbox, repository, state } = inboxAt();
+
+    const event = await inbox.receive('zain-kw', renewal, 'renewal');
+    assert.strictEqual(event.duplicate, false);
+
+    assert.strictEqual(await inbox.processDue(), 1);
+    assert.deepStrictEqual(state.processed, [renewal]);
+    assert.strictEqual(repository.events[0].processed, true);
+  });
+
+  it('should ignore a notification that is already stored', async function() {
+    const { inbox, repository, state } = inboxAt();
+
+    await inbox.receive('zain-kw', renewal);
+    const duplicate = await inbox.receive('zain-kw', JSON.parse(JSON.stringify(renewal)));
+
+    assert.strictEqual(duplicate.duplicate, true);
+    assert.strictEqual(duplicate.id, 1);
+    assert.strictEqual(repository.events.length, 1);
+
+    await inbox.processDue();
+    assert.strictEqual(state.processed.length, 1);
+  });
+
+  it('should schedule a failed event for retry with backoff', async function() {
+    const { inbox, repository, clock, state } = inboxAt();
+    state.failing = true;
+
+    await inbox.receive('zain-kw', renewal);
+    await inbox.processDue();
+
+    const [event] = repository.events;
+    assert.strictEqual(event.processing_attempts, 1);
+    assert.strictEqual(event.next_attempt_at, 1000);
+    assert.strictEqual(event.error_message, 'Subscription store unavailable');
+
+    // Not due yet
+    clock.now = 999;
+    assert.strictEqual(await inbox.processDue(), 0);
+
+    clock.now = 1000;
+    assert.strictEqual(await inbox.processDue(), 1);
+    assert.strictEqual(event.processing_attempts, 2);
+    assert.strictEqual(event.next_attempt_at, 2500); // 2000, capped at maxRetryDelay
+
+    state.failing = false;
+    clock.now = 2500;
+    await inbox.processDue();
+    assert.strictEqual(event.processed, true);
+    assert.strictEqual(state.processed.length, 1);
+  });
+
+  it('should dead-letter an event after maxAttempts', async function() {
+    const { inbox, repository, clock, state } = inboxAt();
+    state.failing = true;
+
+    await inbox.receive('zain-kw', renewal);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await inbox.processDue();
+      clock.now += 10000;
+    }
+
+    const [event] = repository.events;
+    assert.strictEqual(event.processing_attempts, 3);
+    assert.strictEqual(event.next_attempt_at, null);
+    assert.strictEqual(event.processed, false);
+    assert.strictEqual(await inbox.processDue(), 0);
+  });
+
+  it('should process a dead letter again once replayed', async function() {
+    const { inbox, repository, clock, state } = inboxAt();
+    state.failing = true;
+
+    await inbox.receive('zain-kw', renewal);
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await inbox.processDue();
+      clock.now += 10000;
+    }
+
+    state.failing = false;
+    assert.deepStrictEqual(await inbox.replay({ id: 1 }), [1]);
+    assert.strictEqual(await inbox.processDue(), 1);
+
+    const [event] = repository.events;
+    assert.strictEqual(event.processed, true);
+    assert.strictEqual(event.processing_attempts, 1);
+    assert.strictEqual(state.processed.length, 1);
+  });
+
+  it('should not run two batches at once', async function() {
+    const { inbox } = inboxAt();
+    await inbox.receive('zain-kw', renewal);
+
+    const [first, second] = await Promise.all([inbox.processDue(), inbox.processDue()]);
+
+    assert.strictEqual(first, 1);
+    assert.strictEqual(second, 0);
+  });
+
+  describe('fingerprint', function() {
+    it('should identify a notification by operator, subscription, transaction and status', function() {
+      const fingerprint = WebhookInbox.fingerprint('zain-kw', renewal);
+      const withExtraFields = { success: { ...renewal.success, msisdn: '96512345678', amount: 1 } };
+
+      assert.strictEqual(WebhookInbox.fingerprint('zain-kw', withExtraFields), fingerprint);
+      assert.notStrictEqual(WebhookInbox.fingerprint('stc-kw', renewal), fingerprint);
+      assert.notStrictEqual(
+        WebhookInbox.fingerprint('zain-kw', { success: { ...renewal.success, transaction: { id: 'txn-2', status: 'CHARGED' } } }),
+        fingerprint
+      );
+    });
+
+    it('should not depend on key order without a transaction id', function() {
+      const created = { success: { type: 'subscription', uuid: 'sub-1', status: 'ACTIVE', meta: { a: 1, b: 2 } } };
+      const reordered = { success: { meta: { b: 2, a: 1 }, status: 'ACTIVE', uuid: 'sub-1', type: 'subscription' } };
+
+      assert.strictEqual(WebhookInbox.fingerprint('zain-kw', reordered), WebhookInbox.fingerprint('zain-kw', created));
+      assert.notStrictEqual(
+        WebhookInbox.fingerprint('zain-kw', { success: { ...created.success, status: 'SUSPENDED' } }),
+        WebhookInbox.fingerprint('zain-kw', created)
+      );
+    });
+  });
+});
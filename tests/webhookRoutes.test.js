@@ -0,0 +1,50 @@
+/**
+ * Webhook Route Tests
+ * Test suite for the signature check on every SLA notification endpoint
+ */
+
+process.env.SKIP_IP_WHITELIST = 'true';
+process.env.SESSION_STORE = 'memory';
+process.env.WEBHOOK_SECRET = 'webhook-secret';
+process.env.SANDBOX_API_USERNAME = process.env.SANDBOX_API_USERNAME || 'test';
+process.env.SANDBOX_API_PASSWORD = process.env.SANDBOX_API_PASSWORD || 'test';
+
+const assert = require('assert');
+const request = require('supertest');
+const hmac = require('../src/utils/hmac');
+const app = require('../server');
+
+const notification = JSON.stringify({
+  success: { type: 'subscription', operator: 'zain-bh', uuid: 'sub-1', transaction: { id: 'txn-1', status: 'CHARGED' } }
+});
+
+const post = (url, signature) => {
+  const pending = request(app).post(url).set('Content-Type', 'application/json');
+  return (signature ? pending.set('X-Webhook-Signature', signature) : pending).send(notification);
+};
+
+describe('Webhook Route Tests', function() {
+  for (const url of ['/hooks/alacrity', '/hooks/webhook/zain-bh', '/hooks/zain-bh']) {
+    it(`should reject an unsigned notification on ${url}`, async function() {
+      assert.strictEqual((await post(url)).status, 401);
+      assert.strictEqual((await post(url, 'sha256=0000')).status, 401);
+    });
+
+    it(`should accept a signed notification on ${url}`, async function() {
+      const response = await post(url, hmac.sign('webhook-secret', notification));
+      assert.notStrictEqual(response.status, 401);
+    });
+  }
+
+  it('should refuse operator notifications when no secret is configured', async function() {
+    delete process.env.WEBHOOK_SECRET;
+
+    try {
+      const response = await post('/hooks/zain-bh', hmac.sign('webhook-secret', notification));
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.body.error, 'Server configuration error');
+    } finally {
+      process.env.WEBHOOK_SECRET = 'webhook-secret';
+    }
+  });
+});